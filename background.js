@@ -1,8 +1,23 @@
 /**
  * PNGinfo Viewer Chrome Extension - Background Service Worker
  * アクションボタンがクリックされた時にedit.htmlを新しいタブで開く
+ * 画像の右クリックメニューから、その画像を読み込んだビューアを開く
+ * 許可されたサイトの画像にメタデータのバッジを表示するコンテンツスクリプトを登録し、画像の解析を受け持つ
  */
 
+import { MetadataParser } from './metadata-parser.js';
+import { I18n } from './i18n.js';
+
+const CONTEXT_MENU_ID = 'view-pnginfo';
+const BADGE_SCRIPT_ID = 'pnginfo-badge';
+// バッジ用に画像を取得する際の上限 (WebPのEXIF/XMPは画像データの後にあり、AVIFは全体を読むため大きすぎる画像は対象外とする)
+const BADGE_FETCH_LIMIT = 16 * 1024 * 1024;
+
+const parser = new MetadataParser();
+// オプションで表示言語が変更されたら読み込み直す
+const i18n = new I18n();
+let i18nReady = i18n.load();
+
 /**
  * アクションボタンクリック時のイベントハンドラ
  * @param {chrome.action.UserDetails} details - クリック時の詳細情報
@@ -23,6 +38,342 @@ chrome.action.onClicked.addListener(async () => {
 /**
  * 拡張機能インストール時の初期化処理
  */
-chrome.runtime.onInstalled.addListener(() => {
+chrome.runtime.onInstalled.addListener(async () => {
+  // 画像の右クリックメニューを登録
+  await i18nReady;
+  chrome.contextMenus.create({
+    id: CONTEXT_MENU_ID,
+    title: i18n.t('contextMenuTitle'),
+    contexts: ['image']
+  });
+
+  registerBadgeScript();
   console.log('PNGinfo Viewer extension installed successfully');
-});
\ No newline at end of file
+});
+
+chrome.runtime.onStartup.addListener(() => registerBadgeScript());
+
+/**
+ * 許可されたサイトが変更されたらコンテンツスクリプトを登録し直す
+ * 表示言語が変更されたら右クリックメニューの表示を更新する
+ */
+chrome.storage.onChanged.addListener(async (changes, areaName) => {
+  if (areaName !== 'local') return;
+  if (changes.badgeSites) {
+    registerBadgeScript();
+  }
+  if (changes.uiLanguage) {
+    i18nReady = i18n.load();
+    await i18nReady;
+    chrome.contextMenus.update(CONTEXT_MENU_ID, { title: i18n.t('contextMenuTitle') });
+  }
+});
+
+// サイトへのアクセスの許可がブラウザの設定から変更された場合も登録し直す
+chrome.permissions.onAdded.addListener(() => registerBadgeScript());
+chrome.permissions.onRemoved.addListener(() => registerBadgeScript());
+
+/**
+ * バッジ表示用のコンテンツスクリプトを、ユーザーが許可したサイト (badgeSites) のみに登録
+ * ホストの権限はサイトを追加するときに求めるため、権限が取り消されたサイトは除く
+ */
+async function registerBadgeScript() {
+  try {
+    const { badgeSites = [] } = await chrome.storage.local.get('badgeSites');
+    const registered = await chrome.scripting.getRegisteredContentScripts({ ids: [BADGE_SCRIPT_ID] });
+    if (registered.length > 0) {
+      await chrome.scripting.unregisterContentScripts({ ids: [BADGE_SCRIPT_ID] });
+    }
+
+    const matches = [];
+    for (const origin of badgeSites) {
+      if (await chrome.permissions.contains({ origins: [`${origin}/*`] })) {
+        matches.push(`${origin}/*`);
+      }
+    }
+    if (matches.length === 0) return;
+
+    await chrome.scripting.registerContentScripts([{
+      id: BADGE_SCRIPT_ID,
+      matches,
+      js: ['content-badge.js'],
+      runAt: 'document_idle'
+    }]);
+  } catch (error) {
+    console.error('Failed to register badge content script:', error);
+  }
+}
+
+/**
+ * 右クリックメニュー選択時のイベントハンドラ
+ * 画像のURLと取得元ページをセッションストレージに保存し、ビューアに読み込ませる
+ * @param {chrome.contextMenus.OnClickData} info - クリックされたメニューと対象の情報
+ * @param {chrome.tabs.Tab} tab - 対象のタブ
+ */
+chrome.contextMenus.onClicked.addListener(async (info, tab) => {
+  if (info.menuItemId !== CONTEXT_MENU_ID || !info.srcUrl) return;
+
+  try {
+    await openViewerForImage(info.srcUrl, info.pageUrl || (tab && tab.url) || '', tab, info.frameId);
+  } catch (error) {
+    console.error('Failed to open PNGinfo Viewer for image:', error);
+  }
+});
+
+/**
+ * 画像を読み込んだビューアを新しいタブで開く
+ * 画像のURLと取得元ページをセッションストレージに保存し、ビューアに読み込ませる
+ * @param {string} srcUrl - 画像のURL
+ * @param {string} pageUrl - 画像のあるページのURL
+ * @param {chrome.tabs.Tab} [tab] - 画像のあるタブ
+ * @param {number} [frameId] - 画像のあるフレーム
+ * @param {boolean} [omitCredentials=false] - 画像の取得時にCookieを送らない場合はtrue (ページから依頼された場合)
+ */
+async function openViewerForImage(srcUrl, pageUrl, tab, frameId, omitCredentials = false) {
+  const importId = crypto.randomUUID();
+  await chrome.storage.session.set({
+    [`import:${importId}`]: {
+      srcUrl,
+      pageUrl,
+      tabId: tab ? tab.id : undefined,
+      frameId,
+      omitCredentials
+    }
+  });
+
+  await chrome.tabs.create({
+    url: chrome.runtime.getURL(`edit.html?import=${importId}`),
+    active: true,
+    index: tab ? tab.index + 1 : undefined
+  });
+}
+
+/**
+ * コンテンツスクリプトからのメッセージ処理
+ * getMessages: オプションで指定された表示言語のメッセージを返す (自動の場合はnull)
+ * inspectImage: 画像を取得してメタデータの概要を返す
+ * openViewer: 画像を読み込んだビューアを開く
+ */
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message.type === 'getMessages') {
+    i18nReady.then(() => sendResponse({ messages: i18n.messages }));
+    return true;
+  }
+
+  if (message.type === 'inspectImage') {
+    inspectImage(message.url)
+      .then(summary => sendResponse({ summary }))
+      .catch(error => sendResponse({ error: error.message }));
+    return true;
+  }
+
+  if (message.type === 'openViewer') {
+    // ページから渡されたURLのため、バッジ用に取得できるURLに限り、Cookieを送らずに取得させる
+    if (!isInspectableUrl(message.url)) return false;
+    openViewerForImage(message.url, message.pageUrl || '', sender.tab, sender.frameId, true)
+      .catch(error => console.error('Failed to open PNGinfo Viewer for image:', error));
+  }
+  return false;
+});
+
+/**
+ * 画像のメタデータの概要を取得
+ * ページが指定したURLを拡張機能の権限で取得するため、Cookieは送らず、ローカル・プライベートネットワークのURLは取得しない
+ * メタデータを読んだ時点で取得を打ち切る
+ * @param {string} url - 画像のURL
+ * @returns {Promise<Object>} - { generator, params, textCount }
+ */
+async function inspectImage(url) {
+  if (!isInspectableUrl(url)) {
+    await i18nReady;
+    throw new Error(i18n.t('badgeUrlNotAllowed'));
+  }
+
+  const response = await fetch(url, { credentials: 'omit', cache: 'force-cache' });
+  // リダイレクト先も確認する
+  if (!isInspectableUrl(response.url)) {
+    response.body.cancel();
+    await i18nReady;
+    throw new Error(i18n.t('badgeUrlNotAllowed'));
+  }
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+
+  const buffer = await readImageHeader(response);
+  const metadata = await parser.parseImageMetadata(buffer.buffer, buffer.partial);
+  const generator = metadata.generator;
+
+  return {
+    generator: generator ? generator.name : null,
+    params: generator ? generator.params : {},
+    textCount: metadata.textChunks.length
+  };
+}
+
+/**
+ * バッジ用に取得してよいURLかを判定
+ * http(s) 以外と、ローカル・プライベートネットワークのホストは拒否する
+ * (ホスト名がプライベートアドレスに解決される場合は判定できない)
+ * @param {string} url - 画像のURL
+ * @returns {boolean} - 取得してよい場合はtrue
+ */
+function isInspectableUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return false;
+  }
+  return ['http:', 'https:'].includes(parsed.protocol) && !isPrivateHost(parsed.hostname);
+}
+
+/**
+ * ループバック・プライベート・リンクローカルのアドレスやローカル用のホスト名かを判定
+ * @param {string} hostname - URLのホスト名 (IPv6は [] で囲まれ、URLによって正規化されたもの)
+ * @returns {boolean} - ローカル・プライベートネットワークのホストの場合はtrue
+ */
+function isPrivateHost(hostname) {
+  const host = hostname.toLowerCase().replace(/^\[|\]$/g, '').replace(/\.$/, '');
+  if (host === '' || host === 'localhost' || /\.(localhost|local|internal)$/.test(host)) return true;
+
+  // IPv4射影アドレス (::ffff:7f00:1) はIPv4として判定する
+  const mapped = /^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/.exec(host);
+  const ipv4 = mapped
+    ? [mapped[1], mapped[2]].flatMap(part => [parseInt(part, 16) >> 8, parseInt(part, 16) & 0xFF])
+    : /^\d+\.\d+\.\d+\.\d+$/.test(host) ? host.split('.').map(Number) : null;
+  if (ipv4) {
+    const [a, b] = ipv4;
+    return a === 0 || a === 10 || a === 127
+      || (a === 100 && b >= 64 && b <= 127)
+      || (a === 169 && b === 254)
+      || (a === 172 && b >= 16 && b <= 31)
+      || (a === 192 && b === 168);
+  }
+
+  // ::1 (ループバック)、fc00::/7 (ユニークローカル)、fe80::/10 (リンクローカル)
+  return host.includes(':') && (host === '::' || host === '::1' || /^f[cd]/.test(host) || /^fe[89ab]/.test(host));
+}
+
+/**
+ * レスポンスから解析に必要な部分を読み込む
+ * メタデータの終わり (PNGはIDAT、JPEGはSOS、WebPはVP8Xのフラグが示すEXIF/XMP) まで読んだ時点で読み込みを中止する
+ * @param {Response} response - 画像のレスポンス
+ * @returns {Promise<Object>} - { buffer: ArrayBuffer, partial: boolean }
+ */
+async function readImageHeader(response) {
+  const reader = response.body.getReader();
+  let bytes = new Uint8Array(64 * 1024);
+  let length = 0;
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    if (length + value.length > BADGE_FETCH_LIMIT) {
+      reader.cancel();
+      await i18nReady;
+      throw new Error(i18n.t('imageTooLarge'));
+    }
+    if (length + value.length > bytes.length) {
+      const grown = new Uint8Array(Math.max(bytes.length * 2, length + value.length));
+      grown.set(bytes.subarray(0, length));
+      bytes = grown;
+    }
+    bytes.set(value, length);
+    length += value.length;
+
+    const isPNG = length >= 8 && bytes[0] === 0x89 && bytes[1] === 0x50 && bytes[2] === 0x4E && bytes[3] === 0x47;
+    const isJPEG = length >= 2 && bytes[0] === 0xFF && bytes[1] === 0xD8;
+    const isWebP = length >= 12 && String.fromCharCode(...bytes.subarray(0, 4)) === 'RIFF' && String.fromCharCode(...bytes.subarray(8, 12)) === 'WEBP';
+    const end = isPNG ? findPNGMetadataEnd(bytes, length)
+      : isJPEG ? findJPEGMetadataEnd(bytes, length)
+        : isWebP ? findWebPMetadataEnd(bytes, length)
+          : null;
+
+    if (end !== null) {
+      reader.cancel();
+      return { buffer: bytes.buffer.slice(0, end), partial: isPNG };
+    }
+  }
+
+  return { buffer: bytes.buffer.slice(0, length), partial: false };
+}
+
+/**
+ * 読み込み済みの範囲でPNGのチャンクヘッダーをたどり、最初のIDATまたはIENDの位置を探す
+ * @param {Uint8Array} bytes - 読み込んだデータ
+ * @param {number} length - 読み込んだ長さ
+ * @returns {number|null} - メタデータの終わりの位置 (まだ読み込みが必要な場合はnull)
+ */
+function findPNGMetadataEnd(bytes, length) {
+  const view = new DataView(bytes.buffer, 0, length);
+  let offset = 8;
+
+  while (offset + 8 <= length) {
+    const type = parser.readString(view, offset + 4, 4);
+    if (type === 'IDAT' || type === 'IEND') return offset;
+    offset += 12 + view.getUint32(offset);
+  }
+  return null;
+}
+
+/**
+ * 読み込み済みの範囲でJPEGのセグメントをたどり、画像データの始まり (SOS) の位置を探す
+ * @param {Uint8Array} bytes - 読み込んだデータ
+ * @param {number} length - 読み込んだ長さ
+ * @returns {number|null} - メタデータの終わりの位置 (まだ読み込みが必要な場合はnull)
+ */
+function findJPEGMetadataEnd(bytes, length) {
+  let offset = 2; // SOIマーカーの後から開始
+
+  while (offset + 4 <= length) {
+    // 壊れたデータはそれまでの範囲を解析する
+    if (bytes[offset] !== 0xFF) return offset;
+
+    const marker = bytes[offset + 1];
+    if (marker === 0xFF) {
+      offset++;
+    } else if ((marker >= 0xD0 && marker <= 0xD7) || marker === 0x01) {
+      offset += 2;
+    } else if (marker === 0xDA || marker === 0xD9) {
+      return offset;
+    } else {
+      offset += 2 + ((bytes[offset + 2] << 8) | bytes[offset + 3]);
+    }
+  }
+  return null;
+}
+
+/**
+ * 読み込み済みの範囲でWebPのチャンクをたどり、メタデータの終わりの位置を探す
+ * EXIF/XMPは画像データの後に置かれるため、VP8Xのフラグが示すチャンクをすべて読むまで続ける
+ * VP8Xがない単純な形式にはメタデータがない
+ * @param {Uint8Array} bytes - 読み込んだデータ
+ * @param {number} length - 読み込んだ長さ
+ * @returns {number|null} - メタデータの終わりの位置 (まだ読み込みが必要な場合はnull)
+ */
+function findWebPMetadataEnd(bytes, length) {
+  const view = new DataView(bytes.buffer, 0, length);
+  let offset = 12; // RIFFヘッダーの後から開始
+  let pending = null;
+
+  while (offset + 8 <= length) {
+    const type = parser.readString(view, offset, 4);
+    const chunkLength = view.getUint32(offset + 4, true);
+    const end = offset + 8 + chunkLength + (chunkLength % 2);
+
+    if (pending === null) {
+      if (type !== 'VP8X') return offset;
+      if (offset + 9 > length) return null;
+      const flags = bytes[offset + 8];
+      pending = new Set([...(flags & 0x08 ? ['EXIF'] : []), ...(flags & 0x04 ? ['XMP '] : [])]);
+    }
+    if (end > length) return null;
+
+    pending.delete(type);
+    if (pending.size === 0) return end;
+    offset = end;
+  }
+  return null;
+}
\ No newline at end of file
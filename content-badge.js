@@ -0,0 +1,264 @@
+/**
+ * PNGinfo Viewer - 閲覧中のページの画像にメタデータのバッジを表示するコンテンツスクリプト
+ * ユーザーが許可したサイトにのみ登録される (background.js の registerBadgeScript)
+ * 画像にマウスを重ねると、バックグラウンドで画像の先頭部分を解析して生成ツール名をバッジに表示する
+ * バッジをクリックするとプロンプトの概要と、ビューアで開くためのリンクを表示する
+ */
+
+(() => {
+    // 小さなアイコンなどは対象外にする
+    const MIN_IMAGE_SIZE = 128;
+    const HOVER_DELAY = 250;
+    const PROMPT_PREVIEW_LENGTH = 300;
+
+    // 画像URLごとの解析結果 (Promise、取得に成功したもののみ残す)
+    const results = new Map();
+    // オプションで指定された表示言語のメッセージ (ページから拡張機能のファイルを読めないよう、バックグラウンドから受け取る)
+    // 自動の場合や受け取れなかった場合はブラウザの表示言語 (chrome.i18n) で表示する
+    let messages = null;
+    const i18nReady = chrome.runtime.sendMessage({ type: 'getMessages' }).then(response => {
+        messages = (response && response.messages) || null;
+    }).catch(error => {
+        console.error('Failed to load messages:', error);
+    });
+    const i18n = {
+        /**
+         * メッセージを取得 (i18n.js の I18n.t と同じく $1〜$9 を置き換える)
+         * @param {string} key - メッセージのキー
+         * @param {*|Array} [substitutions] - 置き換える値
+         * @returns {string} - メッセージ (見つからない場合はキー)
+         */
+        t(key, substitutions = []) {
+            const values = (Array.isArray(substitutions) ? substitutions : [substitutions]).map(value => String(value));
+            if (messages && messages[key]) {
+                return messages[key].message.replace(/\$(\d)|\$\$/g, (match, index) => {
+                    if (!index) return '$';
+                    return values[index - 1] === undefined ? '' : values[index - 1];
+                });
+            }
+            return chrome.i18n.getMessage(key, values) || key;
+        }
+    };
+    let currentImage = null;
+    let hoverTimer = null;
+    let hideTimer = null;
+
+    // ページのスタイルの影響を受けないようShadow DOMに表示する
+    const host = document.createElement('div');
+    host.style.cssText = 'position: absolute; top: 0; left: 0; z-index: 2147483647;';
+    const shadow = host.attachShadow({ mode: 'closed' });
+    shadow.innerHTML = `
+        <style>
+            .badge {
+                position: absolute;
+                display: none;
+                padding: 2px 8px;
+                border: none;
+                border-radius: 10px;
+                background: rgba(30, 30, 30, 0.85);
+                color: #ffffff;
+                font: 600 11px/1.6 sans-serif;
+                cursor: pointer;
+                white-space: nowrap;
+            }
+            .badge.found { background: rgba(102, 204, 255, 0.9); color: #000000; }
+            .badge.none { background: rgba(90, 90, 90, 0.85); }
+            .badge.error { background: rgba(204, 68, 68, 0.9); }
+            .popover {
+                position: absolute;
+                display: none;
+                width: 320px;
+                max-height: 360px;
+                overflow: auto;
+                padding: 12px;
+                border: 1px solid #444444;
+                border-radius: 8px;
+                background: #1e1e1e;
+                color: #e0e0e0;
+                font: 12px/1.5 sans-serif;
+                box-shadow: 0 4px 16px rgba(0, 0, 0, 0.5);
+            }
+            .popover h4 { margin: 0 0 8px; font-size: 13px; color: #66ccff; }
+            .popover .label { color: #888888; font-size: 11px; margin-top: 6px; }
+            .popover .text { white-space: pre-wrap; word-break: break-word; }
+            .popover .settings { color: #aaaaaa; margin-top: 8px; }
+            .popover a { display: inline-block; margin-top: 10px; color: #66ccff; cursor: pointer; }
+        </style>
+        <button class="badge"></button>
+        <div class="popover"></div>
+    `;
+    const badge = shadow.querySelector('.badge');
+    const popover = shadow.querySelector('.popover');
+
+    /**
+     * 画像のURLを取得 (バックグラウンドで取得できるhttp(s)のURLのみ対象とする)
+     * @param {HTMLImageElement} img - 画像要素
+     * @returns {string|null} - 画像のURL
+     */
+    const getImageUrl = (img) => {
+        const url = img.currentSrc || img.src;
+        return /^https?:/i.test(url) ? url : null;
+    };
+
+    /**
+     * HTMLエスケープ
+     * @param {string} text - エスケープするテキスト
+     * @returns {string} - エスケープされたテキスト
+     */
+    const escapeHtml = (text) => {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    };
+
+    /**
+     * 画像の解析をバックグラウンドに依頼 (同じURLは一度だけ)
+     * 一時的な失敗でエラーが表示され続けないよう、失敗した結果は次に依頼したときに取得し直す
+     * @param {string} url - 画像のURL
+     * @returns {Promise<Object>} - { summary } または { error }
+     */
+    const inspect = (url) => {
+        if (!results.has(url)) {
+            const result = chrome.runtime.sendMessage({ type: 'inspectImage', url })
+                .catch(error => ({ error: error.message }));
+            results.set(url, result);
+            result.then(response => {
+                if (!response || response.error) results.delete(url);
+            });
+        }
+        return results.get(url);
+    };
+
+    /**
+     * バッジを画像の左上に配置して表示
+     * @param {HTMLImageElement} img - 画像要素
+     * @param {string} text - バッジの表示
+     * @param {string} state - found / none / error / loading
+     */
+    const showBadge = (img, text, state) => {
+        if (!host.isConnected) document.documentElement.appendChild(host);
+
+        const rect = img.getBoundingClientRect();
+        badge.textContent = text;
+        badge.className = `badge ${state}`;
+        badge.style.left = `${rect.left + window.scrollX + 6}px`;
+        badge.style.top = `${rect.top + window.scrollY + 6}px`;
+        badge.style.display = 'block';
+    };
+
+    const hideBadge = () => {
+        badge.style.display = 'none';
+        popover.style.display = 'none';
+        currentImage = null;
+    };
+
+    /**
+     * マウスを重ねた画像を解析してバッジを表示
+     * @param {HTMLImageElement} img - 画像要素
+     */
+    const handleImageHover = async (img) => {
+        const url = getImageUrl(img);
+        if (!url) return;
+
+        currentImage = img;
+        popover.style.display = 'none';
+        showBadge(img, '…', 'loading');
+
+        const result = await inspect(url);
+        await i18nReady;
+        if (currentImage !== img) return;
+
+        if (!result || result.error) {
+            showBadge(img, i18n.t('badgeFetchFailed'), 'error');
+        } else if (result.summary.generator) {
+            showBadge(img, result.summary.generator, 'found');
+        } else {
+            showBadge(img, i18n.t(result.summary.textCount > 0 ? 'badgeHasText' : 'noMetadata'), 'none');
+        }
+    };
+
+    /**
+     * プロンプトの概要と設定をポップオーバーに表示
+     */
+    const showPopover = async () => {
+        const img = currentImage;
+        const url = img && getImageUrl(img);
+        if (!url) return;
+
+        const result = await inspect(url);
+        await i18nReady;
+        const summary = (result && result.summary) || { params: {} };
+        const params = summary.params;
+        const truncate = (text) => text.length > PROMPT_PREVIEW_LENGTH ? `${text.slice(0, PROMPT_PREVIEW_LENGTH)}…` : text;
+        const settings = [
+            ['Seed', params.seed],
+            ['Steps', params.steps],
+            ['Sampler', params.sampler],
+            ['CFG', params.cfg],
+            ['Model', params.model],
+            ['Size', params.size]
+        ].filter(([, value]) => value !== undefined && value !== '');
+
+        let html = `<h4>${escapeHtml(summary.generator || (!result ? i18n.t('badgeFetchFailed') : result.error ? i18n.t('badgeFetchFailedDetail', result.error) : i18n.t('noMetadata')))}</h4>`;
+        if (params.prompt) {
+            html += `<div class="label">${escapeHtml(i18n.t('prompt'))}</div><div class="text">${escapeHtml(truncate(String(params.prompt)))}</div>`;
+        }
+        if (params.negative) {
+            html += `<div class="label">${escapeHtml(i18n.t('negativePrompt'))}</div><div class="text">${escapeHtml(truncate(String(params.negative)))}</div>`;
+        }
+        if (settings.length > 0) {
+            html += `<div class="settings">${settings.map(([label, value]) => `${label}: ${escapeHtml(String(value))}`).join(', ')}</div>`;
+        }
+        html += `<a class="open-viewer">${escapeHtml(i18n.t('openInViewer'))}</a>`;
+        popover.innerHTML = html;
+
+        popover.querySelector('.open-viewer').addEventListener('click', () => {
+            chrome.runtime.sendMessage({ type: 'openViewer', url, pageUrl: location.href });
+        });
+
+        popover.style.left = badge.style.left;
+        popover.style.top = `${parseFloat(badge.style.top) + badge.offsetHeight + 4}px`;
+        popover.style.display = 'block';
+    };
+
+    document.addEventListener('mouseover', (e) => {
+        if (e.composedPath().includes(host)) {
+            clearTimeout(hideTimer);
+            return;
+        }
+
+        const img = e.target;
+        if (!(img instanceof HTMLImageElement) || img.width < MIN_IMAGE_SIZE || img.height < MIN_IMAGE_SIZE) return;
+
+        clearTimeout(hideTimer);
+        clearTimeout(hoverTimer);
+        if (img === currentImage) return;
+        hoverTimer = setTimeout(() => handleImageHover(img), HOVER_DELAY);
+    });
+
+    document.addEventListener('mouseout', (e) => {
+        clearTimeout(hoverTimer);
+        // ポップオーバーを開いている間はバッジを残す
+        if (popover.style.display === 'block') return;
+        if (e.target === currentImage || e.composedPath().includes(host)) {
+            clearTimeout(hideTimer);
+            hideTimer = setTimeout(hideBadge, 400);
+        }
+    });
+
+    document.addEventListener('click', (e) => {
+        if (!e.composedPath().includes(host) && popover.style.display === 'block') {
+            hideBadge();
+        }
+    });
+
+    badge.addEventListener('click', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        if (popover.style.display === 'block') {
+            popover.style.display = 'none';
+        } else {
+            showPopover();
+        }
+    });
+})();
\ No newline at end of file
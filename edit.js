@@ -3,19 +3,99 @@
  * 画像アップロード、PNGメタデータ解析、複数画像対応を提供
  */
 
+import { MetadataParser } from './metadata-parser.js';
+import { I18n } from './i18n.js';
+
 class PNGInfoViewer {
     constructor() {
         this.uploadedImages = [];
         this.currentImageIndex = -1;
+        this.parser = new MetadataParser();
+        this.i18n = new I18n();
+        this.settings = this.getDefaultSettings();
+        this.worker = null;
+        this.workerTasks = new Map();
+        this.nextWorkerTaskId = 0;
+        this.thumbnailObserver = null;
+        this.thumbnailTargets = new WeakMap();
+        this.sendPanelOpen = false;
+        this.analyticsOpen = false;
+        this.promptAnalyses = new WeakMap();
+        this.tagFilter = null;
+        this.historyDB = null;
+        this.compareSelection = null;
+        // 実行中の読み込み { cancelled } (中止ボタンはすべてを中止する)
+        this.activeImports = new Set();
+        // 画像全体の解析の順番待ち (大きなファイルを同時に読み込まないよう1枚ずつ解析する)
+        this.fullMetadataQueue = Promise.resolve();
         this.init();
     }
 
     /**
      * 初期化処理
+     * 表示言語とオプションを読み込んでから画面を組み立てる
      */
-    init() {
+    async init() {
+        await this.loadSettings();
         this.setupEventListeners();
         this.setupDragAndDrop();
+        this.switchTab(this.settings.defaultTab);
+        this.loadPendingImport();
+        this.loadHistory();
+        this.loadBadgeSites();
+    }
+
+    /**
+     * 翻訳されたメッセージを取得
+     * @param {string} key - メッセージのキー
+     * @param {*|Array} [substitutions] - $1〜$9 に埋め込む値
+     * @returns {string} - メッセージ
+     */
+    t(key, substitutions) {
+        return this.i18n.t(key, substitutions);
+    }
+
+    /**
+     * オプションの既定値
+     * @returns {Object} - { uiLanguage, defaultTab, theme, hiddenKeywords, pinnedKeywords }
+     */
+    getDefaultSettings() {
+        return {
+            uiLanguage: 'auto',
+            defaultTab: 'text',
+            theme: 'dark',
+            hiddenKeywords: [],
+            pinnedKeywords: []
+        };
+    }
+
+    /**
+     * オプションページで設定された内容を読み込み、表示言語とテーマを反映
+     */
+    async loadSettings() {
+        if (typeof chrome !== 'undefined' && chrome.storage) {
+            this.settings = await chrome.storage.local.get(this.getDefaultSettings());
+        }
+        await this.i18n.load();
+        this.i18n.apply();
+        document.documentElement.dataset.theme = this.settings.theme;
+    }
+
+    /**
+     * オプションが変更されたときに画面へ反映
+     * @param {Object} changes - chrome.storage.onChanged の変更内容
+     */
+    async handleSettingsChange(changes) {
+        const keys = Object.keys(this.getDefaultSettings());
+        if (!Object.keys(changes).some(key => keys.includes(key))) return;
+
+        await this.loadSettings();
+        this.updateImageList();
+        this.renderHistory();
+        this.loadBadgeSites();
+        if (this.currentImageIndex !== -1) {
+            this.showImage(this.currentImageIndex);
+        }
     }
 
     /**
@@ -30,13 +110,116 @@ class PNGInfoViewer {
         fileInput.addEventListener('change', (e) => this.handleFileSelect(e));
         uploadButton.addEventListener('click', () => fileInput.click());
 
-        // リセットボタン
+        // フォルダ選択 (サブフォルダも含む)
+        const folderInput = document.getElementById('folderInput');
+        folderInput.addEventListener('change', (e) => this.handleFileSelect(e));
+        document.getElementById('folderButton').addEventListener('click', () => folderInput.click());
+        document.getElementById('cancelImportButton').addEventListener('click', () => {
+            for (const run of this.activeImports) run.cancelled = true;
+        });
+
+        // リセットボタン (表示のみクリア / 履歴も削除)
         resetButton.addEventListener('click', () => this.resetAll());
+        document.getElementById('clearHistoryButton').addEventListener('click', () => this.resetAll(true));
+
+        // 履歴
+        document.getElementById('historyList').addEventListener('click', (e) => this.handleHistoryClick(e));
+        document.getElementById('historyLimitInput').addEventListener('change', (e) => this.setHistoryLimit(e.target.value));
+
+        // Webページ上でバッジを表示するサイト
+        document.getElementById('badgeSiteForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.addBadgeSite(document.getElementById('badgeSiteInput').value);
+        });
+        document.getElementById('badgeSiteList').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-badge-site]');
+            if (button) this.removeBadgeSite(button.dataset.badgeSite);
+        });
+
+        // メタデータの一括削除
+        document.getElementById('scrubButton').addEventListener('click', () => this.openScrubPanel());
+        document.getElementById('closeScrubButton').addEventListener('click', () => this.closeScrubPanel());
+
+        // メタデータの書き出し
+        document.getElementById('exportJsonButton').addEventListener('click', () => this.exportJSON(this.uploadedImages, 'pnginfo_metadata.json'));
+        document.getElementById('exportCsvButton').addEventListener('click', () => this.exportCSV(this.uploadedImages));
+        document.getElementById('exportCurrentJsonButton').addEventListener('click', () => {
+            const image = this.uploadedImages[this.currentImageIndex];
+            if (image) this.exportJSON([image], `${image.name.replace(/\.[^.]+$/, '')}_metadata.json`);
+        });
+        document.getElementById('copyA1111Button').addEventListener('click', (e) => this.copyA1111Parameters(e.currentTarget));
+
+        // ローカルの生成サーバーへの送信
+        const sendPanel = document.getElementById('sendPanel');
+        document.getElementById('sendButton').addEventListener('click', () => this.openSendPanel());
+        sendPanel.addEventListener('click', (e) => this.handleSendPanelClick(e));
+        sendPanel.addEventListener('change', (e) => {
+            if (e.target.name === 'sendTarget') this.switchSendTarget(e.target.value);
+        });
+
+        // 画像一覧の検索・絞り込み・並べ替え
+        const galleryFilters = document.getElementById('galleryFilters');
+        // 絞り込みと更新日時 (IDATの後にあることがあるtIME) での並べ替えは画像全体の情報を使うため、
+        // 使い始めたときにまだ解析していない画像を解析する
+        const applyGalleryFilters = () => {
+            this.updateImageList();
+            if (this.isGalleryFiltered() || document.getElementById('gallerySort').value === 'modified') {
+                this.ensureFullMetadata().then(() => this.refreshBatchViews());
+            }
+        };
+        galleryFilters.addEventListener('input', applyGalleryFilters);
+        galleryFilters.addEventListener('change', applyGalleryFilters);
+
+        // 2枚の画像の比較
+        const compareContent = document.getElementById('compareContent');
+        document.getElementById('compareButton').addEventListener('click', () => this.openComparePanel());
+        document.getElementById('closeCompareButton').addEventListener('click', () => this.closeComparePanel());
+        compareContent.addEventListener('input', () => this.updateCompareSlider());
+        compareContent.addEventListener('change', () => this.updateCompareSlider());
+
+        // プロンプトの分析 (タグをクリックすると画像一覧を絞り込む)
+        const analyticsSection = document.getElementById('analyticsSection');
+        document.getElementById('analyticsButton').addEventListener('click', () => this.openAnalyticsPanel());
+        document.getElementById('closeAnalyticsButton').addEventListener('click', () => this.closeAnalyticsPanel());
+        analyticsSection.addEventListener('change', () => this.renderPromptAnalytics());
+        analyticsSection.addEventListener('click', (e) => this.handleTokenClick(e));
+        document.getElementById('analyticsMetadata').addEventListener('click', (e) => this.handleTokenClick(e));
+        document.getElementById('tagFilter').addEventListener('click', (e) => {
+            if (!e.target.closest('button')) return;
+            this.tagFilter = null;
+            this.updateImageList();
+        });
+        document.querySelectorAll('input[name="scrubProfile"]').forEach(input => {
+            input.addEventListener('change', () => this.renderScrubPreview());
+        });
+        document.getElementById('scrubDownloadButton').addEventListener('click', () => this.downloadScrubbedImages(false));
+        document.getElementById('scrubZipButton').addEventListener('click', () => this.downloadScrubbedImages(true));
+
+        // テキストチャンクの編集
+        const textMetadata = document.getElementById('textMetadata');
+        document.getElementById('editTextButton').addEventListener('click', () => this.startTextEdit());
+        textMetadata.addEventListener('input', (e) => this.handleTextEditorInput(e));
+        textMetadata.addEventListener('click', (e) => this.handleTextEditorClick(e));
+
+        // チャンクの16進ダンプ
+        document.getElementById('rawMetadata').addEventListener('click', (e) => this.handleRawMetadataClick(e));
 
         // タブ切り替え
         document.querySelectorAll('.tab-button').forEach(button => {
             button.addEventListener('click', (e) => this.switchTab(e.target.dataset.tab));
         });
+
+        // オプション (表示言語、テーマなど)
+        document.getElementById('optionsLink').addEventListener('click', (e) => {
+            if (typeof chrome === 'undefined' || !chrome.runtime || !chrome.runtime.openOptionsPage) return;
+            e.preventDefault();
+            chrome.runtime.openOptionsPage();
+        });
+        if (typeof chrome !== 'undefined' && chrome.storage) {
+            chrome.storage.onChanged.addListener((changes, areaName) => {
+                if (areaName === 'local') this.handleSettingsChange(changes);
+            });
+        }
     }
 
     /**
@@ -58,52 +241,418 @@ class PNGInfoViewer {
         uploadArea.addEventListener('drop', (e) => {
             e.preventDefault();
             uploadArea.classList.remove('dragover');
-            const files = Array.from(e.dataTransfer.files).filter(file => file.type === 'image/png');
-            this.processFiles(files);
+
+            // エントリーはdropイベント中にしか取得できないため先に取り出しておく
+            const entries = Array.from(e.dataTransfer.items || [])
+                .filter(item => item.kind === 'file' && item.webkitGetAsEntry)
+                .map(item => item.webkitGetAsEntry())
+                .filter(Boolean);
+
+            // 他のタブから画像をドラッグした場合は、再エンコードされていない元の画像をURLから取得する
+            const urls = this.getImageUrlsFromDataTransfer(e.dataTransfer);
+
+            if (entries.some(entry => entry.isDirectory)) {
+                this.processEntries(entries);
+            } else if (urls.length > 0) {
+                this.processUrls(urls);
+            } else {
+                const files = Array.from(e.dataTransfer.files).filter(file => this.isSupportedImageFile(file));
+                this.processFiles(files);
+            }
+        });
+
+        // クリップボードからの貼り付け (Ctrl+V)
+        document.addEventListener('paste', (e) => this.handlePaste(e));
+    }
+
+    /**
+     * 貼り付け時の処理
+     * 画像データが含まれていればそれを、なければ貼り付けられた画像のURLから取得して読み込む
+     * @param {ClipboardEvent} event - 貼り付けイベント
+     */
+    handlePaste(event) {
+        // テキストチャンクの編集中などは通常の貼り付けを優先する
+        if (event.target.closest && event.target.closest('input, textarea, [contenteditable="true"]')) return;
+
+        const files = Array.from(event.clipboardData.files).filter(file => this.isSupportedImageFile(file));
+        const urls = this.getImageUrlsFromDataTransfer(event.clipboardData);
+        if (files.length === 0 && urls.length === 0) return;
+
+        event.preventDefault();
+        if (files.length > 0) {
+            // コピー元の画像URLが分かる場合は取得元として残す
+            const source = urls.length === 1 ? { url: urls[0] } : { clipboard: true };
+            this.processFiles(files, source);
+        } else {
+            this.processUrls(urls);
+        }
+    }
+
+    /**
+     * ドラッグ・貼り付けされたデータから画像のURLを取り出す
+     * text/uri-list を優先し、なければ text/html の img 要素から取得する
+     * @param {DataTransfer} dataTransfer - ドロップ・貼り付けされたデータ
+     * @returns {string[]} - 画像のURL (http/https/data のみ)
+     */
+    getImageUrlsFromDataTransfer(dataTransfer) {
+        const isFetchable = (url) => /^(https?:|data:image\/)/i.test(url);
+
+        const uriList = dataTransfer.getData('text/uri-list')
+            .split(/\r?\n/)
+            .map(line => line.trim())
+            .filter(line => line && !line.startsWith('#'));
+
+        const html = dataTransfer.getData('text/html');
+        const imageSources = html
+            ? Array.from(new DOMParser().parseFromString(html, 'text/html').querySelectorAll('img[src]')).map(img => img.src)
+            : [];
+
+        // 画像をドラッグした場合 uri-list にはリンク先が入ることがあるため img 要素のURLを優先する
+        const urls = imageSources.length > 0 ? imageSources : uriList;
+        return [...new Set(urls.filter(isFetchable))];
+    }
+
+    /**
+     * URLから画像を取得して読み込む
+     * @param {string[]} urls - 画像のURL
+     */
+    async processUrls(urls) {
+        const files = [];
+        const sources = [];
+        const deniedUrls = [];
+
+        const run = this.beginImport();
+        for (const [done, url] of urls.entries()) {
+            if (run.cancelled) break;
+            this.showImportProgress(this.t('fetchingImage', url.startsWith('data:') ? 'data URL' : url), done, urls.length);
+
+            try {
+                files.push(await this.fetchImageFromUrl({ srcUrl: url }));
+                sources.push({ url });
+            } catch (error) {
+                console.error(`Error fetching ${url}:`, error);
+                if (await this.hasHostAccess(url)) {
+                    this.showError(this.t('fetchImageFailed', url.startsWith('data:') ? 'data URL' : url));
+                } else {
+                    deniedUrls.push(url);
+                }
+            }
+        }
+
+        this.activeImports.delete(run);
+
+        if (deniedUrls.length > 0) {
+            this.showHostAccessPrompt(deniedUrls, () => this.processUrls(deniedUrls));
+        }
+        if (files.length > 0) {
+            await this.processFiles(files, sources);
+        } else {
+            this.hideImportProgress();
+        }
+    }
+
+    /**
+     * 画像のあるサイトへのアクセスが許可されているかを確認
+     * サイトへのアクセスはユーザーが許可したものに限るため、許可されていないサイトの画像は取得できないことがある
+     * @param {string} url - 画像URL
+     * @returns {Promise<boolean>} - 許可されている場合 (http(s) 以外のURLを含む) はtrue
+     */
+    async hasHostAccess(url) {
+        if (!/^https?:/i.test(url) || typeof chrome === 'undefined' || !chrome.permissions) return true;
+        return chrome.permissions.contains({ origins: [`${new URL(url).origin}/*`] });
+    }
+
+    /**
+     * 取得できなかった画像のサイトへのアクセスの許可を求める表示を出す
+     * 許可を求めるにはユーザー操作が必要なため、ボタンが押されたときに求めて、許可されたら取得し直す
+     * @param {string[]} urls - 取得できなかった画像URL
+     * @param {Function} retry - 許可された後に呼ぶ関数
+     */
+    showHostAccessPrompt(urls, retry) {
+        const origins = [...new Set(urls.map(url => new URL(url).origin))];
+        document.querySelectorAll('.host-access-prompt').forEach(prompt => prompt.remove());
+
+        const prompt = document.createElement('div');
+        prompt.className = 'host-access-prompt';
+        const message = document.createElement('span');
+        message.textContent = this.t('hostAccessRequired', origins.join(', '));
+        const button = document.createElement('button');
+        button.className = 'copy-button';
+        button.textContent = this.t('allowHostAccess');
+        button.addEventListener('click', async () => {
+            if (!(await chrome.permissions.request({ origins: origins.map(origin => `${origin}/*`) }))) return;
+            prompt.remove();
+            retry();
         });
+        prompt.append(message, button);
+
+        const uploadSection = document.querySelector('.upload-section');
+        uploadSection.parentNode.insertBefore(prompt, uploadSection.nextSibling);
     }
 
     /**
      * ファイル選択時の処理
+     * フォルダ選択の場合はサブフォルダ内のファイルも含まれるため、画像以外を除外する
      * @param {Event} event - ファイル選択イベント
      */
     handleFileSelect(event) {
         const files = Array.from(event.target.files);
-        this.processFiles(files);
+        this.processFiles(event.target.webkitdirectory ? files.filter(file => this.isSupportedImageFile(file)) : files);
+        event.target.value = '';
+    }
+
+    /**
+     * ドロップされたファイル・フォルダのエントリーを読み込む
+     * フォルダはサブフォルダまで再帰的にたどり、画像ファイルのみを処理する
+     * @param {FileSystemEntry[]} entries - ドロップされたエントリー
+     */
+    async processEntries(entries) {
+        const run = this.beginImport();
+        this.showImportProgress(this.t('readingFolder'), 0, 0);
+
+        const files = [];
+        const queue = [...entries];
+        try {
+            while (queue.length > 0 && !run.cancelled) {
+                const entry = queue.shift();
+                if (entry.isDirectory) {
+                    queue.push(...await this.readDirectoryEntries(entry));
+                } else if (entry.isFile) {
+                    const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+                    if (this.isSupportedImageFile(file)) files.push(file);
+                }
+                this.showImportProgress(this.t('readingFolderCount', files.length), 0, 0);
+            }
+        } catch (error) {
+            console.error('Error reading dropped folder:', error);
+            this.showError(this.t('readFolderFailed'));
+        }
+
+        this.activeImports.delete(run);
+        if (run.cancelled) {
+            this.hideImportProgress();
+            return;
+        }
+        await this.processFiles(files);
+    }
+
+    /**
+     * フォルダ内のエントリーをすべて取得
+     * readEntriesは一度にすべてを返さないため、空になるまで繰り返し呼ぶ
+     * @param {FileSystemDirectoryEntry} directory - フォルダのエントリー
+     * @returns {Promise<FileSystemEntry[]>} - フォルダ内のエントリー
+     */
+    async readDirectoryEntries(directory) {
+        const reader = directory.createReader();
+        const entries = [];
+
+        for (;;) {
+            const batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+            if (batch.length === 0) break;
+            entries.push(...batch);
+        }
+
+        return entries;
+    }
+
+    /**
+     * 読み込みを始める
+     * 読み込みが重なっても互いの中止の状態を変えないよう、実行ごとに状態を持つ
+     * @returns {Object} - { cancelled } (中止ボタンが押されるとtrueになる)
+     */
+    beginImport() {
+        const run = { cancelled: false };
+        this.activeImports.add(run);
+        return run;
+    }
+
+    /**
+     * 読み込みの進捗を表示
+     * @param {string} message - 表示するメッセージ
+     * @param {number} done - 処理済みの件数
+     * @param {number} total - 全体の件数 (0の場合は件数不明として表示)
+     */
+    showImportProgress(message, done, total) {
+        const progressBar = document.getElementById('importProgressBar');
+        document.getElementById('importProgress').style.display = 'flex';
+        document.getElementById('importProgressText').textContent = message;
+
+        if (total > 0) {
+            progressBar.max = total;
+            progressBar.value = done;
+        } else {
+            progressBar.removeAttribute('value');
+        }
+    }
+
+    /**
+     * 読み込みの進捗表示を隠す
+     */
+    hideImportProgress() {
+        document.getElementById('importProgress').style.display = 'none';
+    }
+
+    /**
+     * 右クリックメニューから渡された画像を読み込む
+     * URLの ?import=ID に対応するリクエストをセッションストレージから取り出して処理する
+     */
+    async loadPendingImport() {
+        const importId = new URLSearchParams(location.search).get('import');
+        if (!importId || typeof chrome === 'undefined' || !chrome.storage) return;
+
+        const key = `import:${importId}`;
+        const stored = await chrome.storage.session.get(key);
+        const request = stored[key];
+        if (!request) return;
+
+        await chrome.storage.session.remove(key);
+
+        const importRequest = async () => {
+            try {
+                const file = await this.fetchImageFromUrl(request);
+                await this.processFiles([file], { url: request.srcUrl, pageUrl: request.pageUrl });
+            } catch (error) {
+                console.error(`Error fetching ${request.srcUrl}:`, error);
+                if (await this.hasHostAccess(request.srcUrl)) {
+                    this.showError(this.t('fetchImageFailed', request.srcUrl));
+                } else {
+                    this.showHostAccessPrompt([request.srcUrl], importRequest);
+                }
+            }
+        };
+        await importRequest();
+    }
+
+    /**
+     * 画像URLから元のファイルのバイト列を取得
+     * blob: URLは取得元ページでしか読めないため、そのタブ内で読み取る
+     * @param {Object} request - { srcUrl, tabId, frameId, omitCredentials }
+     * @returns {Promise<File>} - 取得したファイル
+     */
+    async fetchImageFromUrl(request) {
+        let url = request.srcUrl;
+
+        if (url.startsWith('blob:')) {
+            const [result] = await chrome.scripting.executeScript({
+                target: { tabId: request.tabId, frameIds: [request.frameId || 0] },
+                func: async (blobUrl) => {
+                    const blob = await (await fetch(blobUrl)).blob();
+                    return new Promise((resolve, reject) => {
+                        const reader = new FileReader();
+                        reader.onload = () => resolve(reader.result);
+                        reader.onerror = () => reject(new Error('blob read error'));
+                        reader.readAsDataURL(blob);
+                    });
+                },
+                args: [url]
+            });
+            url = result.result;
+        }
+
+        const response = await fetch(url, { credentials: request.omitCredentials ? 'omit' : 'include', cache: 'force-cache' });
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+
+        const blob = await response.blob();
+        return new File([blob], this.getFileNameFromUrl(request.srcUrl, blob.type), { type: blob.type });
+    }
+
+    /**
+     * URLからファイル名を推定
+     * @param {string} url - 画像URL
+     * @param {string} mimeType - 取得したデータのMIMEタイプ
+     * @returns {string} - ファイル名
+     */
+    getFileNameFromUrl(url, mimeType) {
+        const extensions = { 'image/png': 'png', 'image/jpeg': 'jpg', 'image/webp': 'webp', 'image/avif': 'avif' };
+        let name = '';
+
+        if (!url.startsWith('data:') && !url.startsWith('blob:')) {
+            try {
+                name = decodeURIComponent(new URL(url).pathname.split('/').pop() || '');
+            } catch (error) {
+                name = '';
+            }
+        }
+
+        if (!name) name = 'image';
+        if (!/\.\w{3,4}$/.test(name) && extensions[mimeType]) {
+            name += `.${extensions[mimeType]}`;
+        }
+        return name;
     }
 
     /**
      * ファイル処理
      * @param {File[]} files - 処理するファイル配列
+     * @param {Object|Object[]} [source] - Web上の画像やクリップボードから取り込んだ場合の取得元 { url, pageUrl } / { clipboard: true }
+     *                                       (配列の場合はファイルごとの取得元)
      */
-    async processFiles(files) {
-        const pngFiles = files.filter(file => file.type === 'image/png');
+    async processFiles(files, source) {
+        const sources = new Map(files.map((file, i) => [file, Array.isArray(source) ? source[i] : source]));
+        const imageFiles = files.filter(file => this.isSupportedImageFile(file));
         
-        if (pngFiles.length === 0) {
-            this.showError('PNG画像ファイルを選択してください。');
+        if (imageFiles.length === 0) {
+            this.hideImportProgress();
+            this.showError(this.t('selectImageFiles'));
             return;
         }
 
-        for (const file of pngFiles) {
+        const run = this.beginImport();
+        for (const [done, file] of imageFiles.entries()) {
+            if (run.cancelled) break;
+            if (imageFiles.length > 1) {
+                this.showImportProgress(this.t('importProgress', [done, imageFiles.length, file.name]), done, imageFiles.length);
+            }
+
             try {
-                const imageData = await this.readFileAsArrayBuffer(file);
-                const metadata = await this.parsePNGMetadata(imageData);
-                const preview = await this.createImagePreview(file);
-                
-                this.uploadedImages.push({
+                // 一覧をすぐに表示できるよう、PNGは最初のIDATまでのみを解析する
+                // 全体の解析は、画像を表示したときや、絞り込み・書き出しなどで画像全体の情報が必要になったときに行う
+                const metadata = await this.runWorkerTask({ type: 'parse', file, headerOnly: true });
+
+                const image = {
                     file,
                     metadata,
-                    preview,
-                    name: file.name
-                });
+                    name: file.name,
+                    size: file.size,
+                    importedAt: Date.now(),
+                    source: sources.get(file)
+                };
+                image.historyId = await this.addHistoryEntry(image);
+                this.uploadedImages.push(image);
             } catch (error) {
                 console.error(`Error processing ${file.name}:`, error);
-                this.showError(`${file.name}の処理中にエラーが発生しました。`);
+                this.showError(this.t('processFileFailed', file.name));
+            }
+
+            // 大量に読み込む場合も途中経過が見えるよう一定件数ごとに一覧を更新
+            if (done % 50 === 49) {
+                this.updateImageList();
             }
         }
 
+        this.activeImports.delete(run);
+        this.hideImportProgress();
         this.updateImageList();
         this.showFirstImage();
+        this.renderHistory();
+
+        // 画像全体の情報を使う表示が開いている場合は、読み込んだ画像も解析する
+        if (this.isBatchViewOpen()) {
+            this.refreshBatchViews();
+            this.ensureFullMetadata().then(() => this.refreshBatchViews());
+        }
+    }
+
+    /**
+     * 対応している画像ファイルかどうかを判定
+     * @param {File} file - ファイル
+     * @returns {boolean} - PNG/JPEG/WebP/AVIFならtrue
+     */
+    isSupportedImageFile(file) {
+        const types = ['image/png', 'image/jpeg', 'image/webp', 'image/avif'];
+        return types.includes(file.type) || /\.(png|jpe?g|webp|avif)$/i.test(file.name);
     }
 
     /**
@@ -115,486 +664,3396 @@ class PNGInfoViewer {
         return new Promise((resolve, reject) => {
             const reader = new FileReader();
             reader.onload = () => resolve(reader.result);
-            reader.onerror = () => reject(new Error('ファイル読み込みエラー'));
+            reader.onerror = () => reject(new Error(this.t('readFileFailed')));
             reader.readAsArrayBuffer(file);
         });
     }
 
     /**
-     * 画像プレビューを作成
-     * @param {File} file - 画像ファイル
+     * ファイルをデータURLとして読み込み
+     * @param {Blob} file - 読み込むファイル
      * @returns {Promise<string>} - データURL
      */
-    createImagePreview(file) {
+    readFileAsDataURL(file) {
         return new Promise((resolve, reject) => {
             const reader = new FileReader();
             reader.onload = () => resolve(reader.result);
-            reader.onerror = () => reject(new Error('プレビュー作成エラー'));
+            reader.onerror = () => reject(new Error(this.t('readFileFailed')));
             reader.readAsDataURL(file);
         });
     }
 
     /**
-     * PNGメタデータを解析
-     * @param {ArrayBuffer} buffer - PNG画像データ
-     * @returns {Object} - 解析されたメタデータ
-     */
-    async parsePNGMetadata(buffer) {
-        const dataView = new DataView(buffer);
-        const metadata = {
-            textChunks: {},
-            technicalInfo: {},
-            rawChunks: []
-        };
+     * Web Workerに処理を依頼
+     * Workerは最初の依頼時に起動する
+     * @param {Object} message - { type: 'parse' | 'thumbnail', file, headerOnly, maxSize }
+     * @returns {Promise<*>} - 処理結果
+     */
+    runWorkerTask(message) {
+        if (!this.worker) {
+            this.worker = new Worker('metadata-worker.js', { type: 'module' });
+            this.worker.addEventListener('message', (e) => {
+                const { id, result, error } = e.data;
+                const task = this.workerTasks.get(id);
+                if (!task) return;
+
+                this.workerTasks.delete(id);
+                if (error) task.reject(new Error(error));
+                else task.resolve(result);
+            });
+            // Worker自体が失敗した場合 (読み込みの失敗など) は結果が返らないため、処理中の依頼をすべて失敗にして次の依頼で起動し直す
+            this.worker.addEventListener('error', (e) => {
+                e.preventDefault();
+                console.error('Metadata worker failed:', e.message);
+                this.worker.terminate();
+                this.worker = null;
+                for (const task of this.workerTasks.values()) {
+                    task.reject(new Error(e.message || this.t('workerFailed')));
+                }
+                this.workerTasks.clear();
+            });
+        }
+
+        const id = ++this.nextWorkerTaskId;
+        return new Promise((resolve, reject) => {
+            this.workerTasks.set(id, { resolve, reject });
+            this.worker.postMessage({ id, ...message });
+        });
+    }
+
+    /**
+     * プレビュー表示用のURLを取得
+     * 元のファイルはオブジェクトURLで参照し、履歴から開いた画像は保存された縮小画像を使う
+     * @param {Object} image - 画像情報
+     * @returns {string} - 画像のURL
+     */
+    getPreviewUrl(image) {
+        if (!image.file) return image.thumbnailUrl || '';
+
+        if (!image.objectUrl) {
+            image.objectUrl = URL.createObjectURL(image.file);
+        }
+        return image.objectUrl;
+    }
+
+    /**
+     * 一覧の縮小画像を画面内に入ったときに読み込むよう登録
+     * @param {HTMLImageElement} img - 縮小画像を表示する要素
+     * @param {Object} image - 画像情報
+     */
+    observeThumbnail(img, image) {
+        if (image.thumbnailUrl) {
+            img.src = image.thumbnailUrl;
+            return;
+        }
+
+        if (!this.thumbnailObserver) {
+            this.thumbnailObserver = new IntersectionObserver((entries) => {
+                for (const entry of entries) {
+                    if (!entry.isIntersecting) continue;
+                    this.thumbnailObserver.unobserve(entry.target);
+                    this.loadThumbnail(entry.target, this.thumbnailTargets.get(entry.target));
+                }
+            }, { rootMargin: '200px' });
+        }
+
+        this.thumbnailTargets.set(img, image);
+        this.thumbnailObserver.observe(img);
+    }
+
+    /**
+     * 縮小画像を作成して表示
+     * 同じ画像の作成が重複しないよう、作成中のPromiseを画像情報に保持する
+     * @param {HTMLImageElement} img - 縮小画像を表示する要素
+     * @param {Object} image - 画像情報
+     */
+    async loadThumbnail(img, image) {
+        if (!image || !image.file) return;
 
-        // PNG署名を確認
-        const pngSignature = [137, 80, 78, 71, 13, 10, 26, 10];
-        for (let i = 0; i < 8; i++) {
-            if (dataView.getUint8(i) !== pngSignature[i]) {
-                throw new Error('Invalid PNG file');
+        try {
+            if (!image.thumbnailPromise) {
+                image.thumbnailPromise = this.runWorkerTask({ type: 'thumbnail', file: image.file, maxSize: 256 })
+                    .then(blob => {
+                        image.thumbnailUrl = URL.createObjectURL(blob);
+                        if (image.historyId) this.saveHistoryThumbnail(image.historyId, blob);
+                        return image.thumbnailUrl;
+                    });
             }
+            img.src = await image.thumbnailPromise;
+        } catch (error) {
+            console.error(`Error creating thumbnail for ${image.name}:`, error);
         }
+    }
 
-        let offset = 8; // PNG署名の後から開始
+    /**
+     * 先頭のIDATまでしか解析していない画像を全体を読み込んで解析し直す
+     * 表示中の画像であれば表示を更新する
+     * 同じ画像の解析が重複しないよう、解析中のPromiseを画像情報に保持する
+     * @param {Object} image - 画像情報
+     * @returns {Promise<void>} - 解析の完了 (失敗した場合も解決し、先頭部分の解析結果のままになる)
+     */
+    loadFullMetadata(image) {
+        if (!image.file || !image.metadata.partial) return Promise.resolve();
 
-        while (offset < buffer.byteLength - 8) {
-            // チャンク長を読み取り
-            const chunkLength = dataView.getUint32(offset);
-            const chunkType = this.readString(dataView, offset + 4, 4);
-            const chunkData = buffer.slice(offset + 8, offset + 8 + chunkLength);
-            const crc = dataView.getUint32(offset + 8 + chunkLength);
+        if (!image.fullMetadataPromise) {
+            image.fullMetadataPromise = this.fullMetadataQueue = this.fullMetadataQueue
+                .then(() => this.runWorkerTask({ type: 'parse', file: image.file, headerOnly: false }))
+                .then(metadata => {
+                    image.metadata = metadata;
 
-            // チャンク情報を記録
-            metadata.rawChunks.push({
-                type: chunkType,
-                length: chunkLength,
-                offset: offset
-            });
+                    if (image.historyId) {
+                        this.updateHistoryEntry(image.historyId, { metadata: image.metadata });
+                    }
+                    if (this.uploadedImages[this.currentImageIndex] === image) {
+                        this.updateImageList();
+                        this.displayImageInfo(image);
+                        this.displayMetadata(image.metadata);
+                        if (this.sendPanelOpen) this.renderSendPanel();
+                    }
+                })
+                .catch(error => {
+                    console.error(`Error parsing ${image.name}:`, error);
+                });
+        }
+        return image.fullMetadataPromise;
+    }
+
+    /**
+     * 画像全体の解析が終わるのを待つ (まだ始まっていない画像は解析を始める)
+     * 表示した画像の解析が長く待たされないよう、1枚ずつ順番待ちに加える
+     * @param {Array} [images] - 対象の画像 (省略時は読み込んだすべての画像)
+     */
+    async ensureFullMetadata(images = this.uploadedImages) {
+        for (const image of images) {
+            // 解析中にクリアされた画像は解析しない
+            if (!this.uploadedImages.includes(image)) continue;
+            await this.loadFullMetadata(image);
+        }
+    }
+
+    /**
+     * 複数の画像のメタデータを使う表示 (絞り込み、比較、分析、削除のプレビュー) が開いているかどうか
+     * @returns {boolean} - 開いている場合はtrue
+     */
+    isBatchViewOpen() {
+        return this.isGalleryFiltered() || Boolean(this.compareSelection) || this.analyticsOpen
+            || document.getElementById('scrubSection').style.display !== 'none';
+    }
 
-            // チャンクタイプに応じて処理
-            await this.processChunk(chunkType, chunkData, metadata);
+    /**
+     * 全体の解析結果で、複数の画像のメタデータを使う表示 (一覧、絞り込み、比較、分析、削除のプレビュー) を更新
+     */
+    refreshBatchViews() {
+        if (this.uploadedImages.length === 0) return;
+
+        this.updateImageList();
+        if (this.compareSelection) this.renderComparison();
+        if (this.analyticsOpen) this.renderPromptAnalytics();
+        if (document.getElementById('scrubSection').style.display !== 'none') {
+            this.renderScrubPreview();
+        }
+    }
+
+    /**
+     * 無圧縮のZIPファイルを作成
+     * @param {Array<{name: string, data: Uint8Array}>} files - 格納するファイル
+     * @returns {Blob} - ZIPファイル
+     */
+    createZip(files) {
+        const encoder = new TextEncoder();
+        const now = new Date();
+        const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2);
+        const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+        const localParts = [];
+        const centralParts = [];
+        let offset = 0;
+
+        for (const file of files) {
+            const name = encoder.encode(file.name);
+            const crc = this.parser.crc32(file.data);
+
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034B50, true);
+            local.setUint16(4, 20, true); // 展開に必要なバージョン
+            local.setUint16(6, 0x0800, true); // ファイル名はUTF-8
+            local.setUint16(8, 0, true); // 無圧縮
+            local.setUint16(10, dosTime, true);
+            local.setUint16(12, dosDate, true);
+            local.setUint32(14, crc, true);
+            local.setUint32(18, file.data.length, true);
+            local.setUint32(22, file.data.length, true);
+            local.setUint16(26, name.length, true);
+            local.setUint16(28, 0, true);
+
+            const central = new DataView(new ArrayBuffer(46));
+            central.setUint32(0, 0x02014B50, true);
+            central.setUint16(4, 20, true);
+            central.setUint16(6, 20, true);
+            central.setUint16(8, 0x0800, true);
+            central.setUint16(10, 0, true);
+            central.setUint16(12, dosTime, true);
+            central.setUint16(14, dosDate, true);
+            central.setUint32(16, crc, true);
+            central.setUint32(20, file.data.length, true);
+            central.setUint32(24, file.data.length, true);
+            central.setUint16(28, name.length, true);
+            central.setUint32(42, offset, true); // ローカルヘッダーの位置
+
+            localParts.push(local, name, file.data);
+            centralParts.push(central, name);
+            offset += 30 + name.length + file.data.length;
+        }
+
+        const centralSize = centralParts.reduce((sum, part) => sum + part.byteLength, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054B50, true);
+        end.setUint16(8, files.length, true);
+        end.setUint16(10, files.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        return new Blob([...localParts, ...centralParts, end], { type: 'application/zip' });
+    }
+
+    /**
+     * 文字列をLatin-1のバイト列に変換
+     * @param {string} text - 変換する文字列
+     * @returns {Uint8Array|null} - バイト列 (Latin-1で表せない文字を含む場合はnull)
+     */
+    encodeLatin1(text) {
+        const bytes = new Uint8Array(text.length);
+        for (let i = 0; i < text.length; i++) {
+            const code = text.charCodeAt(i);
+            if (code > 0xFF) return null;
+            bytes[i] = code;
+        }
+        return bytes;
+    }
+
+    /**
+     * テキストエントリーをtEXt/zTXt/iTXtチャンクに変換
+     * 変更されていないエントリーは元のチャンクをそのまま返す
+     * @param {Object} entry - { type, keyword, text, compressed, languageTag, translatedKeyword, original, modified }
+     * @returns {Promise<Uint8Array>} - チャンク全体
+     */
+    async encodeTextEntry(entry) {
+        if (entry.original && !entry.modified) return entry.original;
+
+        const keyword = this.encodeLatin1(entry.keyword);
+        if (!keyword || keyword.length < 1 || keyword.length > 79 || keyword.includes(0)) {
+            throw new Error(this.t('invalidKeyword', entry.keyword));
+        }
+
+        const encoder = new TextEncoder();
+        let body;
 
-            offset += 12 + chunkLength; // 次のチャンクへ
+        switch (entry.type) {
+            case 'tEXt':
+            case 'zTXt': {
+                const text = this.encodeLatin1(entry.text);
+                if (!text) {
+                    throw new Error(this.t('nonLatin1Text', entry.keyword));
+                }
+                body = entry.type === 'tEXt'
+                    ? [text]
+                    : [new Uint8Array([0]), await this.parser.compressBytes(text, 'deflate')]; // 圧縮方式 0 (deflate)
+                break;
+            }
+
+            case 'iTXt': {
+                const text = encoder.encode(entry.text);
+                const languageTag = this.encodeLatin1(entry.languageTag || '');
+                if (!languageTag) {
+                    throw new Error(this.t('nonLatin1LanguageTag', entry.keyword));
+                }
+                body = [
+                    new Uint8Array([entry.compressed ? 1 : 0, 0]), // 圧縮フラグと圧縮方式
+                    languageTag,
+                    new Uint8Array([0]),
+                    encoder.encode(entry.translatedKeyword || ''),
+                    new Uint8Array([0]),
+                    entry.compressed ? await this.parser.compressBytes(text, 'deflate') : text
+                ];
+                break;
+            }
+
+            default:
+                throw new Error(`Unsupported text chunk type: ${entry.type}`);
+        }
+
+        const parts = [keyword, new Uint8Array([0]), ...body];
+        const data = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+        let position = 0;
+        for (const part of parts) {
+            data.set(part, position);
+            position += part.length;
+        }
+
+        return this.parser.createPNGChunk(entry.type, data);
+    }
+
+    /**
+     * 画像リストを更新
+     */
+    updateImageList() {
+        const imageList = document.getElementById('imageList');
+        const imageListSection = document.getElementById('imageListSection');
+        
+        if (this.uploadedImages.length === 0) {
+            imageListSection.style.display = 'none';
+            return;
+        }
+
+        imageListSection.style.display = 'block';
+        imageList.innerHTML = '';
+
+        this.updateGalleryFilterOptions();
+        this.renderTagFilter();
+        if (this.analyticsOpen) this.renderPromptAnalytics();
+        const indices = this.getVisibleImageIndices();
+        document.getElementById('galleryCount').textContent = this.t('galleryCount', [indices.length, this.uploadedImages.length]);
+
+        indices.forEach(index => {
+            const image = this.uploadedImages[index];
+            const item = document.createElement('div');
+            item.className = 'image-item';
+            if (index === this.currentImageIndex) {
+                item.classList.add('active');
+            }
+
+            const integrity = image.metadata.integrity;
+            const hasIssues = integrity && (integrity.errors.length > 0 || integrity.warnings.length > 0);
+            const integrityBadge = hasIssues
+                ? `<span class="integrity-badge${integrity.errors.length > 0 ? ' error' : ''}" title="${this.getIntegritySummary(integrity)}">⚠</span>`
+                : '';
+
+            item.innerHTML = `
+                <img alt="${this.escapeAttribute(image.name)}" class="image-thumbnail">
+                <div class="image-filename">${integrityBadge}${this.escapeHtml(image.name)}</div>
+                ${image.source ? `<div class="image-source" title="${this.escapeAttribute(image.source.url || '')}">${this.escapeHtml(this.getSourceLabel(image.source))}</div>` : ''}
+            `;
+            this.observeThumbnail(item.querySelector('img'), image);
+
+            if (this.compareSelection) {
+                const position = this.compareSelection.indexOf(index);
+                if (position !== -1) {
+                    item.classList.add('compare-selected');
+                    item.insertAdjacentHTML('beforeend', `<span class="compare-label">${position === 0 ? 'A' : 'B'}</span>`);
+                }
+            }
+
+            // 比較モード中は表示の切り替えではなく比較対象の選択にする
+            item.addEventListener('click', () => this.compareSelection ? this.toggleCompareSelection(index) : this.showImage(index));
+            imageList.appendChild(item);
+        });
+    }
+
+    /**
+     * 絞り込み条件に合う画像のインデックスを並べ替えて取得
+     * @returns {number[]} - 表示する画像のインデックス
+     */
+    getVisibleImageIndices() {
+        const value = (id) => document.getElementById(id).value;
+        const filters = this.getGalleryFilters();
+
+        const indices = this.uploadedImages
+            .map((image, index) => index)
+            .filter(index => this.matchesGalleryFilters(this.uploadedImages[index], filters));
+
+        return this.sortImageIndices(indices, value('gallerySort'), value('gallerySortOrder') === 'desc');
+    }
+
+    /**
+     * 検索・絞り込みの入力欄から絞り込み条件を取得
+     * @returns {Object} - { terms, generator, model, sampler, size, seedMin, seedMax }
+     */
+    getGalleryFilters() {
+        const value = (id) => document.getElementById(id).value;
+        const seedMin = value('filterSeedMin');
+        const seedMax = value('filterSeedMax');
+        return {
+            terms: value('gallerySearch').toLowerCase().split(/\s+/).filter(Boolean),
+            generator: value('filterGenerator'),
+            model: value('filterModel'),
+            sampler: value('filterSampler'),
+            size: value('filterSize'),
+            seedMin: seedMin === '' ? null : Number(seedMin),
+            seedMax: seedMax === '' ? null : Number(seedMax)
+        };
+    }
+
+    /**
+     * 検索・絞り込み (タグでの絞り込みを含む) をしているかどうか
+     * @returns {boolean} - 絞り込んでいる場合はtrue
+     */
+    isGalleryFiltered() {
+        const filters = this.getGalleryFilters();
+        return filters.terms.length > 0 || Boolean(filters.generator || filters.model || filters.sampler || filters.size)
+            || filters.seedMin !== null || filters.seedMax !== null || Boolean(this.tagFilter);
+    }
+
+    /**
+     * 画像が絞り込み条件に合うかどうかを判定
+     * @param {Object} image - 画像情報
+     * @param {Object} filters - { terms, generator, model, sampler, size, seedMin, seedMax }
+     * @returns {boolean} - 条件に合えばtrue
+     */
+    matchesGalleryFilters(image, filters) {
+        const generator = image.metadata.generator;
+        const params = generator ? generator.params : {};
+
+        if (filters.generator && (!generator || generator.name !== filters.generator)) return false;
+        if (filters.model && params.model !== filters.model) return false;
+        if (filters.sampler && params.sampler !== filters.sampler) return false;
+        if (filters.size && params.size !== filters.size) return false;
+        if (this.tagFilter && !this.matchesTagFilter(image, this.tagFilter)) return false;
+
+        if (filters.seedMin !== null || filters.seedMax !== null) {
+            const seed = Number(params.seed);
+            if (params.seed === undefined || Number.isNaN(seed)) return false;
+            if (filters.seedMin !== null && seed < filters.seedMin) return false;
+            if (filters.seedMax !== null && seed > filters.seedMax) return false;
+        }
+
+        if (filters.terms.length > 0) {
+            // プロンプト、テキストチャンクのキーワードと内容、ファイル名、取得元URLを検索対象にする
+            const haystack = [
+                image.name,
+                image.source && image.source.url,
+                params.prompt,
+                params.negative,
+                ...image.metadata.textChunks.flatMap(chunk => [chunk.keyword, chunk.text])
+            ].filter(Boolean).join('\n').toLowerCase();
+            if (!filters.terms.every(term => haystack.includes(term))) return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * 画像のインデックスを並べ替え
+     * 比較できる値がない画像は常に最後に並べる
+     * @param {number[]} indices - 画像のインデックス
+     * @param {string} sort - 'added', 'name', 'size', 'dimensions', 'modified'
+     * @param {boolean} descending - 降順にするかどうか
+     * @returns {number[]} - 並べ替えたインデックス
+     */
+    sortImageIndices(indices, sort, descending) {
+        const keyOf = (image) => {
+            const info = image.metadata.technicalInfo;
+            switch (sort) {
+                case 'name': return image.name.toLowerCase();
+                case 'size': return image.size;
+                case 'dimensions': return info.width && info.height ? info.width * info.height : null;
+                case 'modified': return info.lastModified || null;
+                default: return null;
+            }
+        };
+        if (sort === 'added') {
+            return descending ? indices.slice().reverse() : indices;
+        }
+
+        const collator = new Intl.Collator(undefined, { numeric: true });
+        return indices
+            .map(index => ({ index, key: keyOf(this.uploadedImages[index]) }))
+            .sort((a, b) => {
+                if (a.key === null || b.key === null) return (a.key === null) - (b.key === null);
+                const order = typeof a.key === 'string' ? collator.compare(a.key, b.key) : a.key - b.key;
+                return descending ? -order : order;
+            })
+            .map(entry => entry.index);
+    }
+
+    /**
+     * 絞り込み用のセレクトボックスの選択肢を読み込み済みの画像から作成
+     * 選択中の値は維持する
+     */
+    updateGalleryFilterOptions() {
+        const options = {
+            filterGenerator: (params, generator) => generator && generator.name,
+            filterModel: (params) => params.model,
+            filterSampler: (params) => params.sampler,
+            filterSize: (params) => params.size
+        };
+
+        for (const [id, getValue] of Object.entries(options)) {
+            const select = document.getElementById(id);
+            const current = select.value;
+            const values = new Set();
+            for (const image of this.uploadedImages) {
+                const generator = image.metadata.generator;
+                const value = getValue(generator ? generator.params : {}, generator);
+                if (value) values.add(value);
+            }
+
+            const sorted = [...values].sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+            const placeholder = select.options[0].outerHTML;
+            select.innerHTML = placeholder + sorted
+                .map(value => `<option value="${this.escapeAttribute(value)}">${this.escapeHtml(value)}</option>`)
+                .join('');
+            select.value = values.has(current) ? current : '';
+        }
+    }
+
+    /**
+     * 最初の画像を表示
+     */
+    showFirstImage() {
+        if (this.uploadedImages.length > 0) {
+            this.showImage(0);
+        }
+    }
+
+    /**
+     * 指定された画像を表示
+     * @param {number} index - 画像のインデックス
+     */
+    showImage(index) {
+        if (index < 0 || index >= this.uploadedImages.length) return;
+
+        this.currentImageIndex = index;
+        const image = this.uploadedImages[index];
+
+        // UI表示を更新
+        this.updateImageList();
+        this.displayImageInfo(image);
+        this.displayMetadata(image.metadata);
+        this.loadFullMetadata(image);
+        if (this.sendPanelOpen) this.renderSendPanel();
+
+        // 履歴から開いた画像は元のファイルがないため編集できない
+        if (!image.file) {
+            document.getElementById('textEditToolbar').style.display = 'none';
+        }
+
+        // PNGinfoセクションを表示
+        document.getElementById('pnginfoSection').style.display = 'block';
+    }
+
+    /**
+     * 画像情報を表示
+     * @param {Object} image - 画像オブジェクト
+     */
+    displayImageInfo(image) {
+        const previewImage = document.getElementById('previewImage');
+        const currentFilename = document.getElementById('currentFilename');
+        const imageInfo = document.getElementById('imageInfo');
+
+        previewImage.src = this.getPreviewUrl(image);
+        currentFilename.textContent = image.name;
+
+        const fileSize = this.formatFileSize(image.size);
+        const dimensions = `${image.metadata.technicalInfo.width || '?'} × ${image.metadata.technicalInfo.height || '?'}`;
+        
+        const generator = image.metadata.generator;
+        const generatorBadge = generator
+            ? `<span class="generator-badge" title="${this.escapeAttribute(generator.id)}">Generator: ${this.escapeHtml(generator.name)}</span><br>`
+            : '';
+
+        imageInfo.innerHTML = `
+            ${generatorBadge}
+            ${this.t('infoFormat')}: ${image.metadata.technicalInfo.format || '?'}<br>
+            ${this.t('infoFileSize')}: ${fileSize}<br>
+            ${this.t('infoResolution')}: ${dimensions}<br>
+            ${this.t('infoBitDepth')}: ${image.metadata.technicalInfo.bitDepth || '?'}bit<br>
+            ${image.metadata.stealth ? `${this.t('infoEmbedded')}: ${this.getStealthLabel(image.metadata.stealth)}<br>` : ''}
+            ${this.t('infoColorType')}: ${this.getColorTypeName(image.metadata.technicalInfo.colorType)}
+            ${image.metadata.integrity ? `${this.t('infoIntegrity')}: ${this.getIntegritySummary(image.metadata.integrity)}<br>` : ''}
+            ${image.source ? this.renderSourceInfo(image.source) : ''}
+        `;
+    }
+
+    /**
+     * 画像一覧に表示する取得元の短い表記を取得
+     * @param {Object} source - { url, pageUrl } / { clipboard: true }
+     * @returns {string} - 取得元のホスト名など
+     */
+    getSourceLabel(source) {
+        if (!source.url) return source.clipboard ? this.t('clipboard') : '';
+        if (source.url.startsWith('data:')) return 'data URL';
+
+        try {
+            return new URL(source.url).hostname || source.url;
+        } catch (error) {
+            return source.url;
+        }
+    }
+
+    /**
+     * Web上の画像の取得元を表示するHTMLを作成
+     * @param {Object} source - { url, pageUrl }
+     * @returns {string} - HTML
+     */
+    renderSourceInfo(source) {
+        const renderLink = (url) => {
+            // data: URLは長いため種類と長さのみ表示する
+            if (url.startsWith('data:')) {
+                return this.escapeHtml(this.t('dataUrlSummary', [url.slice(0, url.indexOf(',') + 1), url.length]));
+            }
+            return `<a href="${this.escapeAttribute(url)}" target="_blank" rel="noopener noreferrer">${this.escapeHtml(url)}</a>`;
+        };
+
+        let html = `<div class="source-info">${this.t('source')}: ${source.url ? renderLink(source.url) : this.escapeHtml(this.getSourceLabel(source))}`;
+        if (source.pageUrl) {
+            html += `<br>${this.t('sourcePage')}: ${renderLink(source.pageUrl)}`;
+        }
+        return html + '</div>';
+    }
+
+    /**
+     * メタデータを表示
+     * @param {Object} metadata - メタデータ
+     */
+    displayMetadata(metadata) {
+        this.textEditEntries = null;
+        document.getElementById('textEditToolbar').style.display = metadata.technicalInfo.format === 'PNG' ? '' : 'none';
+        this.displayTextMetadata(metadata.textChunks, metadata.stealth, metadata.stealthError);
+        this.displayParametersMetadata(metadata);
+        this.displayComfyUIMetadata(this.parser.getTextFields(metadata.textChunks));
+        this.displayTechnicalMetadata(metadata.technicalInfo);
+        this.displayRawMetadata(metadata.rawChunks, metadata.integrity);
+        this.displayPromptAnalysis(metadata);
+        this.displayProvenanceMetadata(metadata);
+    }
+
+    /**
+     * テキストメタデータを表示
+     * チャンクの出現順に、タイプ・圧縮・言語タグ・翻訳キーワード・位置も表示する
+     * オプションで指定されたキーワードは非表示にし、先頭に固定するキーワードはその順に並べる
+     * @param {Array} textChunks - テキストチャンクの一覧
+     * @param {Object} [stealth] - ステルス情報から読み取った場合の形式 { mode, compressed }
+     * @param {string} [stealthError] - ステルス情報を読み取れなかった場合のエラーメッセージ
+     */
+    displayTextMetadata(textChunks, stealth, stealthError) {
+        const textMetadata = document.getElementById('textMetadata');
+        const hiddenKeywords = this.settings.hiddenKeywords.map(keyword => keyword.toLowerCase());
+        const pinnedKeywords = this.settings.pinnedKeywords.map(keyword => keyword.toLowerCase());
+        const pinRank = (chunk) => {
+            const rank = pinnedKeywords.indexOf(chunk.keyword.toLowerCase());
+            return rank === -1 ? pinnedKeywords.length : rank;
+        };
+        const visibleChunks = textChunks
+            .filter(chunk => !hiddenKeywords.includes(chunk.keyword.toLowerCase()))
+            .sort((a, b) => pinRank(a) - pinRank(b));
+        const hiddenCount = textChunks.length - visibleChunks.length;
+        const hiddenNotice = hiddenCount > 0 ? `<div class="hidden-chunks-notice">${this.t('hiddenChunks', hiddenCount)}</div>` : '';
+        const stealthErrorNotice = stealthError
+            ? `<div class="metadata-item integrity-error">${this.t('stealthReadFailed', this.escapeHtml(stealthError))}</div>`
+            : '';
+
+        if (visibleChunks.length === 0) {
+            textMetadata.innerHTML = `${hiddenNotice}${stealthErrorNotice}<div class="metadata-item">${this.t('noTextFound')}</div>`;
+            return;
+        }
+
+        const keywordCounts = {};
+        for (const chunk of textChunks) {
+            keywordCounts[chunk.keyword] = (keywordCounts[chunk.keyword] || 0) + 1;
+        }
+
+        let html = hiddenNotice + stealthErrorNotice;
+        if (stealth) {
+            html += `<div class="stealth-notice">${this.t('stealthNotice', this.getStealthLabel(stealth))}</div>`;
+        }
+        for (const chunk of visibleChunks) {
+            const details = [this.escapeHtml(chunk.type)];
+            if (chunk.compressed) details.push(this.t('compressed'));
+            if (chunk.languageTag) details.push(`${this.t('languageTag')}: ${this.escapeHtml(chunk.languageTag)}`);
+            if (chunk.translatedKeyword) details.push(`${this.t('translatedKeyword')}: ${this.escapeHtml(chunk.translatedKeyword)}`);
+            if (chunk.offset !== null && chunk.offset !== undefined) details.push(`${this.t('offset')}: 0x${chunk.offset.toString(16).toUpperCase()}`);
+            if (keywordCounts[chunk.keyword] > 1) details.push(`<span class="duplicate">${this.t('duplicateKeyword')}</span>`);
+
+            html += `
+                <div class="metadata-item">
+                    <div class="metadata-key">${this.escapeHtml(chunk.keyword)}</div>
+                    <div class="text-chunk-details">${details.map(detail => `<span class="chunk-badge">${detail}</span>`).join('')}</div>
+                    <div class="metadata-value">${this.escapeHtml(chunk.text)}</div>
+                </div>
+            `;
+        }
+        textMetadata.innerHTML = html;
+    }
+
+    /**
+     * テキストチャンクの編集を開始
+     * 元のファイルからチャンクを読み直し、編集用のエントリーを作成する
+     */
+    async startTextEdit() {
+        const image = this.uploadedImages[this.currentImageIndex];
+        if (!image || image.metadata.technicalInfo.format !== 'PNG') return;
+        if (!image.file) {
+            this.showError(this.t('historyImageNotEditable'));
+            return;
+        }
+
+        try {
+            const buffer = await this.readFileAsArrayBuffer(image.file);
+            this.textEditEntries = await this.loadTextEntries(buffer);
+            document.getElementById('textEditToolbar').style.display = 'none';
+            this.renderTextEditor();
+        } catch (error) {
+            console.error('Error loading text chunks:', error);
+            this.showError(this.t('readTextChunksFailed'));
+        }
+    }
+
+    /**
+     * PNGのテキストチャンクを編集用のエントリーとして読み取る
+     * @param {ArrayBuffer} buffer - PNG画像データ
+     * @returns {Promise<Array>} - エントリー { type, keyword, text, compressed, languageTag, translatedKeyword, offset, original, modified }
+     */
+    async loadTextEntries(buffer) {
+        const entries = [];
+
+        for (const chunk of this.parser.readPNGChunks(buffer)) {
+            // 展開できないチャンクは編集の対象外にする (保存時はそのまま残す)
+            const parsed = await this.parser.parsePNGTextChunk(chunk.type, chunk.data.slice().buffer).catch(() => null);
+            if (!parsed) continue;
+
+            entries.push({
+                type: chunk.type,
+                ...parsed,
+                offset: chunk.offset,
+                original: chunk.bytes,
+                modified: false
+            });
+        }
+
+        return entries;
+    }
+
+    /**
+     * テキストチャンクの編集フォームを表示
+     */
+    renderTextEditor() {
+        const textMetadata = document.getElementById('textMetadata');
+        const types = ['tEXt', 'zTXt', 'iTXt'];
+
+        let html = '<div class="text-editor">';
+        this.textEditEntries.forEach((entry, index) => {
+            const typeOptions = types
+                .map(type => `<option value="${type}"${type === entry.type ? ' selected' : ''}>${type}</option>`)
+                .join('');
+            const itxtFields = entry.type !== 'iTXt' ? '' : `
+                <div class="text-edit-row">
+                    <input class="text-edit-field" data-field="languageTag" placeholder="${this.t('languageTagPlaceholder')}" value="${this.escapeAttribute(entry.languageTag)}">
+                    <input class="text-edit-field" data-field="translatedKeyword" placeholder="${this.t('translatedKeyword')}" value="${this.escapeAttribute(entry.translatedKeyword)}">
+                    <label><input type="checkbox" class="text-edit-field" data-field="compressed"${entry.compressed ? ' checked' : ''}> ${this.t('compressed')}</label>
+                </div>`;
+
+            html += `
+                <div class="metadata-item text-edit-entry" data-index="${index}">
+                    <div class="text-edit-row">
+                        <select class="text-edit-field" data-field="type">${typeOptions}</select>
+                        <input class="text-edit-field text-edit-keyword" data-field="keyword" placeholder="${this.t('keyword')}" value="${this.escapeAttribute(entry.keyword)}">
+                        <button class="reset-button text-edit-delete">${this.t('delete')}</button>
+                    </div>${itxtFields}
+                    <textarea class="text-edit-field" data-field="text" rows="4">${this.escapeHtml(entry.text)}</textarea>
+                </div>`;
+        });
+
+        html += `
+            <div class="text-edit-actions">
+                <button class="reset-button" id="addTextEntryButton">${this.t('addChunk')}</button>
+                <button class="upload-button" id="saveTextEntriesButton">${this.t('savePng')}</button>
+                <button class="reset-button" id="cancelTextEditButton">${this.t('cancel')}</button>
+            </div>
+        </div>`;
+
+        textMetadata.innerHTML = html;
+    }
+
+    /**
+     * 編集フォームの入力を反映
+     * @param {Event} event - inputイベント
+     */
+    handleTextEditorInput(event) {
+        const field = event.target.dataset.field;
+        const entryElement = event.target.closest('.text-edit-entry');
+        if (!this.textEditEntries || !field || !entryElement) return;
+
+        const entry = this.textEditEntries[Number(entryElement.dataset.index)];
+        entry[field] = event.target.type === 'checkbox' ? event.target.checked : event.target.value;
+        entry.modified = true;
+
+        // チャンクタイプによって入力欄が変わるため再描画する
+        if (field === 'type') {
+            entry.compressed = entry.type === 'zTXt';
+            this.renderTextEditor();
+        }
+    }
+
+    /**
+     * 編集フォームのボタン操作を処理
+     * @param {Event} event - clickイベント
+     */
+    handleTextEditorClick(event) {
+        if (!this.textEditEntries) return;
+
+        const target = event.target;
+        if (target.classList.contains('text-edit-delete')) {
+            const index = Number(target.closest('.text-edit-entry').dataset.index);
+            this.textEditEntries.splice(index, 1);
+            this.renderTextEditor();
+        } else if (target.id === 'addTextEntryButton') {
+            this.textEditEntries.push({
+                type: 'tEXt',
+                keyword: '',
+                text: '',
+                compressed: false,
+                languageTag: '',
+                translatedKeyword: '',
+                modified: true
+            });
+            this.renderTextEditor();
+        } else if (target.id === 'saveTextEntriesButton') {
+            this.saveEditedPNG();
+        } else if (target.id === 'cancelTextEditButton') {
+            this.showImage(this.currentImageIndex);
+        }
+    }
+
+    /**
+     * 編集したテキストチャンクでPNGを再構築してダウンロード
+     * 画像データなどテキスト以外のチャンクと、読み取れず編集対象にならなかったテキストチャンクは元のバイト列をそのまま使う
+     */
+    async saveEditedPNG() {
+        const image = this.uploadedImages[this.currentImageIndex];
+        const textTypes = ['tEXt', 'zTXt', 'iTXt'];
+
+        try {
+            const buffer = await this.readFileAsArrayBuffer(image.file);
+            const entriesByOffset = new Map(this.textEditEntries
+                .filter(entry => entry.offset !== undefined)
+                .map(entry => [entry.offset, entry]));
+            const newEntries = this.textEditEntries.filter(entry => entry.offset === undefined);
+
+            const parts = [new Uint8Array(buffer, 0, 8)];
+            let inserted = false;
+
+            for (const chunk of this.parser.readPNGChunks(buffer)) {
+                // 既存のテキストチャンクは元の位置に書き戻す (削除されたものは除外)
+                if (textTypes.includes(chunk.type)) {
+                    const entry = entriesByOffset.get(chunk.offset);
+                    if (entry) {
+                        parts.push(await this.encodeTextEntry(entry));
+                    } else if (!(await this.parser.parsePNGTextChunk(chunk.type, chunk.data.slice().buffer).catch(() => null))) {
+                        // 読み取れなかったチャンクは編集フォームに表示されないため、削除せずに残す
+                        parts.push(chunk.bytes);
+                    }
+                    continue;
+                }
+
+                // 追加したチャンクは最初のIDAT (なければIEND) の直前に挿入
+                if (!inserted && (chunk.type === 'IDAT' || chunk.type === 'IEND')) {
+                    for (const entry of newEntries) {
+                        parts.push(await this.encodeTextEntry(entry));
+                    }
+                    inserted = true;
+                }
+
+                parts.push(chunk.bytes);
+            }
+
+            if (!inserted && newEntries.length > 0) {
+                throw new Error(this.t('noTextChunkInsertPosition'));
+            }
+
+            const baseName = image.name.replace(/\.[^.]+$/, '');
+            await this.downloadBlob(new Blob(parts, { type: 'image/png' }), `${baseName}_edited.png`);
+        } catch (error) {
+            console.error('Error saving PNG:', error);
+            this.showError(error.message);
+        }
+    }
+
+    /**
+     * メタデータ削除のプロファイルに従ってチャンクを残すかどうかを判定
+     * @param {Object} chunk - { type, keyword } (JPEGはセグメント、WebPはRIFFチャンク)
+     * @param {string} profile - 'ancillary' / 'color' / 'prompts'
+     * @param {string} [format='PNG'] - 画像形式
+     * @returns {boolean} - 残す場合はtrue
+     */
+    shouldKeepChunk(chunk, profile, format = 'PNG') {
+        if (format === 'JPEG') return this.shouldKeepJPEGSegment(chunk, profile);
+        if (format === 'WebP') return this.shouldKeepWebPChunk(chunk, profile);
+
+        // 重要チャンク (タイプの1文字目が大文字) と透過情報、APNGのアニメーションは画像の表示に必要なため常に残す
+        if (/^[A-Z]/.test(chunk.type) || ['tRNS', 'acTL', 'fcTL', 'fdAT'].includes(chunk.type)) return true;
+
+        switch (profile) {
+            case 'ancillary':
+                return false;
+
+            case 'color':
+                return ['sRGB', 'gAMA', 'iCCP', 'cHRM', 'cICP', 'sBIT'].includes(chunk.type);
+
+            case 'prompts': {
+                // eXIfにはUserCommentなどの生成情報が入ることがあるため削除する (向きは scrubPNG で残す)
+                if (chunk.type === 'eXIf') return false;
+                const promptKeywords = [
+                    'parameters', 'prompt', 'workflow', 'Comment', 'Description', 'Dream',
+                    'sd-metadata', 'invokeai_metadata', 'invokeai_graph', 'invokeai_workflow',
+                    'fooocus_scheme', 'negative_prompt', 'use_stable_diffusion_model'
+                ];
+                return !promptKeywords.includes(chunk.keyword);
+            }
+
+            default:
+                return true;
+        }
+    }
+
+    /**
+     * メタデータ削除のプロファイルに従ってJPEGのセグメントを残すかどうかを判定
+     * 生成情報はEXIF (UserComment) とXMP、COMに書き込まれるため、prompts ではこれらを削除する
+     * (削除したEXIFの向きは scrubJPEG で残す)
+     * @param {Object} segment - { type, keyword }
+     * @param {string} profile - 'ancillary' / 'color' / 'prompts'
+     * @returns {boolean} - 残す場合はtrue
+     */
+    shouldKeepJPEGSegment(segment, profile) {
+        // APPnとCOM以外は画像データ、JFIF (APP0) とAdobe (APP14) は色の解釈に必要なため常に残す
+        if (!/^APP\d+$/.test(segment.type) && segment.type !== 'COM') return true;
+        if (segment.type === 'APP0' || segment.type === 'APP14') return true;
+
+        switch (profile) {
+            case 'ancillary':
+                return false;
+
+            case 'color':
+                return segment.type === 'APP2' && segment.keyword === 'ICC_PROFILE';
+
+            case 'prompts':
+                return segment.type !== 'COM' && !(segment.type === 'APP1' && ['Exif', 'http://ns.adobe.com/xap/1.0/'].includes(segment.keyword));
+
+            default:
+                return true;
+        }
+    }
+
+    /**
+     * メタデータ削除のプロファイルに従ってWebPのチャンクを残すかどうかを判定
+     * @param {Object} chunk - { type }
+     * @param {string} profile - 'ancillary' / 'color' / 'prompts'
+     * @returns {boolean} - 残す場合はtrue
+     */
+    shouldKeepWebPChunk(chunk, profile) {
+        // 画像データとアニメーションのチャンクは常に残す
+        if (['VP8X', 'VP8 ', 'VP8L', 'ALPH', 'ANIM', 'ANMF'].includes(chunk.type)) return true;
+
+        switch (profile) {
+            case 'ancillary':
+                return false;
+
+            case 'color':
+                return chunk.type === 'ICCP';
+
+            case 'prompts':
+                return !['EXIF', 'XMP '].includes(chunk.type);
+
+            default:
+                return true;
+        }
+    }
+
+    /**
+     * メタデータを削除できる画像形式の拡張子とMIMEタイプを取得
+     * @param {string} format - 画像形式
+     * @returns {Object|null} - { extension, type } (対象外の形式はnull)
+     */
+    getScrubFormat(format) {
+        const formats = {
+            PNG: { extension: 'png', type: 'image/png' },
+            JPEG: { extension: 'jpg', type: 'image/jpeg' },
+            WebP: { extension: 'webp', type: 'image/webp' }
+        };
+        return formats[format] || null;
+    }
+
+    /**
+     * 選択中のメタデータ削除プロファイルを取得
+     * @returns {string} - プロファイル名
+     */
+    getScrubProfile() {
+        const checked = document.querySelector('input[name="scrubProfile"]:checked');
+        return checked ? checked.value : 'ancillary';
+    }
+
+    /**
+     * メタデータ一括削除パネルを開く
+     */
+    openScrubPanel() {
+        document.getElementById('scrubSection').style.display = 'block';
+        this.renderScrubPreview();
+        this.ensureFullMetadata().then(() => this.refreshBatchViews());
+    }
+
+    /**
+     * 書き出し用に画像の情報をまとめる
+     * @param {Object} image - 画像情報
+     * @returns {Object} - { name, size, importedAt, source, metadata }
+     */
+    getExportRecord(image) {
+        return {
+            name: image.name,
+            size: image.size,
+            importedAt: new Date(image.importedAt).toISOString(),
+            source: image.source || null,
+            metadata: image.metadata
+        };
+    }
+
+    /**
+     * メタデータをJSONファイルとして書き出し
+     * 1枚の場合はオブジェクト、複数枚の場合は配列にする
+     * @param {Array} images - 書き出す画像
+     * @param {string} filename - ファイル名
+     */
+    async exportJSON(images, filename) {
+        if (images.length === 0) return;
+
+        await this.ensureFullMetadata(images);
+
+        const records = images.map(image => this.getExportRecord(image));
+        const json = JSON.stringify(records.length === 1 ? records[0] : records, null, 2);
+        await this.downloadBlob(new Blob([json], { type: 'application/json' }), filename);
+    }
+
+    /**
+     * 生成パラメータを1画像1行のCSVとして書き出し
+     * @param {Array} images - 書き出す画像
+     */
+    async exportCSV(images) {
+        if (images.length === 0) return;
+
+        await this.ensureFullMetadata(images);
+
+        const columns = ['file', 'format', 'width', 'height', 'generator', 'prompt', 'negative', 'seed', 'steps', 'sampler', 'cfg', 'model', 'size'];
+        const escapeCell = (value) => {
+            const text = value === undefined || value === null ? '' : String(value);
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+
+        const rows = images.map(image => {
+            const { technicalInfo, generator } = image.metadata;
+            const params = generator ? generator.params : {};
+            return [
+                image.name,
+                technicalInfo.format,
+                technicalInfo.width,
+                technicalInfo.height,
+                generator && generator.name,
+                params.prompt,
+                params.negative,
+                params.seed,
+                params.steps,
+                params.sampler,
+                params.cfg,
+                params.model,
+                params.size
+            ].map(escapeCell).join(',');
+        });
+
+        // ExcelでUTF-8として開けるようBOMを付ける
+        const csv = '\uFEFF' + [columns.join(','), ...rows].join('\r\n') + '\r\n';
+        await this.downloadBlob(new Blob([csv], { type: 'text/csv' }), 'pnginfo_metadata.csv');
+    }
+
+    /**
+     * 生成パラメータをA1111 WebUIの "PNG Info" に貼り付けられる形式にする
+     * 元のparametersテキストがA1111形式であればそのまま使う
+     * @param {Object} metadata - メタデータ
+     * @returns {string|null} - A1111形式のテキスト (生成パラメータがない場合はnull)
+     */
+    formatA1111Parameters(metadata) {
+        const parameters = this.parser.getTextFields(metadata.textChunks).parameters;
+        if (parameters && !this.parser.parseJsonObject(parameters) && /^Steps: /m.test(parameters)) {
+            return parameters.trim();
+        }
+
+        const generator = metadata.generator;
+        if (!generator) return null;
+
+        // A1111と同じく、区切り文字を含む値はJSON文字列として引用する
+        const quote = (value) => /[,:\n]/.test(value) ? JSON.stringify(value) : value;
+        const { params } = generator;
+        const settings = [
+            ['Steps', params.steps],
+            ['Sampler', params.sampler],
+            ['CFG scale', params.cfg],
+            ['Seed', params.seed],
+            ['Size', params.size],
+            ['Model', params.model]
+        ].filter(([, value]) => value !== undefined);
+
+        const lines = [params.prompt || ''];
+        if (params.negative) lines.push(`Negative prompt: ${params.negative}`);
+        if (settings.length > 0) lines.push(settings.map(([key, value]) => `${key}: ${quote(String(value))}`).join(', '));
+        return lines.join('\n');
+    }
+
+    /**
+     * 表示中の画像の生成パラメータをA1111形式でコピー
+     * @param {HTMLElement} button - 結果を表示するボタン
+     */
+    async copyA1111Parameters(button) {
+        const image = this.uploadedImages[this.currentImageIndex];
+        if (!image) return;
+
+        const text = this.formatA1111Parameters(image.metadata);
+        if (text === null) {
+            this.showError(this.t('noParametersToCopy'));
+            return;
+        }
+        await this.copyToClipboard(text, button);
+    }
+
+    /**
+     * 生成サーバーへの送信パネルを開く
+     */
+    openSendPanel() {
+        this.sendPanelOpen = true;
+        this.renderSendPanel();
+    }
+
+    /**
+     * 生成サーバーへの送信パネルを閉じる
+     */
+    closeSendPanel() {
+        this.sendPanelOpen = false;
+        const sendPanel = document.getElementById('sendPanel');
+        sendPanel.style.display = 'none';
+        sendPanel.innerHTML = '';
+    }
+
+    /**
+     * 生成サーバーのURLの設定を取得
+     * @returns {Promise<Object>} - { a1111: URL, comfyui: URL }
+     */
+    async getSendEndpoints() {
+        const defaults = { a1111Endpoint: 'http://127.0.0.1:7860', comfyuiEndpoint: 'http://127.0.0.1:8188' };
+        const stored = typeof chrome !== 'undefined' && chrome.storage ? await chrome.storage.local.get(defaults) : defaults;
+        return { a1111: stored.a1111Endpoint, comfyui: stored.comfyuiEndpoint };
+    }
+
+    /**
+     * 表示中の画像に埋め込まれたComfyUIのAPI形式のpromptを取得
+     * @param {Object} metadata - メタデータ
+     * @returns {Object|null} - comfyui { prompt, workflow, summary } (API形式のpromptがない場合はnull)
+     */
+    getComfyUIPrompt(metadata) {
+        const comfyui = this.parser.parseComfyUIMetadata(this.parser.getTextFields(metadata.textChunks));
+        return comfyui && comfyui.prompt ? comfyui : null;
+    }
+
+    /**
+     * 送信パネルを表示
+     * 解析したパラメータを初期値とし、送信前にSeedなどを変更できるようにする
+     */
+    async renderSendPanel() {
+        const image = this.uploadedImages[this.currentImageIndex];
+        const sendPanel = document.getElementById('sendPanel');
+        if (!image) return;
+
+        const endpoints = await this.getSendEndpoints();
+        const params = image.metadata.generator ? image.metadata.generator.params : {};
+        const [width, height] = String(params.size || '').split('x');
+        const comfyui = this.getComfyUIPrompt(image.metadata);
+        const target = comfyui ? 'comfyui' : 'a1111';
+        const field = (name, label, value, type = 'text') => `
+            <label class="send-field">
+                <span>${label}</span>
+                <input type="${type}" name="${name}" value="${this.escapeAttribute(value === undefined || value === null ? '' : String(value))}">
+            </label>
+        `;
+
+        sendPanel.innerHTML = `
+            <div class="send-targets">
+                <label><input type="radio" name="sendTarget" value="a1111" ${target === 'a1111' ? 'checked' : ''}> Stable Diffusion WebUI (txt2img)</label>
+                <label><input type="radio" name="sendTarget" value="comfyui" ${target === 'comfyui' ? 'checked' : ''} ${comfyui ? '' : 'disabled'}> ${this.t('sendTargetComfyUI')}</label>
+            </div>
+            ${field('endpoint', this.t('serverUrl'), endpoints[target])}
+            <label class="send-field send-field-wide">
+                <span>${this.t('prompt')}</span>
+                <textarea name="prompt" rows="3">${this.escapeHtml(params.prompt || '')}</textarea>
+            </label>
+            <label class="send-field send-field-wide">
+                <span>${this.t('negativePrompt')}</span>
+                <textarea name="negative" rows="2">${this.escapeHtml(params.negative || '')}</textarea>
+            </label>
+            <div class="send-fields">
+                <div class="send-seed">
+                    ${field('seed', 'Seed', params.seed, 'number')}
+                    <button class="copy-button" data-send-action="random-seed">${this.t('random')}</button>
+                </div>
+                ${field('steps', 'Steps', params.steps, 'number')}
+                ${field('cfg', 'CFG', params.cfg, 'number')}
+                ${field('sampler', 'Sampler', params.sampler)}
+                ${field('width', this.t('width'), width, 'number')}
+                ${field('height', this.t('height'), height, 'number')}
+                ${field('model', this.t('modelOverride'), params.model)}
+            </div>
+            <div class="send-hint" id="sendHint"></div>
+            <div class="send-actions">
+                <button class="upload-button" data-send-action="send">${this.t('send')}</button>
+                <button class="reset-button" data-send-action="close">${this.t('close')}</button>
+            </div>
+            <div class="send-status" id="sendStatus"></div>
+        `;
+        sendPanel.querySelector('[name="cfg"]').step = 'any';
+        sendPanel.style.display = 'block';
+        this.updateSendHint(target);
+    }
+
+    /**
+     * 送信先の切り替え
+     * @param {string} target - 'a1111' または 'comfyui'
+     */
+    async switchSendTarget(target) {
+        const endpoints = await this.getSendEndpoints();
+        document.querySelector('#sendPanel [name="endpoint"]').value = endpoints[target];
+        this.updateSendHint(target);
+    }
+
+    /**
+     * 送信先ごとの注意を表示
+     * @param {string} target - 'a1111' または 'comfyui'
+     */
+    updateSendHint(target) {
+        document.getElementById('sendHint').textContent = target === 'comfyui'
+            ? this.t('sendHintComfyUI')
+            : this.t('sendHintA1111');
+    }
+
+    /**
+     * 送信パネル内のボタンのクリック処理
+     * @param {Event} e - クリックイベント
+     */
+    handleSendPanelClick(e) {
+        const button = e.target.closest('[data-send-action]');
+        if (!button) return;
+
+        const action = button.dataset.sendAction;
+        if (action === 'close') {
+            this.closeSendPanel();
+        } else if (action === 'random-seed') {
+            document.querySelector('#sendPanel [name="seed"]').value = Math.floor(Math.random() * 2 ** 32);
+        } else if (action === 'send') {
+            this.sendToServer(button);
+        }
+    }
+
+    /**
+     * 送信状態を表示
+     * @param {string} message - 表示するメッセージ
+     * @param {string} [state] - 'success' / 'error' / 省略時は処理中
+     */
+    setSendStatus(message, state = '') {
+        const status = document.getElementById('sendStatus');
+        status.textContent = message;
+        status.className = `send-status ${state}`;
+    }
+
+    /**
+     * 送信パネルの入力内容でローカルの生成サーバーに送信
+     * @param {HTMLButtonElement} button - 送信ボタン
+     */
+    async sendToServer(button) {
+        const image = this.uploadedImages[this.currentImageIndex];
+        const sendPanel = document.getElementById('sendPanel');
+        const form = Object.fromEntries(
+            Array.from(sendPanel.querySelectorAll('input[name]:not([type="radio"]), textarea[name]')).map(input => [input.name, input.value.trim()])
+        );
+        const target = sendPanel.querySelector('[name="sendTarget"]:checked').value;
+        const endpoint = form.endpoint.replace(/\/+$/, '');
+
+        if (!/^https?:\/\//i.test(endpoint)) {
+            this.setSendStatus(this.t('invalidServerUrl'), 'error');
+            return;
+        }
+        if (typeof chrome !== 'undefined' && chrome.storage) {
+            await chrome.storage.local.set({ [`${target}Endpoint`]: endpoint });
+        }
+
+        button.disabled = true;
+        try {
+            if (target === 'comfyui') {
+                await this.queueComfyUIPrompt(endpoint, this.getComfyUIPrompt(image.metadata), form);
+            } else {
+                await this.sendA1111Txt2Img(endpoint, form);
+            }
+        } catch (error) {
+            console.error('Failed to send parameters:', error);
+            this.setSendStatus(this.t('sendFailed', error.message), 'error');
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    /**
+     * サーバーにJSONを送信してレスポンスのJSONを返す
+     * @param {string} url - 送信先URL
+     * @param {Object} body - 送信する内容
+     * @returns {Promise<Object>} - レスポンスのJSON
+     */
+    async postJson(url, body) {
+        let response;
+        try {
+            response = await fetch(url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(body)
+            });
+        } catch (error) {
+            throw new Error(this.t('serverUnreachable', url));
+        }
+
+        const text = await response.text();
+        let data = null;
+        try {
+            data = text ? JSON.parse(text) : null;
+        } catch (error) {
+            data = null;
+        }
+
+        if (!response.ok) {
+            const detail = data && (data.error && (data.error.message || data.error) || data.detail || data.errors);
+            const nodeErrors = data && data.node_errors ? Object.entries(data.node_errors)
+                .map(([id, node]) => `#${id} ${node.class_type}: ${(node.errors || []).map(error => error.message).join(', ')}`)
+                .join(' / ') : '';
+            // 拡張機能からのリクエストはサーバーの設定によってはOriginの確認で拒否される
+            const hint = response.status === 403 ? this.t('comfyUICorsHint') : '';
+            throw new Error(`HTTP ${response.status} ${[typeof detail === 'string' ? detail : JSON.stringify(detail || text.slice(0, 200)), nodeErrors, hint].filter(Boolean).join(' ')}`);
+        }
+        return data;
+    }
+
+    /**
+     * 送信パネルの数値入力を数値に変換 (空欄はundefined)
+     * @param {string} value - 入力値
+     * @returns {number|undefined} - 数値
+     */
+    parseSendNumber(value) {
+        if (value === '' || value === undefined) return undefined;
+        const number = Number(value);
+        return Number.isNaN(number) ? undefined : number;
+    }
+
+    /**
+     * Stable Diffusion WebUI の txt2img API で生成し、結果の画像を一覧に追加
+     * @param {string} endpoint - サーバーのURL
+     * @param {Object} form - 送信パネルの入力内容
+     */
+    async sendA1111Txt2Img(endpoint, form) {
+        const payload = {
+            prompt: form.prompt,
+            negative_prompt: form.negative,
+            seed: this.parseSendNumber(form.seed),
+            steps: this.parseSendNumber(form.steps),
+            cfg_scale: this.parseSendNumber(form.cfg),
+            sampler_name: form.sampler || undefined,
+            width: this.parseSendNumber(form.width),
+            height: this.parseSendNumber(form.height)
+        };
+        if (form.model) {
+            payload.override_settings = { sd_model_checkpoint: form.model };
+        }
+
+        this.setSendStatus(this.t('generating'));
+        const data = await this.postJson(`${endpoint}/sdapi/v1/txt2img`, payload);
+        if (!data || !Array.isArray(data.images) || data.images.length === 0) {
+            throw new Error(this.t('noGeneratedImages'));
+        }
+
+        // 生成された画像はPNGのparametersを含むため、そのまま読み込んで確認できる
+        const files = data.images.map((base64, i) => {
+            const binary = atob(base64.replace(/^data:[^,]*,/, ''));
+            const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+            return new File([bytes], `txt2img_${Date.now()}_${i + 1}.png`, { type: 'image/png' });
+        });
+        await this.processFiles(files, { url: `${endpoint}/sdapi/v1/txt2img` });
+        this.setSendStatus(this.t('generationDone', files.length), 'success');
+    }
+
+    /**
+     * 埋め込まれたComfyUIのワークフローを、送信パネルの入力で上書きしてキューに追加
+     * 値が他のノードからの接続になっている入力は変更しない
+     * @param {string} endpoint - サーバーのURL
+     * @param {Object} comfyui - { prompt, summary }
+     * @param {Object} form - 送信パネルの入力内容
+     */
+    async queueComfyUIPrompt(endpoint, comfyui, form) {
+        if (!comfyui) {
+            throw new Error(this.t('noComfyUIPrompt'));
+        }
+
+        const prompt = JSON.parse(JSON.stringify(comfyui.prompt));
+        const setInput = (id, key, value) => {
+            const inputs = prompt[id] && prompt[id].inputs;
+            if (inputs && value !== undefined && key in inputs && !Array.isArray(inputs[key])) {
+                inputs[key] = value;
+            }
+        };
+
+        for (const sampler of comfyui.summary.samplers) {
+            setInput(sampler.id, 'seed', this.parseSendNumber(form.seed));
+            setInput(sampler.id, 'noise_seed', this.parseSendNumber(form.seed));
+            setInput(sampler.id, 'steps', this.parseSendNumber(form.steps));
+            setInput(sampler.id, 'cfg', this.parseSendNumber(form.cfg));
+        }
+        // プロンプトはどのノードに入れるか一意に決まる場合のみ上書きする
+        for (const [list, text] of [[comfyui.summary.positivePrompts, form.prompt], [comfyui.summary.negativePrompts, form.negative]]) {
+            if (list.length === 1) setInput(list[0].id, 'text', text);
+        }
+
+        this.setSendStatus(this.t('queueing'));
+        const data = await this.postJson(`${endpoint}/prompt`, { prompt, client_id: 'pnginfo-viewer' });
+        this.setSendStatus(this.t('queued', [data && data.prompt_id, data && data.number]), 'success');
+    }
+
+    /**
+     * 比較パネルを開き、比較する画像の選択を始める
+     * 表示中の画像を比較対象Aとして選択しておく
+     */
+    openComparePanel() {
+        this.compareSelection = this.currentImageIndex === -1 ? [] : [this.currentImageIndex];
+        document.getElementById('compareSection').style.display = 'block';
+        this.updateImageList();
+        this.renderComparison();
+    }
+
+    /**
+     * 比較パネルを閉じる
+     */
+    closeComparePanel() {
+        this.compareSelection = null;
+        document.getElementById('compareSection').style.display = 'none';
+        this.updateImageList();
+    }
+
+    /**
+     * 比較対象の選択を切り替え
+     * 3枚目を選んだ場合は古い方の選択を外す
+     * @param {number} index - 画像のインデックス
+     */
+    toggleCompareSelection(index) {
+        const position = this.compareSelection.indexOf(index);
+        if (position !== -1) {
+            this.compareSelection.splice(position, 1);
+        } else {
+            this.compareSelection.push(index);
+            if (this.compareSelection.length > 2) this.compareSelection.shift();
+        }
+
+        this.updateImageList();
+        this.renderComparison();
+    }
+
+    /**
+     * 選択した2枚の画像の比較結果を表示
+     */
+    renderComparison() {
+        const compareContent = document.getElementById('compareContent');
+        const hint = document.getElementById('compareHint');
+
+        if (this.compareSelection.length < 2) {
+            hint.style.display = '';
+            compareContent.innerHTML = '';
+            return;
+        }
+        hint.style.display = 'none';
+
+        const [a, b] = this.compareSelection.map(index => this.uploadedImages[index]);
+        // 先頭部分しか解析していない画像は全体を解析してから表示し直す (解析に失敗した画像は繰り返さない)
+        if ([a, b].some(image => image.metadata.partial && !image.fullMetadataPromise)) {
+            this.ensureFullMetadata([a, b]).then(() => this.refreshBatchViews());
+        }
+        const paramsA = a.metadata.generator ? a.metadata.generator.params : {};
+        const paramsB = b.metadata.generator ? b.metadata.generator.params : {};
+
+        let html = `
+            <div class="compare-preview">
+                <div class="compare-controls">
+                    <label><input type="radio" name="compareMode" value="swipe" checked> ${this.t('compareSwipe')}</label>
+                    <label><input type="radio" name="compareMode" value="overlay"> ${this.t('compareOverlay')}</label>
+                    <input type="range" id="compareSlider" min="0" max="100" value="50">
+                </div>
+                <div class="compare-stage">
+                    <img src="${this.getPreviewUrl(a)}" alt="A" class="compare-image">
+                    <img src="${this.getPreviewUrl(b)}" alt="B" class="compare-image compare-image-top" id="compareTopImage">
+                    <div class="compare-divider" id="compareDivider"></div>
+                </div>
+                <div class="compare-names">
+                    <span>A: ${this.escapeHtml(a.name)}</span>
+                    <span>B: ${this.escapeHtml(b.name)}</span>
+                </div>
+            </div>
+        `;
+
+        const renderPromptDiff = (title, textA, textB) => {
+            const diff = this.diffWords(textA || '', textB || '');
+            return `
+                <h3>${title}</h3>
+                <div class="compare-columns">
+                    <div class="metadata-item compare-diff">${this.renderWordDiff(diff, 'removed')}</div>
+                    <div class="metadata-item compare-diff">${this.renderWordDiff(diff, 'added')}</div>
+                </div>
+            `;
+        };
+        html += '<div class="metadata-section compare-details">';
+        html += renderPromptDiff('Prompt', paramsA.prompt, paramsB.prompt);
+        html += renderPromptDiff('Negative prompt', paramsA.negative, paramsB.negative);
+
+        const settingsA = this.getComparableSettings(a.metadata);
+        const settingsB = this.getComparableSettings(b.metadata);
+        const keys = [...new Set([...Object.keys(settingsA), ...Object.keys(settingsB)])]
+            .filter(key => settingsA[key] !== settingsB[key]);
+
+        html += `<h3>${this.t('differentSettings')}</h3>`;
+        if (keys.length === 0) {
+            html += `<div class="metadata-item">${this.t('noSettingDifferences')}</div>`;
+        } else {
+            html += '<table class="parameters-table compare-table"><tr><th></th><th>A</th><th>B</th></tr>';
+            for (const key of keys) {
+                html += `
+                    <tr>
+                        <th>${this.escapeHtml(key)}</th>
+                        <td>${this.escapeHtml(settingsA[key] !== undefined ? settingsA[key] : '-')}</td>
+                        <td>${this.escapeHtml(settingsB[key] !== undefined ? settingsB[key] : '-')}</td>
+                    </tr>
+                `;
+            }
+            html += '</table>';
+        }
+        html += '</div>';
+
+        compareContent.innerHTML = html;
+        this.updateCompareSlider();
+    }
+
+    /**
+     * 比較用の設定項目を取得
+     * 共通スキーマの項目と未対応の項目をまとめ、LoRAは1項目に集約する
+     * @param {Object} metadata - メタデータ
+     * @returns {Object} - 表示名ごとの値
+     */
+    getComparableSettings(metadata) {
+        const settings = {};
+        const generator = metadata.generator;
+        if (!generator) return settings;
+
+        for (const [field, label] of Object.entries(this.getParameterLabels())) {
+            if (generator.params[field] !== undefined) settings[label] = generator.params[field];
+        }
+
+        // A1111形式はプロンプト内の <lora:名前:重み>、ComfyUIは "LoRA #ノードID" の項目
+        const loras = [...(generator.params.prompt || '').matchAll(/<lora:([^:>]+)(?::([^:>]+))?[^>]*>/gi)]
+            .map(match => match[2] ? `${match[1]} (${match[2]})` : match[1]);
+        for (const { key, value } of generator.unmapped) {
+            if (key.startsWith('LoRA #')) loras.push(value);
+            else settings[key] = value;
+        }
+        if (loras.length > 0) settings.LoRA = loras.sort().join(', ');
+
+        return settings;
+    }
+
+    /**
+     * 単語単位の差分を計算 (最長共通部分列)
+     * @param {string} textA - 比較元のテキスト
+     * @param {string} textB - 比較先のテキスト
+     * @returns {Array<{type: string, text: string}>} - 差分 (typeは 'same', 'removed', 'added')
+     */
+    diffWords(textA, textB) {
+        const tokenize = (text) => text.match(/\s+|[,()[\]{}<>:|]|[^\s,()[\]{}<>:|]+/g) || [];
+        const a = tokenize(textA);
+        const b = tokenize(textB);
+
+        // 極端に長いテキストは計算量を抑えるため全体を置き換えとして扱う
+        if (a.length * b.length > 4000000) {
+            return [{ type: 'removed', text: textA }, { type: 'added', text: textB }];
+        }
+
+        const width = b.length + 1;
+        const lengths = new Uint32Array((a.length + 1) * width);
+        for (let i = a.length - 1; i >= 0; i--) {
+            for (let j = b.length - 1; j >= 0; j--) {
+                lengths[i * width + j] = a[i] === b[j]
+                    ? lengths[(i + 1) * width + j + 1] + 1
+                    : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+            }
+        }
+
+        // 同じ種類の連続するトークンは1つにまとめる
+        const diff = [];
+        const push = (type, text) => {
+            const last = diff[diff.length - 1];
+            if (last && last.type === type) last.text += text;
+            else diff.push({ type, text });
+        };
+
+        let i = 0;
+        let j = 0;
+        while (i < a.length || j < b.length) {
+            if (i < a.length && j < b.length && a[i] === b[j]) {
+                push('same', a[i]);
+                i++;
+                j++;
+            } else if (j >= b.length || (i < a.length && lengths[(i + 1) * width + j] >= lengths[i * width + j + 1])) {
+                push('removed', a[i++]);
+            } else {
+                push('added', b[j++]);
+            }
+        }
+        return diff;
+    }
+
+    /**
+     * 差分の片側をHTMLにする
+     * @param {Array<{type: string, text: string}>} diff - diffWordsの結果
+     * @param {string} changeType - 表示する変更の種類 ('removed' はA側、'added' はB側)
+     * @returns {string} - HTML
+     */
+    renderWordDiff(diff, changeType) {
+        return diff
+            .filter(part => part.type === 'same' || part.type === changeType)
+            .map(part => part.type === 'same'
+                ? this.escapeHtml(part.text)
+                : `<span class="diff-${part.type}">${this.escapeHtml(part.text)}</span>`)
+            .join('');
+    }
+
+    /**
+     * 比較プレビューのスライダーの位置を反映
+     * スワイプでは上の画像 (B) の左側を切り取り、オーバーレイでは透明度を変える
+     */
+    updateCompareSlider() {
+        const slider = document.getElementById('compareSlider');
+        const topImage = document.getElementById('compareTopImage');
+        const divider = document.getElementById('compareDivider');
+        if (!slider || !topImage) return;
+
+        const value = Number(slider.value);
+        const mode = document.querySelector('input[name="compareMode"]:checked').value;
+
+        if (mode === 'swipe') {
+            topImage.style.clipPath = `inset(0 0 0 ${value}%)`;
+            topImage.style.opacity = '';
+            divider.style.display = '';
+            divider.style.left = `${value}%`;
+        } else {
+            topImage.style.clipPath = '';
+            topImage.style.opacity = value / 100;
+            divider.style.display = 'none';
+        }
+    }
+
+    /**
+     * 画像のプロンプトを分解した結果を取得
+     * メタデータごとにキャッシュする (全体の解析でメタデータが置き換わると作り直す)
+     * @param {Object} metadata - メタデータ
+     * @returns {Object} - { positive, negative }
+     */
+    getPromptAnalysis(metadata) {
+        if (!this.promptAnalyses.has(metadata)) {
+            this.promptAnalyses.set(metadata, this.parser.analyzePrompts(metadata));
+        }
+        return this.promptAnalyses.get(metadata);
+    }
+
+    /**
+     * プロンプト分析パネルを開く
+     */
+    openAnalyticsPanel() {
+        this.analyticsOpen = true;
+        document.getElementById('analyticsSection').style.display = 'block';
+        this.renderPromptAnalytics();
+        this.ensureFullMetadata().then(() => this.refreshBatchViews());
+    }
+
+    /**
+     * プロンプト分析パネルを閉じる
+     */
+    closeAnalyticsPanel() {
+        this.analyticsOpen = false;
+        document.getElementById('analyticsSection').style.display = 'none';
+    }
+
+    /**
+     * 読み込んだすべての画像について、タグ・LoRA・エンベディングの使用頻度を表示
+     */
+    renderPromptAnalytics() {
+        const side = document.querySelector('input[name="analyticsSide"]:checked').value;
+        const counts = this.parser.countPromptTokens(this.uploadedImages.map(image => this.getPromptAnalysis(image.metadata)[side]));
+        const total = this.uploadedImages.length;
+
+        document.getElementById('analyticsContent').innerHTML =
+            this.renderTokenTable(this.t('tags'), counts.filter(entry => entry.type === 'tag').slice(0, 50), side, total) +
+            this.renderTokenTable(this.t('networks'), counts.filter(entry => entry.type !== 'tag' && entry.type !== 'embedding'), side, total) +
+            this.renderTokenTable(this.t('embeddings'), counts.filter(entry => entry.type === 'embedding'), side, total);
+    }
+
+    /**
+     * 集計したトークンを棒グラフ付きの表にする
+     * 行をクリックすると、そのトークンを使った画像に画像一覧を絞り込む
+     * @param {string} title - 見出し
+     * @param {Array} entries - countPromptTokens の結果
+     * @param {string} side - 'positive' または 'negative'
+     * @param {number} total - 画像の枚数 (棒グラフの基準)
+     * @returns {string} - HTML
+     */
+    renderTokenTable(title, entries, side, total) {
+        let html = `<h3>${this.escapeHtml(title)}</h3>`;
+        if (entries.length === 0) {
+            return html + `<div class="metadata-item">${this.t('noTokens')}</div>`;
+        }
+
+        html += `<table class="parameters-table token-table"><tr><th>${this.t('name')}</th><th>${this.t('imageCount')}</th><th>${this.t('occurrences')}</th><th>${this.t('averageWeight')}</th><th></th></tr>`;
+        for (const entry of entries) {
+            const width = total > 0 ? Math.round(entry.images / total * 100) : 0;
+            html += `
+                <tr class="token-row" data-token-type="${this.escapeAttribute(entry.type)}" data-token-name="${this.escapeAttribute(entry.name)}" data-token-side="${side}">
+                    <th>${this.escapeHtml(['tag', 'lora', 'embedding'].includes(entry.type) ? entry.name : `${entry.name} (${this.getTokenTypeLabel(entry.type)})`)}</th>
+                    <td>${entry.images}</td>
+                    <td>${entry.occurrences}</td>
+                    <td>${entry.averageWeight}</td>
+                    <td class="token-bar-cell"><div class="token-bar" style="width: ${width}%"></div></td>
+                </tr>
+            `;
+        }
+        return html + '</table>';
+    }
+
+    /**
+     * 表示中の画像のプロンプトを分解して表示
+     * @param {Object} metadata - メタデータ
+     */
+    displayPromptAnalysis(metadata) {
+        const analyticsMetadata = document.getElementById('analyticsMetadata');
+        const analysis = this.getPromptAnalysis(metadata);
+
+        if (analysis.positive.length === 0 && analysis.negative.length === 0) {
+            analyticsMetadata.innerHTML = `<div class="metadata-item">${this.t('noTokens')}</div>`;
+            return;
+        }
+
+        let html = '';
+        for (const [side, title] of [['positive', this.t('prompt')], ['negative', this.t('negativePrompt')]]) {
+            const entries = this.parser.countPromptTokens([analysis[side]]);
+            if (entries.length === 0) continue;
+
+            const maxWeight = Math.max(...entries.map(entry => Math.abs(entry.averageWeight)), 1);
+            html += `<h3>${this.escapeHtml(title)}</h3>`;
+            html += `<table class="parameters-table token-table"><tr><th>${this.t('name')}</th><th>${this.t('tokenType')}</th><th>${this.t('occurrences')}</th><th>${this.t('weight')}</th><th></th></tr>`;
+            for (const entry of entries) {
+                html += `
+                    <tr class="token-row" data-token-type="${this.escapeAttribute(entry.type)}" data-token-name="${this.escapeAttribute(entry.name)}" data-token-side="${side}">
+                        <th>${this.escapeHtml(entry.name)}</th>
+                        <td>${this.escapeHtml(this.getTokenTypeLabel(entry.type))}</td>
+                        <td>${entry.occurrences}</td>
+                        <td>${entry.averageWeight}</td>
+                        <td class="token-bar-cell"><div class="token-bar${entry.averageWeight < 1 ? ' weak' : ''}" style="width: ${Math.round(Math.abs(entry.averageWeight) / maxWeight * 100)}%"></div></td>
+                    </tr>
+                `;
+            }
+            html += '</table>';
+        }
+        analyticsMetadata.innerHTML = html;
+    }
+
+    /**
+     * クリックされたトークンで画像一覧を絞り込む
+     * @param {MouseEvent} event - クリックイベント
+     */
+    handleTokenClick(event) {
+        const row = event.target.closest('.token-row');
+        if (!row) return;
+
+        const { tokenType, tokenName, tokenSide } = row.dataset;
+        this.tagFilter = { type: tokenType, name: tokenName, side: tokenSide };
+        this.updateImageList();
+        document.getElementById('imageListSection').scrollIntoView({ behavior: 'smooth' });
+    }
+
+    /**
+     * トークンの種類の表示名
+     * @param {string} type - 'tag', 'lora', 'embedding', 'hypernet' など
+     * @returns {string} - 表示名
+     */
+    getTokenTypeLabel(type) {
+        const labels = { tag: this.t('tokenTag'), lora: 'LoRA', embedding: this.t('tokenEmbedding'), hypernet: 'Hypernetwork' };
+        return labels[type] || type;
+    }
+
+    /**
+     * トークンによる絞り込みの状態を画像一覧の上に表示
+     */
+    renderTagFilter() {
+        const tagFilter = document.getElementById('tagFilter');
+        if (!this.tagFilter) {
+            tagFilter.style.display = 'none';
+            return;
+        }
+
+        const side = this.tagFilter.side === 'negative' ? this.t('negativePrompt') : this.t('prompt');
+        tagFilter.innerHTML = `${this.escapeHtml(`${side}: ${this.tagFilter.name}`)} <button type="button" title="${this.t('clearTagFilter')}">×</button>`;
+        tagFilter.style.display = '';
+    }
+
+    /**
+     * 画像がトークンの絞り込み条件に合うかどうかを判定
+     * @param {Object} image - 画像情報
+     * @param {Object} tagFilter - { type, name, side }
+     * @returns {boolean} - プロンプトにトークンが含まれればtrue
+     */
+    matchesTagFilter(image, tagFilter) {
+        const key = this.parser.getPromptTokenKey(tagFilter);
+        return this.getPromptAnalysis(image.metadata)[tagFilter.side].some(token => this.parser.getPromptTokenKey(token) === key);
+    }
+
+    /**
+     * メタデータ一括削除パネルを閉じる
+     */
+    closeScrubPanel() {
+        document.getElementById('scrubSection').style.display = 'none';
+    }
+
+    /**
+     * 削除前後のチャンク一覧を表示
+     */
+    renderScrubPreview() {
+        const scrubPreview = document.getElementById('scrubPreview');
+        const profile = this.getScrubProfile();
+
+        let html = '';
+        for (const image of this.uploadedImages) {
+            html += `<div class="metadata-item"><div class="metadata-key">${this.escapeHtml(image.name)}</div>`;
+
+            const format = image.metadata.technicalInfo.format;
+            if (!this.getScrubFormat(format)) {
+                html += `<div class="metadata-value">${this.t('scrubUnsupportedFormat')}</div></div>`;
+                continue;
+            }
+            if (!image.file) {
+                html += `<div class="metadata-value">${this.t('scrubHistoryImage')}</div></div>`;
+                continue;
+            }
+            // 先頭のみの解析結果にはIDAT以降のチャンクがないため、全体の解析を待つ
+            if (image.metadata.partial) {
+                html += `<div class="metadata-value">${this.t('loading')}</div></div>`;
+                continue;
+            }
+
+            const chunks = image.metadata.rawChunks;
+            const removedCount = chunks.filter(chunk => !this.shouldKeepChunk(chunk, profile, format)).length;
+            const badges = chunks.map(chunk => {
+                const label = chunk.keyword ? `${chunk.type} (${chunk.keyword})` : chunk.type;
+                const removed = !this.shouldKeepChunk(chunk, profile, format);
+                return `<span class="chunk-badge${removed ? ' removed' : ''}">${this.escapeHtml(label)}</span>`;
+            }).join('');
+
+            html += `<div class="metadata-value">${badges}</div>`;
+            html += `<div class="metadata-value">${this.t('scrubRemovedCount', [removedCount, chunks.length])}</div>`;
+            if (image.metadata.stealth) {
+                html += `<div class="metadata-value scrub-warning">${this.t('scrubStealthWarning')}</div>`;
+            }
+            html += '</div>';
+        }
+
+        scrubPreview.innerHTML = html;
+    }
+
+    /**
+     * プロファイルに従ってメタデータを削除した画像を作成
+     * @param {Object} image - 画像オブジェクト
+     * @param {string} profile - プロファイル名
+     * @returns {Promise<Uint8Array>} - 削除後の画像データ
+     */
+    async scrubImage(image, profile) {
+        switch (image.metadata.technicalInfo.format) {
+            case 'JPEG':
+                return this.scrubJPEG(image, profile);
+            case 'WebP':
+                return this.scrubWebP(image, profile);
+            default:
+                return this.scrubPNG(image, profile);
+        }
+    }
+
+    /**
+     * プロファイルに従ってメタデータを削除したPNGを作成
+     * @param {Object} image - 画像オブジェクト
+     * @param {string} profile - プロファイル名
+     * @returns {Promise<Uint8Array>} - 削除後のPNGデータ
+     */
+    async scrubPNG(image, profile) {
+        const buffer = await this.readFileAsArrayBuffer(image.file);
+        const parts = [new Uint8Array(buffer, 0, 8)];
+
+        for (const chunk of this.parser.readPNGChunks(buffer)) {
+            const keyword = this.parser.readChunkKeyword(chunk.type, chunk.data);
+            if (this.shouldKeepChunk({ type: chunk.type, keyword }, profile)) {
+                parts.push(chunk.bytes);
+            } else if (chunk.type === 'eXIf') {
+                const exif = this.createOrientationExif(chunk.data);
+                if (exif) parts.push(this.parser.createPNGChunk('eXIf', exif));
+            }
+        }
+
+        return new Uint8Array(await new Blob(parts).arrayBuffer());
+    }
+
+    /**
+     * プロファイルに従ってメタデータを削除したJPEGを作成
+     * @param {Object} image - 画像オブジェクト
+     * @param {string} profile - プロファイル名
+     * @returns {Promise<Uint8Array>} - 削除後のJPEGデータ
+     */
+    async scrubJPEG(image, profile) {
+        const buffer = await this.readFileAsArrayBuffer(image.file);
+        const parts = [new Uint8Array(buffer, 0, 2)];
+
+        for (const segment of this.parser.readJPEGSegments(buffer)) {
+            if (this.shouldKeepJPEGSegment(segment, profile)) {
+                parts.push(segment.bytes);
+            } else if (segment.type === 'APP1' && segment.keyword === 'Exif') {
+                // "Exif\0\0" の後のTIFFデータから向きを取り出す
+                const exif = this.createOrientationExif(segment.bytes.subarray(10));
+                if (exif) {
+                    const header = [0xFF, 0xE1, 0, 0, 0x45, 0x78, 0x69, 0x66, 0, 0];
+                    header[3] = 8 + exif.length;
+                    parts.push(new Uint8Array(header), exif);
+                }
+            }
+        }
+
+        return new Uint8Array(await new Blob(parts).arrayBuffer());
+    }
+
+    /**
+     * プロファイルに従ってメタデータを削除したWebPを作成
+     * VP8XのICC/EXIF/XMPのフラグとRIFFの長さは残したチャンクに合わせて書き換える
+     * @param {Object} image - 画像オブジェクト
+     * @param {string} profile - プロファイル名
+     * @returns {Promise<Uint8Array>} - 削除後のWebPデータ
+     */
+    async scrubWebP(image, profile) {
+        const buffer = await this.readFileAsArrayBuffer(image.file);
+        const chunks = [];
+        for (const chunk of this.parser.readWebPChunks(buffer)) {
+            if (this.shouldKeepWebPChunk(chunk, profile)) {
+                chunks.push(chunk);
+            } else if (chunk.type === 'EXIF') {
+                // "Exif\0\0" 付きで書き込むツールもある
+                const prefixed = String.fromCharCode(...chunk.data.subarray(0, 6)) === 'Exif\0\0';
+                const exif = this.createOrientationExif(prefixed ? chunk.data.subarray(6) : chunk.data);
+                if (exif) {
+                    const bytes = new Uint8Array(8 + exif.length);
+                    bytes.set([0x45, 0x58, 0x49, 0x46, exif.length]);
+                    bytes.set(exif, 8);
+                    chunks.push({ type: 'EXIF', bytes });
+                }
+            }
+        }
+        const types = chunks.map(chunk => chunk.type);
+        const parts = [];
+
+        for (const chunk of chunks) {
+            if (chunk.type === 'VP8X' && chunk.bytes.length > 8) {
+                const bytes = chunk.bytes.slice();
+                bytes[8] = (bytes[8] & ~0x2C)
+                    | (types.includes('ICCP') ? 0x20 : 0)
+                    | (types.includes('EXIF') ? 0x08 : 0)
+                    | (types.includes('XMP ') ? 0x04 : 0);
+                parts.push(bytes);
+            } else {
+                parts.push(chunk.bytes);
+            }
+            // パディングが省かれたチャンクの後ろにチャンクが続かないよう偶数長にする
+            if (chunk.bytes.length % 2 === 1) parts.push(new Uint8Array(1));
+        }
+
+        const body = new Uint8Array(await new Blob(parts).arrayBuffer());
+        const header = new Uint8Array(12);
+        header.set(new Uint8Array(buffer, 0, 12));
+        new DataView(header.buffer).setUint32(4, 4 + body.length, true);
+        return new Uint8Array(await new Blob([header, body]).arrayBuffer());
+    }
+
+    /**
+     * 向き (Orientation) だけを含むEXIF (TIFF形式) を作成
+     * EXIFを削除すると、カメラの向きに合わせて回転して表示されていた画像の向きが変わるため、向きだけは残す
+     * @param {Uint8Array} tiff - 元のEXIFデータ (TIFFヘッダーから始まる)
+     * @returns {Uint8Array|null} - EXIFデータ (向きの指定がない、または回転しない場合はnull)
+     */
+    createOrientationExif(tiff) {
+        const orientation = this.parser.parseExif(tiff).Orientation;
+        if (!Number.isInteger(orientation) || orientation < 2 || orientation > 8) return null;
+
+        // ビッグエンディアンのTIFFヘッダーと、Orientation (SHORT) のエントリー1つだけのIFD0
+        const exif = new Uint8Array(26);
+        const dataView = new DataView(exif.buffer);
+        exif.set([0x4D, 0x4D, 0x00, 0x2A]);
+        dataView.setUint32(4, 8);
+        dataView.setUint16(8, 1);
+        dataView.setUint16(10, 0x0112);
+        dataView.setUint16(12, 3);
+        dataView.setUint32(14, 1);
+        dataView.setUint16(18, orientation);
+        return exif;
+    }
+
+    /**
+     * メタデータを削除した画像をダウンロード
+     * @param {boolean} asZip - ZIPにまとめる場合はtrue
+     */
+    async downloadScrubbedImages(asZip) {
+        const profile = this.getScrubProfile();
+        const files = [];
+        const usedNames = new Set();
+
+        try {
+            await this.ensureFullMetadata();
+            for (const image of this.uploadedImages) {
+                const format = this.getScrubFormat(image.metadata.technicalInfo.format);
+                if (!format || !image.file) continue;
+
+                // 同名ファイルはZIP内で上書きされないよう連番を付ける
+                const baseName = image.name.replace(/\.[^.]+$/, '');
+                let name = `${baseName}_clean.${format.extension}`;
+                for (let i = 2; usedNames.has(name); i++) {
+                    name = `${baseName}_clean (${i}).${format.extension}`;
+                }
+                usedNames.add(name);
+
+                files.push({ name, type: format.type, data: await this.scrubImage(image, profile) });
+            }
+
+            if (files.length === 0) {
+                this.showError(this.t('noScrubbableImages'));
+                return;
+            }
+
+            if (asZip) {
+                await this.downloadBlob(this.createZip(files), 'pnginfo_clean.zip');
+            } else {
+                for (const file of files) {
+                    await this.downloadBlob(new Blob([file.data], { type: file.type }), file.name);
+                }
+            }
+        } catch (error) {
+            console.error('Error scrubbing metadata:', error);
+            this.showError(this.t('scrubFailed'));
+        }
+    }
+
+    /**
+     * 生成パラメータを表示
+     * 生成ツールごとの項目を共通形式で表示し、割り当てられなかった項目を一覧にする
+     * @param {Object} metadata - メタデータ
+     */
+    displayParametersMetadata(metadata) {
+        const parametersMetadata = document.getElementById('parametersMetadata');
+        const generator = metadata.generator;
+
+        if (!generator) {
+            parametersMetadata.innerHTML = `<div class="metadata-item">${this.t('noParametersFound')}</div>`;
+            return;
+        }
+
+        const copyValues = [];
+        const renderItem = (key, value) => {
+            copyValues.push(value);
+            return `
+                <div class="metadata-item">
+                    <div class="metadata-key">${this.escapeHtml(key)}<button class="copy-button" data-copy-index="${copyValues.length - 1}">${this.t('copy')}</button></div>
+                    <div class="metadata-value">${this.escapeHtml(value)}</div>
+                </div>
+            `;
+        };
+        const renderTable = (title, rows) => {
+            if (rows.length === 0) return '';
+
+            let table = `<h3>${title}</h3><table class="parameters-table">`;
+            for (const row of rows) {
+                copyValues.push(row.value);
+                table += `
+                    <tr>
+                        <th>${this.escapeHtml(row.key)}</th>
+                        <td>${this.escapeHtml(row.value)}</td>
+                        <td><button class="copy-button" data-copy-index="${copyValues.length - 1}">${this.t('copy')}</button></td>
+                    </tr>
+                `;
+            }
+            return table + '</table>';
+        };
+
+        const { params, unmapped } = generator;
+        let html = `<h3>${this.t('promptWithGenerator', this.escapeHtml(generator.name))}</h3>`;
+        html += renderItem('Prompt', params.prompt || '');
+        html += renderItem('Negative prompt', params.negative || '');
+
+        html += renderTable(this.t('settings'), Object.entries(this.getParameterLabels())
+            .filter(([field]) => params[field] !== undefined)
+            .map(([field, label]) => ({ key: label, value: params[field] })));
+
+        // ADetailerの項目はまとめて表示
+        html += renderTable(this.t('otherItems'), unmapped.filter(item => !item.key.startsWith('ADetailer')));
+        html += renderTable('ADetailer', unmapped
+            .filter(item => item.key.startsWith('ADetailer'))
+            .map(item => ({ key: item.key.replace(/^ADetailer\s*/, ''), value: item.value })));
+
+        const parameters = this.parser.getTextFields(metadata.textChunks).parameters;
+        if (parameters) {
+            html += `<h3>${this.t('originalText')}</h3>`;
+            html += renderItem('parameters', parameters);
+        }
+
+        parametersMetadata.innerHTML = html;
+        this.bindCopyButtons(parametersMetadata, copyValues);
+    }
+
+    /**
+     * 共通スキーマの設定項目と表示名
+     * @returns {Object} - 項目名ごとの表示名
+     */
+    getParameterLabels() {
+        return {
+            seed: 'Seed',
+            steps: 'Steps',
+            sampler: 'Sampler',
+            cfg: 'CFG scale',
+            model: 'Model',
+            size: 'Size'
+        };
+    }
+
+    /**
+     * ComfyUIのワークフロー情報を表示
+     * ComfyUI画像でない場合はタブ自体を非表示にする
+     * @param {Object} textChunks - キーワードごとのテキスト (getTextFieldsの結果)
+     */
+    displayComfyUIMetadata(textChunks) {
+        const comfyuiMetadata = document.getElementById('comfyuiMetadata');
+        const comfyui = this.parser.parseComfyUIMetadata(textChunks);
+
+        this.setTabVisible('comfyui', comfyui !== null);
+        if (!comfyui) {
+            comfyuiMetadata.innerHTML = '';
+            return;
+        }
+
+        const { summary } = comfyui;
+        const copyValues = [];
+        const renderPrompts = (title, prompts) => {
+            if (prompts.length === 0) return '';
+
+            let html = `<h3>${title}</h3>`;
+            for (const prompt of prompts) {
+                copyValues.push(prompt.text);
+                html += `
+                    <div class="metadata-item">
+                        <div class="metadata-key">#${this.escapeHtml(prompt.id)}<button class="copy-button" data-copy-index="${copyValues.length - 1}">${this.t('copy')}</button></div>
+                        <div class="metadata-value">${this.escapeHtml(prompt.text)}</div>
+                    </div>
+                `;
+            }
+            return html;
+        };
+        const renderRows = (title, headers, rows) => {
+            if (rows.length === 0) return '';
+
+            let html = `<h3>${title}</h3><table class="parameters-table"><tr>`;
+            html += headers.map(header => `<th>${header}</th>`).join('');
+            html += '</tr>';
+            for (const row of rows) {
+                html += '<tr>' + row.map(cell => `<td>${this.escapeHtml(cell === undefined ? '' : String(cell))}</td>`).join('') + '</tr>';
+            }
+            return html + '</table>';
+        };
+
+        let html = '<div class="comfyui-actions">';
+        if (comfyui.workflow) {
+            html += `<button class="upload-button" id="downloadWorkflowButton">${this.t('downloadWorkflow')}</button>`;
+        }
+        html += '</div>';
+
+        for (const error of comfyui.errors) {
+            html += `<div class="metadata-item integrity-error">${this.t('comfyuiJsonFailed', [this.escapeHtml(error.keyword), this.escapeHtml(error.message)])}</div>`;
+        }
+
+        html += renderRows(this.t('checkpoints'), [this.t('node'), this.t('model')],
+            summary.checkpoints.map(checkpoint => [`#${checkpoint.id}`, checkpoint.name]));
+        html += renderRows(this.t('samplers'), [this.t('node'), 'Seed', 'Steps', 'CFG', 'Sampler', 'Scheduler', 'Denoise'],
+            summary.samplers.map(sampler => [`#${sampler.id}`, sampler.seed, sampler.steps, sampler.cfg, sampler.sampler, sampler.scheduler, sampler.denoise]));
+        html += renderRows('LoRA', [this.t('node'), 'LoRA', this.t('modelStrength'), this.t('clipStrength')],
+            summary.loras.map(lora => [`#${lora.id}`, lora.name, lora.strengthModel, lora.strengthClip]));
+        html += renderPrompts(this.t('positivePrompts'), summary.positivePrompts);
+        html += renderPrompts(this.t('negativePrompts'), summary.negativePrompts);
+        html += renderPrompts(this.t('otherPrompts'), summary.otherPrompts);
+
+        if (comfyui.workflow && Array.isArray(comfyui.workflow.nodes)) {
+            html += `<h3>${this.t('workflowDiagram')}</h3>`;
+            html += `<div class="comfyui-diagram">${this.renderComfyUIDiagram(comfyui.workflow)}</div>`;
+        }
+
+        if (comfyui.prompt) {
+            html += '<h3>prompt</h3>';
+            html += `<div class="json-tree">${this.renderJsonTree(comfyui.prompt, 'prompt', 0)}</div>`;
+        }
+        if (comfyui.workflow) {
+            html += '<h3>workflow</h3>';
+            html += `<div class="json-tree">${this.renderJsonTree(comfyui.workflow, 'workflow', 0)}</div>`;
+        }
+
+        comfyuiMetadata.innerHTML = html;
+        this.bindCopyButtons(comfyuiMetadata, copyValues);
+
+        const downloadButton = document.getElementById('downloadWorkflowButton');
+        if (downloadButton) {
+            downloadButton.addEventListener('click', () => this.downloadComfyUIWorkflow(comfyui.workflow));
+        }
+    }
+
+    /**
+     * JSONを折りたたみ可能なツリーとしてHTML化
+     * @param {*} value - 表示する値
+     * @param {string} label - キー名
+     * @param {number} depth - 階層の深さ
+     * @returns {string} - HTML
+     */
+    renderJsonTree(value, label, depth) {
+        const key = `<span class="json-key">${this.escapeHtml(label)}</span>`;
+
+        if (value === null || typeof value !== 'object') {
+            const type = value === null ? 'null' : typeof value;
+            const text = typeof value === 'string' ? JSON.stringify(value) : String(value);
+            return `<div class="json-leaf">${key}: <span class="json-${type}">${this.escapeHtml(text)}</span></div>`;
+        }
+
+        const entries = Object.entries(value);
+        const brackets = Array.isArray(value) ? ['[', ']'] : ['{', '}'];
+        const children = entries.map(([childKey, childValue]) => this.renderJsonTree(childValue, childKey, depth + 1)).join('');
+
+        return `<details${depth < 1 ? ' open' : ''}><summary>${key}: ${brackets[0]}${entries.length}${brackets[1]}</summary><div class="json-children">${children}</div></details>`;
+    }
+
+    /**
+     * ワークフローのノードとリンクを読み取り専用のSVG図として描画
+     * @param {Object} workflow - workflow JSON
+     * @returns {string} - SVG文字列
+     */
+    renderComfyUIDiagram(workflow) {
+        const titleHeight = 30;
+        const slotHeight = 20;
+        // pos/sizeは配列または {0: x, 1: y} 形式のオブジェクト
+        const readPair = (pair, fallback) => {
+            if (!pair || typeof pair !== 'object') return fallback;
+            return [Number(pair[0]) || 0, Number(pair[1]) || 0];
+        };
+
+        // nodes/links/groupsは画像に埋め込まれた値のため、配列でないものやオブジェクトでない要素は無視する
+        const listOf = (value) => (Array.isArray(value) ? value : []).filter(item => item && typeof item === 'object');
+
+        const nodes = new Map();
+        for (const node of listOf(workflow.nodes)) {
+            const [x, y] = readPair(node.pos, [0, 0]);
+            const [width, height] = readPair(node.size, [200, 100]);
+            nodes.set(String(node.id), { node, x, y, width, height });
+        }
+
+        if (nodes.size === 0) return '';
+
+        let minX = Infinity;
+        let minY = Infinity;
+        let maxX = -Infinity;
+        let maxY = -Infinity;
+        for (const { x, y, width, height } of nodes.values()) {
+            minX = Math.min(minX, x);
+            minY = Math.min(minY, y - titleHeight);
+            maxX = Math.max(maxX, x + width);
+            maxY = Math.max(maxY, y + height);
+        }
+
+        const padding = 40;
+        const viewBox = [minX - padding, minY - padding, maxX - minX + padding * 2, maxY - minY + padding * 2];
+        let svg = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="${viewBox.join(' ')}" preserveAspectRatio="xMidYMin meet">`;
+
+        for (const group of listOf(workflow.groups)) {
+            // boundingの数値以外は0として扱う
+            const bounding = Array.isArray(group.bounding) ? group.bounding : [];
+            const [x, y, width, height] = [0, 1, 2, 3].map(index => Number(bounding[index]) || 0);
+            svg += `<rect class="diagram-group" x="${x}" y="${y}" width="${width}" height="${height}" rx="6"/>`;
+            svg += `<text class="diagram-group-title" x="${x + 10}" y="${y + 24}">${this.escapeHtml(group.title || '')}</text>`;
+        }
+
+        // リンクは [id, 出力元ノード, 出力番号, 入力先ノード, 入力番号, 型] またはオブジェクト形式
+        for (const link of listOf(workflow.links)) {
+            const [originId, originSlot, targetId, targetSlot] = Array.isArray(link)
+                ? [link[1], link[2], link[3], link[4]]
+                : [link.origin_id, link.origin_slot, link.target_id, link.target_slot];
+            const origin = nodes.get(String(originId));
+            const target = nodes.get(String(targetId));
+            if (!origin || !target) continue;
+
+            const x1 = origin.x + origin.width;
+            const y1 = origin.y + ((Number(originSlot) || 0) + 0.7) * slotHeight;
+            const x2 = target.x;
+            const y2 = target.y + ((Number(targetSlot) || 0) + 0.7) * slotHeight;
+            const bend = Math.max(40, Math.abs(x2 - x1) / 2);
+            svg += `<path class="diagram-link" d="M${x1},${y1} C${x1 + bend},${y1} ${x2 - bend},${y2} ${x2},${y2}"/>`;
+        }
+
+        for (const [id, { node, x, y, width, height }] of nodes) {
+            const title = `#${id} ${node.title || node.type || ''}`;
+            svg += `<g class="diagram-node${node.mode === 4 ? ' bypassed' : ''}">`;
+            svg += `<rect x="${x}" y="${y - titleHeight}" width="${width}" height="${height + titleHeight}" rx="6"/>`;
+            svg += `<text x="${x + 10}" y="${y - 10}">${this.escapeHtml(title)}</text>`;
+            svg += '</g>';
+        }
+
+        return svg + '</svg>';
+    }
+
+    /**
+     * ワークフローJSONをComfyUIに読み込めるファイルとしてダウンロード
+     * @param {Object} workflow - workflow JSON
+     */
+    downloadComfyUIWorkflow(workflow) {
+        const image = this.uploadedImages[this.currentImageIndex];
+        const baseName = image ? image.name.replace(/\.[^.]+$/, '') : 'workflow';
+        const blob = new Blob([JSON.stringify(workflow, null, 2)], { type: 'application/json' });
+        this.downloadBlob(blob, `${baseName}_workflow.json`);
+    }
+
+    /**
+     * 技術情報を表示
+     * @param {Object} technicalInfo - 技術情報
+     */
+    displayTechnicalMetadata(technicalInfo) {
+        const technicalMetadata = document.getElementById('technicalMetadata');
+        
+        let html = `<h3>${this.t('basicInfo')}</h3>`;
+        html += `
+            <div class="metadata-item">
+                <div class="metadata-key">${this.t('infoFormat')}</div>
+                <div class="metadata-value">${technicalInfo.format || 'N/A'}</div>
+            </div>
+            <div class="metadata-item">
+                <div class="metadata-key">${this.t('width')}</div>
+                <div class="metadata-value">${technicalInfo.width || 'N/A'} px</div>
+            </div>
+            <div class="metadata-item">
+                <div class="metadata-key">${this.t('height')}</div>
+                <div class="metadata-value">${technicalInfo.height || 'N/A'} px</div>
+            </div>
+            <div class="metadata-item">
+                <div class="metadata-key">${this.t('infoBitDepth')}</div>
+                <div class="metadata-value">${technicalInfo.bitDepth || 'N/A'}</div>
+            </div>
+            <div class="metadata-item">
+                <div class="metadata-key">${this.t('infoColorType')}</div>
+                <div class="metadata-value">${technicalInfo.colorType !== undefined ? `${technicalInfo.colorType} (${this.getColorTypeName(technicalInfo.colorType)})` : 'N/A'}</div>
+            </div>
+            <div class="metadata-item">
+                <div class="metadata-key">${this.t('compressionMethod')}</div>
+                <div class="metadata-value">${technicalInfo.compression !== undefined ? technicalInfo.compression : 'N/A'}</div>
+            </div>
+            <div class="metadata-item">
+                <div class="metadata-key">${this.t('filterMethod')}</div>
+                <div class="metadata-value">${technicalInfo.filter !== undefined ? technicalInfo.filter : 'N/A'}</div>
+            </div>
+            <div class="metadata-item">
+                <div class="metadata-key">${this.t('interlace')}</div>
+                <div class="metadata-value">${technicalInfo.interlace !== undefined ? (technicalInfo.interlace ? 'Yes' : 'No') : 'N/A'}</div>
+            </div>
+        `;
+
+        if (technicalInfo.components !== undefined) {
+            html += `
+                <div class="metadata-item">
+                    <div class="metadata-key">${this.t('components')}</div>
+                    <div class="metadata-value">${technicalInfo.components}</div>
+                </div>
+            `;
+        }
+
+        if (technicalInfo.physicalDimensions) {
+            html += `<h3>${this.t('physicalDimensions')}</h3>`;
+            html += `
+                <div class="metadata-item">
+                    <div class="metadata-key">${this.t('resolutionX')}</div>
+                    <div class="metadata-value">${technicalInfo.physicalDimensions.pixelsPerUnitX} pixels/${technicalInfo.physicalDimensions.unit}</div>
+                </div>
+                <div class="metadata-item">
+                    <div class="metadata-key">${this.t('resolutionY')}</div>
+                    <div class="metadata-value">${technicalInfo.physicalDimensions.pixelsPerUnitY} pixels/${technicalInfo.physicalDimensions.unit}</div>
+                </div>
+            `;
+        }
+
+        if (technicalInfo.lastModified) {
+            html += `<h3>${this.t('timestamp')}</h3>`;
+            html += `
+                <div class="metadata-item">
+                    <div class="metadata-key">${this.t('lastModified')}</div>
+                    <div class="metadata-value">${technicalInfo.lastModified}</div>
+                </div>
+            `;
+        }
+
+        html += this.renderColorMetadata(technicalInfo);
+
+        if (technicalInfo.exif && Object.keys(technicalInfo.exif).length > 0) {
+            html += '<h3>EXIF</h3>';
+            for (const [tag, value] of Object.entries(technicalInfo.exif)) {
+                html += `
+                    <div class="metadata-item">
+                        <div class="metadata-key">${this.escapeHtml(tag)}</div>
+                        <div class="metadata-value">${this.escapeHtml(Array.isArray(value) ? value.join(', ') : String(value))}</div>
+                    </div>
+                `;
+            }
+        }
+
+        technicalMetadata.innerHTML = html;
+    }
+
+    /**
+     * 色管理・補助チャンク (gAMA, cHRM, sRGB, iCCP, cICP, mDCv, cLLi, sBIT, bKGD, tRNS, hIST, sPLT, PLTE) のHTMLを生成
+     * @param {Object} technicalInfo - 技術情報
+     * @returns {string} - HTML
+     */
+    renderColorMetadata(technicalInfo) {
+        const format = (value) => Number(value.toFixed(5)).toString();
+        const point = (xy) => `x=${format(xy[0])}, y=${format(xy[1])}`;
+        const renderSection = (title, rows) => {
+            let section = `<h3>${title}</h3>`;
+            for (const [key, value] of rows) {
+                section += `
+                    <div class="metadata-item">
+                        <div class="metadata-key">${key}</div>
+                        <div class="metadata-value">${this.escapeHtml(String(value))}</div>
+                    </div>
+                `;
+            }
+            return section;
+        };
+
+        let html = '';
+
+        if (technicalInfo.gamma !== undefined) {
+            html += renderSection(this.t('gammaSection'), [
+                [this.t('gammaValue'), format(technicalInfo.gamma)],
+                [this.t('displayGamma'), technicalInfo.gamma > 0 ? format(1 / technicalInfo.gamma) : 'N/A']
+            ]);
+        }
+
+        if (technicalInfo.chromaticities) {
+            const { whitePoint, red, green, blue } = technicalInfo.chromaticities;
+            html += renderSection(this.t('chromaticitiesSection'), [
+                [this.t('whitePoint'), point(whitePoint)],
+                [this.t('red'), point(red)],
+                [this.t('green'), point(green)],
+                [this.t('blue'), point(blue)]
+            ]);
+        }
+
+        if (technicalInfo.renderingIntent !== undefined) {
+            const intents = [this.t('intentPerceptual'), this.t('intentRelative'), this.t('intentSaturation'), this.t('intentAbsolute')];
+            html += renderSection('sRGB', [
+                [this.t('renderingIntent'), `${technicalInfo.renderingIntent} (${intents[technicalInfo.renderingIntent] || this.t('unknown')})`]
+            ]);
+        }
+
+        if (technicalInfo.iccProfile) {
+            const { name, size, header } = technicalInfo.iccProfile;
+            const deviceClasses = ['scnr', 'mntr', 'prtr', 'link', 'spac', 'abst', 'nmcl'];
+            const rows = [[this.t('profileName'), name], [this.t('size'), `${size} bytes`]];
+            if (header.description) rows.push([this.t('description'), header.description]);
+            if (header.deviceClass) {
+                const deviceClass = deviceClasses.includes(header.deviceClass) ? `${header.deviceClass} (${this.t(`iccClass_${header.deviceClass}`)})` : header.deviceClass;
+                rows.push([this.t('deviceClass'), deviceClass]);
+            }
+            if (header.colorSpace) rows.push([this.t('colorSpace'), header.colorSpace]);
+            if (header.pcs) rows.push(['PCS', header.pcs]);
+            if (header.version) rows.push([this.t('version'), header.version]);
+            if (header.created) rows.push([this.t('created'), header.created]);
+            if (header.creator) rows.push([this.t('creator'), header.creator]);
+            if (header.copyright) rows.push([this.t('copyright'), header.copyright]);
+            html += renderSection(this.t('iccSection'), rows);
+        }
+
+        if (technicalInfo.cicp) {
+            const primaries = { 1: 'BT.709', 9: 'BT.2020', 12: 'Display P3' };
+            const transfers = { 1: 'BT.709', 8: 'Linear', 13: 'sRGB', 16: 'PQ / SMPTE ST 2084', 18: 'HLG' };
+            const { colourPrimaries, transferFunction, matrixCoefficients, videoFullRange } = technicalInfo.cicp;
+            html += renderSection(this.t('cicpSection'), [
+                [this.t('colourPrimaries'), `${colourPrimaries}${primaries[colourPrimaries] ? ` (${primaries[colourPrimaries]})` : ''}`],
+                [this.t('transferFunction'), `${transferFunction}${transfers[transferFunction] ? ` (${transfers[transferFunction]})` : ''}`],
+                [this.t('matrixCoefficients'), matrixCoefficients],
+                [this.t('fullRange'), videoFullRange ? 'Yes' : 'No']
+            ]);
+        }
+
+        if (technicalInfo.masteringDisplay) {
+            const { red, green, blue, whitePoint, maxLuminance, minLuminance } = technicalInfo.masteringDisplay;
+            html += renderSection(this.t('masteringDisplaySection'), [
+                [this.t('red'), point(red)],
+                [this.t('green'), point(green)],
+                [this.t('blue'), point(blue)],
+                [this.t('whitePoint'), point(whitePoint)],
+                [this.t('maxLuminance'), `${format(maxLuminance)} cd/m²`],
+                [this.t('minLuminance'), `${format(minLuminance)} cd/m²`]
+            ]);
+        }
+
+        if (technicalInfo.contentLightLevel) {
+            html += renderSection(this.t('contentLightLevelSection'), [
+                ['MaxCLL', `${format(technicalInfo.contentLightLevel.maxCLL)} cd/m²`],
+                ['MaxFALL', `${format(technicalInfo.contentLightLevel.maxFALL)} cd/m²`]
+            ]);
+        }
+
+        if (technicalInfo.significantBits) {
+            html += renderSection(this.t('significantBitsSection'), [
+                [this.t('perChannel'), technicalInfo.significantBits.join(', ')]
+            ]);
+        }
+
+        if (technicalInfo.background) {
+            const label = technicalInfo.colorType === 3 ? this.t('paletteIndex') : this.t('sampleValue');
+            html += renderSection(this.t('backgroundSection'), [[label, technicalInfo.background.join(', ')]]);
+        }
+
+        if (technicalInfo.transparency && technicalInfo.colorType !== 3) {
+            html += renderSection(this.t('transparencySection'), [[this.t('sampleValue'), technicalInfo.transparency.join(', ')]]);
+        }
+
+        if (technicalInfo.histogram) {
+            html += renderSection(this.t('histogramSection'), [
+                [this.t('entryCount'), technicalInfo.histogram.length],
+                [this.t('maxFrequency'), Math.max(0, ...technicalInfo.histogram)]
+            ]);
+        }
+
+        if (technicalInfo.suggestedPalettes) {
+            html += renderSection(this.t('suggestedPaletteSection'), technicalInfo.suggestedPalettes.map(palette => [
+                this.escapeHtml(palette.name),
+                this.t('suggestedPaletteEntry', [palette.entries, palette.depth])
+            ]));
+        }
+
+        if (technicalInfo.palette) {
+            const alpha = technicalInfo.colorType === 3 ? technicalInfo.transparency || [] : [];
+            html += `<h3>${this.t('paletteSection', technicalInfo.palette.length)}${alpha.length ? this.t('paletteAlpha', alpha.length) : ''}</h3>`;
+            html += '<div class="palette-grid">';
+            technicalInfo.palette.forEach(([r, g, b], index) => {
+                const a = alpha[index] !== undefined ? alpha[index] : 255;
+                const hex = `#${[r, g, b].map(v => v.toString(16).padStart(2, '0')).join('').toUpperCase()}`;
+                html += `<span class="palette-swatch" style="background-color: rgba(${r}, ${g}, ${b}, ${(a / 255).toFixed(3)});" title="#${index}: ${hex}${a !== 255 ? ` α=${a}` : ''}"></span>`;
+            });
+            html += '</div>';
+        }
+
+        return html;
+    }
+
+    /**
+     * 生データを表示
+     * @param {Array} rawChunks - 生チャンクデータ
+     * @param {Object} [integrity] - 整合性チェックの結果 { errors, warnings }
+     */
+    displayRawMetadata(rawChunks, integrity) {
+        const rawMetadata = document.getElementById('rawMetadata');
+        
+        let html = '';
+        if (integrity) {
+            html += `<h3>${this.t('integrityCheck')}</h3>`;
+            if (integrity.errors.length === 0 && integrity.warnings.length === 0) {
+                html += `<div class="metadata-item">${this.t('noIntegrityIssues')}</div>`;
+            }
+            for (const message of integrity.errors) {
+                html += `<div class="metadata-item integrity-error">${this.t('integrityError', this.escapeHtml(this.formatIntegrityIssue(message)))}</div>`;
+            }
+            for (const message of integrity.warnings) {
+                html += `<div class="metadata-item integrity-warning">${this.t('integrityWarning', this.escapeHtml(this.formatIntegrityIssue(message)))}</div>`;
+            }
+        }
+
+        html += `<h3>${this.t('chunkInfo')}</h3>`;
+        if (rawChunks.length > 0) {
+            html += `<div class="raw-chunk-hint">${this.t('rawChunkHint')}</div>`;
+        }
+        rawChunks.forEach((chunk, index) => {
+            const crcStatus = chunk.crcValid === undefined ? '' : `, CRC: ${chunk.crcValid ? 'OK' : 'NG'}`;
+            html += `
+                <div class="metadata-item raw-chunk" data-chunk-index="${index}">
+                    <div class="metadata-key">${this.t('chunkTitle', [index + 1, this.escapeHtml(chunk.type)])}</div>
+                    <div class="metadata-value">${this.t('chunkLengthOffset', [chunk.length, `0x${chunk.offset.toString(16).toUpperCase()}`])}${crcStatus}</div>
+                </div>
+            `;
+        });
+
+        rawMetadata.innerHTML = html;
+    }
+
+    /**
+     * 来歴情報 (C2PAのコンテンツクレデンシャルとXMP) を表示
+     * @param {Object} metadata - メタデータ
+     */
+    displayProvenanceMetadata(metadata) {
+        const provenanceMetadata = document.getElementById('provenanceMetadata');
+        const c2pa = metadata.c2pa;
+        const xmp = metadata.xmp;
+        const renderItem = (key, value) => `
+            <div class="metadata-item">
+                <div class="metadata-key">${this.escapeHtml(key)}</div>
+                <div class="metadata-value">${this.escapeHtml(String(value))}</div>
+            </div>
+        `;
+
+        if (!c2pa && !xmp) {
+            provenanceMetadata.innerHTML = `<div class="metadata-item">${this.t('noProvenance')}</div>`;
+            return;
+        }
+
+        let html = '';
+        const markers = this.parser.getAIGeneratedMarkers(metadata);
+        if (markers.length > 0) {
+            html += `<div class="metadata-item provenance-ai">${this.t('aiGeneratedMarker', this.escapeHtml([...new Set(markers.map(marker => marker.source))].join(', ')))}</div>`;
+        }
+
+        if (c2pa) {
+            html += `<h3>${this.t('contentCredentials')}</h3>`;
+            html += `<div class="provenance-note">${this.t('signatureNotVerified')}</div>`;
+            if (c2pa.error) {
+                html += `<div class="metadata-item integrity-error">${this.t('c2paParseFailed', this.escapeHtml(c2pa.error))}</div>`;
+            }
+
+            // 画像そのもののマニフェスト (最後のもの) を先に表示する
+            for (const manifest of [...c2pa.manifests].reverse()) {
+                html += `<h3>${this.escapeHtml(manifest.label)}${manifest.active ? ` <span class="provenance-active">${this.t('activeManifest')}</span>` : ''}</h3>`;
+                if (manifest.claimGenerator) html += renderItem(this.t('claimGenerator'), manifest.claimGenerator);
+                if (manifest.title) html += renderItem(this.t('manifestTitle'), manifest.title);
+                if (manifest.format) html += renderItem(this.t('infoFormat'), manifest.format);
+                if (manifest.instanceId) html += renderItem('Instance ID', manifest.instanceId);
+
+                const signature = manifest.signature;
+                if (signature) {
+                    html += renderItem(this.t('signatureAlgorithm'), signature.algorithm || 'N/A');
+                    html += renderItem(this.t('signer'), signature.subject || 'N/A');
+                    html += renderItem(this.t('certificateIssuer'), signature.issuer || 'N/A');
+                    if (signature.notBefore) html += renderItem(this.t('certificateValidity'), `${signature.notBefore} 〜 ${signature.notAfter}`);
+                    html += renderItem(this.t('signatureTimestamp'), signature.timestamped ? 'Yes' : 'No');
+                }
+
+                if (manifest.actions.length > 0) {
+                    html += `<table class="parameters-table"><tr><th>${this.t('c2paAction')}</th><th>${this.t('digitalSourceType')}</th><th>${this.t('softwareAgent')}</th><th>${this.t('actionTime')}</th></tr>`;
+                    for (const action of manifest.actions) {
+                        html += `
+                            <tr>
+                                <th>${this.escapeHtml(action.action)}</th>
+                                <td title="${this.escapeAttribute(action.digitalSourceType)}">${this.escapeHtml(action.digitalSourceType.split('/').pop())}</td>
+                                <td>${this.escapeHtml(action.softwareAgent)}</td>
+                                <td>${this.escapeHtml(action.when)}</td>
+                            </tr>
+                        `;
+                    }
+                    html += '</table>';
+                }
+
+                for (const ingredient of manifest.ingredients) {
+                    html += renderItem(this.t('ingredient'), [ingredient.title, ingredient.format, ingredient.relationship].filter(value => value).join(' / '));
+                }
+
+                for (const assertion of manifest.assertions) {
+                    html += renderItem(this.t('assertionLabel', assertion.label), JSON.stringify(assertion.data, null, 2));
+                }
+            }
+        }
+
+        if (xmp) {
+            // 名前空間ごとにまとめる
+            const groups = new Map();
+            for (const property of xmp.properties) {
+                if (!groups.has(property.namespace)) groups.set(property.namespace, []);
+                groups.get(property.namespace).push(property);
+            }
+
+            html += '<h3>XMP</h3>';
+            if (xmp.error) {
+                html += `<div class="metadata-item integrity-error">${this.t('xmpParseFailed', this.escapeHtml(xmp.error))}</div>`;
+            }
+            for (const [namespace, properties] of groups) {
+                html += `<div class="provenance-namespace">${this.escapeHtml(properties[0].prefix)}: ${this.escapeHtml(namespace)}</div>`;
+                for (const property of properties) {
+                    html += renderItem(property.language ? `${property.path} (${property.language})` : property.path, property.value);
+                }
+            }
+        }
+
+        provenanceMetadata.innerHTML = html;
+    }
+
+    /**
+     * 生データタブのクリックを処理
+     * チャンクをクリックするとインスペクターを開閉し、ボタンでエクスポート/コピーする
+     * @param {MouseEvent} e - クリックイベント
+     */
+    async handleRawMetadataClick(e) {
+        const image = this.uploadedImages[this.currentImageIndex];
+        if (!image) return;
+
+        const actionButton = e.target.closest('[data-chunk-action]');
+        if (actionButton) {
+            await this.runChunkAction(image, Number(actionButton.dataset.chunkIndex), actionButton.dataset.chunkAction, actionButton);
+            return;
+        }
+
+        const item = e.target.closest('.raw-chunk');
+        if (!item) return;
+
+        const next = item.nextElementSibling;
+        if (next && next.classList.contains('chunk-inspector')) {
+            next.remove();
+            item.classList.remove('selected');
+            return;
+        }
+
+        const inspector = document.createElement('div');
+        inspector.className = 'chunk-inspector';
+        inspector.textContent = this.t('loading');
+        item.after(inspector);
+        item.classList.add('selected');
+
+        try {
+            inspector.innerHTML = await this.renderChunkInspector(image, Number(item.dataset.chunkIndex));
+        } catch (error) {
+            console.error('Error inspecting chunk:', error);
+            inspector.innerHTML = `<div class="integrity-error">${this.t('readChunkFailed', this.escapeHtml(error.message))}</div>`;
+        }
+    }
+
+    /**
+     * チャンクのバイト範囲とフィールド構成を取得
+     * @param {string} format - 画像形式 (PNG, JPEG, WebP, AVIF)
+     * @param {Object} chunk - 生チャンク情報 { type, length, offset, headerLength }
+     * @returns {{start: number, end: number, fields: Array<{name: string, className: string, start: number, end: number}>}} - ファイル内の範囲とチャンク先頭からの相対位置によるフィールド
+     */
+    getRawChunkLayout(format, chunk) {
+        let header;
+        let trailer = null;
+
+        switch (format) {
+            case 'PNG':
+                header = [[this.t('hexLength'), 'hex-length', 4], [this.t('hexType'), 'hex-type', 4]];
+                trailer = ['CRC', 'hex-crc', 4];
+                break;
+            case 'JPEG':
+                // セグメント長はマーカーを含まず、長さフィールド自身を含む
+                header = [[this.t('hexMarker'), 'hex-type', 2], [this.t('hexLength'), 'hex-length', 2]];
+                chunk = { ...chunk, length: chunk.length - 2 };
+                break;
+            case 'WebP':
+                header = [[this.t('hexType'), 'hex-type', 4], [this.t('hexLength'), 'hex-length', 4]];
+                // 奇数長のチャンクは1バイトのパディングが続く
+                if (chunk.length % 2 === 1) trailer = [this.t('hexPadding'), 'hex-padding', 1];
+                break;
+            default:
+                header = [[this.t('size'), 'hex-length', 4], [this.t('hexType'), 'hex-type', 4]];
+                if (chunk.headerLength > 8) header.push([this.t('hexLargeSize'), 'hex-length', chunk.headerLength - 8]);
+                break;
+        }
+
+        const fields = [];
+        let position = 0;
+        const addField = ([name, className, size]) => {
+            fields.push({ name, className, start: position, end: position + size });
+            position += size;
+        };
+
+        header.forEach(addField);
+        addField([this.t('hexData'), 'hex-data', Math.max(0, chunk.length)]);
+        if (trailer) addField(trailer);
+
+        return { start: chunk.offset, end: chunk.offset + position, fields };
+    }
+
+    /**
+     * チャンクインスペクターのHTMLを作成
+     * @param {Object} image - 画像情報
+     * @param {number} index - チャンク番号
+     * @returns {Promise<string>} - HTML
+     */
+    async renderChunkInspector(image, index) {
+        const chunk = image.metadata.rawChunks[index];
+        const bytes = await this.readChunkBytes(image, index);
+        const layout = this.getRawChunkLayout(image.metadata.technicalInfo.format, chunk);
+
+        let html = '<div class="hex-legend">';
+        for (const field of layout.fields) {
+            html += `<span class="${field.className}">${field.name} (${field.end - field.start} bytes)</span>`;
+        }
+        html += '</div>';
+
+        if (bytes.length < layout.end - layout.start) {
+            html += `<div class="integrity-warning">${this.t('fileTruncated', [bytes.length, layout.end - layout.start])}</div>`;
+        }
+
+        html += this.renderHexDump(bytes, layout.start, (position) => {
+            const field = layout.fields.find(f => position >= f.start && position < f.end);
+            return field ? field.className : '';
+        });
+
+        if (image.metadata.technicalInfo.format === 'PNG') {
+            html += await this.renderInflatedPayload(chunk.type, bytes.subarray(8, 8 + chunk.length));
+        }
+
+        html += `
+            <div class="chunk-actions">
+                <button class="copy-button" data-chunk-action="export" data-chunk-index="${index}">${this.t('exportChunk')}</button>
+                <button class="copy-button" data-chunk-action="base64" data-chunk-index="${index}">${this.t('copyBase64')}</button>
+            </div>
+        `;
+
+        return html;
+    }
+
+    /**
+     * zlib圧縮されたチャンク (zTXt, 圧縮iTXt, iCCP) の展開結果のHTMLを作成
+     * @param {string} type - チャンクタイプ
+     * @param {Uint8Array} data - チャンクデータ
+     * @returns {Promise<string>} - HTML (圧縮データを持たないチャンクは空文字列)
+     */
+    async renderInflatedPayload(type, data) {
+        const payload = this.getCompressedPayload(type, data);
+        if (!payload) return '';
+
+        let inflated;
+        try {
+            inflated = await this.parser.decompressBytes(payload.bytes, 'deflate');
+        } catch (error) {
+            return `<div class="integrity-error">${this.t('inflateFailed', this.escapeHtml(error.message))}</div>`;
+        }
+
+        let html = `<h4>${this.t('inflatedData', [payload.bytes.length, inflated.length])}</h4>`;
+        if (payload.encoding) {
+            const text = payload.encoding === 'latin1' ? this.parser.decodeLatin1(inflated) : new TextDecoder(payload.encoding).decode(inflated);
+            html += `<pre class="inflated-text">${this.escapeHtml(text)}</pre>`;
+        } else {
+            html += this.renderHexDump(inflated, 0, () => 'hex-data');
+        }
+        return html;
+    }
+
+    /**
+     * チャンクデータから圧縮された部分を取り出す
+     * @param {string} type - チャンクタイプ
+     * @param {Uint8Array} data - チャンクデータ
+     * @returns {{bytes: Uint8Array, encoding: string|null}|null} - 圧縮データとテキストの文字コード (バイナリはnull)
+     */
+    getCompressedPayload(type, data) {
+        const keywordEnd = data.indexOf(0);
+        if (keywordEnd === -1) return null;
+
+        switch (type) {
+            case 'zTXt':
+                return { bytes: data.subarray(keywordEnd + 2), encoding: 'latin1' };
+            case 'iCCP':
+                return { bytes: data.subarray(keywordEnd + 2), encoding: null };
+            case 'iTXt': {
+                if (data[keywordEnd + 1] !== 1) return null;
+                const languageEnd = data.indexOf(0, keywordEnd + 3);
+                const translatedEnd = languageEnd === -1 ? -1 : data.indexOf(0, languageEnd + 1);
+                if (translatedEnd === -1) return null;
+                return { bytes: data.subarray(translatedEnd + 1), encoding: 'utf-8' };
+            }
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * 16進ダンプのHTMLを作成
+     * 大きなデータは先頭と末尾のみ表示する
+     * @param {Uint8Array} bytes - 表示するバイト列
+     * @param {number} baseOffset - 表示するオフセットの基準値
+     * @param {Function} classify - バイト位置からCSSクラスを返す関数
+     * @returns {string} - HTML
+     */
+    renderHexDump(bytes, baseOffset, classify) {
+        const bytesPerRow = 16;
+        const rowCount = Math.ceil(bytes.length / bytesPerRow);
+        const maxRows = 256; // 4KB を超える分は省略
+        const rows = rowCount <= maxRows
+            ? Array.from({ length: rowCount }, (_, i) => i)
+            : [
+                ...Array.from({ length: maxRows - 2 }, (_, i) => i),
+                null,
+                rowCount - 2,
+                rowCount - 1
+            ];
+
+        let html = '<div class="hex-dump">';
+        for (const row of rows) {
+            if (row === null) {
+                html += `<div class="hex-row hex-omitted">${this.t('hexOmitted', (rowCount - maxRows) * bytesPerRow)}</div>`;
+                continue;
+            }
+
+            const start = row * bytesPerRow;
+            let hex = '';
+            let ascii = '';
+            for (let i = start; i < start + bytesPerRow; i++) {
+                if (i >= bytes.length) {
+                    hex += '<span>   </span>';
+                    continue;
+                }
+                const className = classify(i);
+                const char = bytes[i] >= 0x20 && bytes[i] < 0x7F ? this.escapeHtml(String.fromCharCode(bytes[i])) : '.';
+                hex += `<span class="${className}">${bytes[i].toString(16).padStart(2, '0').toUpperCase()} </span>`;
+                ascii += `<span class="${className}">${char}</span>`;
+            }
+            const offset = (baseOffset + start).toString(16).padStart(8, '0').toUpperCase();
+            html += `<div class="hex-row"><span class="hex-offset">${offset}</span>${hex}<span class="hex-ascii">${ascii}</span></div>`;
+        }
+        return html + '</div>';
+    }
+
+    /**
+     * ファイルからチャンクのバイト列を読み取る
+     * @param {Object} image - 画像情報
+     * @param {number} index - チャンク番号
+     * @returns {Promise<Uint8Array>} - チャンク全体のバイト列 (ファイル末尾で切り詰め)
+     */
+    async readChunkBytes(image, index) {
+        if (!image.file) throw new Error(this.t('historyImageNoFile'));
+
+        const layout = this.getRawChunkLayout(image.metadata.technicalInfo.format, image.metadata.rawChunks[index]);
+        const buffer = await this.readFileAsArrayBuffer(image.file.slice(layout.start, layout.end));
+        return new Uint8Array(buffer);
+    }
+
+    /**
+     * チャンクのエクスポート/Base64コピーを実行
+     * @param {Object} image - 画像情報
+     * @param {number} index - チャンク番号
+     * @param {string} action - 'export' または 'base64'
+     * @param {HTMLElement} button - 押されたボタン
+     */
+    async runChunkAction(image, index, action, button) {
+        try {
+            const bytes = await this.readChunkBytes(image, index);
+
+            if (action === 'export') {
+                const baseName = image.name.replace(/\.[^.]+$/, '');
+                const type = image.metadata.rawChunks[index].type.replace(/[^\w-]/g, '_');
+                await this.downloadBlob(new Blob([bytes], { type: 'application/octet-stream' }), `${baseName}_${index + 1}_${type}.bin`);
+            } else if (action === 'base64') {
+                await this.copyToClipboard(this.encodeBase64(bytes), button);
+            }
+        } catch (error) {
+            console.error('Error exporting chunk:', error);
+            this.showError(this.t('exportChunkFailed'));
+        }
+    }
+
+    /**
+     * バイト列をBase64に変換
+     * @param {Uint8Array} bytes - バイト列
+     * @returns {string} - Base64文字列
+     */
+    encodeBase64(bytes) {
+        let binary = '';
+        // 引数の数の上限を超えないよう分割して変換
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary);
+    }
+
+    /**
+     * タブボタンの表示/非表示を切り替え
+     * 表示中のタブを隠す場合はテキスト情報タブに戻す
+     * @param {string} tabName - タブ名
+     * @param {boolean} visible - 表示するかどうか
+     */
+    setTabVisible(tabName, visible) {
+        const button = document.querySelector(`.tab-button[data-tab="${tabName}"]`);
+        button.style.display = visible ? '' : 'none';
+
+        if (!visible && button.classList.contains('active')) {
+            this.switchTab(this.settings.defaultTab === tabName ? 'text' : this.settings.defaultTab);
+        }
+    }
+
+    /**
+     * タブを切り替え
+     * @param {string} tabName - タブ名
+     */
+    switchTab(tabName) {
+        // タブボタンの状態を更新
+        document.querySelectorAll('.tab-button').forEach(btn => btn.classList.remove('active'));
+        document.querySelector(`[data-tab="${tabName}"]`).classList.add('active');
+
+        // パネルの表示を切り替え
+        document.querySelectorAll('.tab-panel').forEach(panel => panel.classList.remove('active'));
+        document.getElementById(`${tabName}Panel`).classList.add('active');
+    }
 
-            // IENDチャンクで終了
-            if (chunkType === 'IEND') break;
+    /**
+     * 履歴用のIndexedDBを開く
+     * @returns {Promise<IDBDatabase>} - データベース
+     */
+    openHistoryDB() {
+        if (!this.historyDB) {
+            this.historyDB = new Promise((resolve, reject) => {
+                const request = indexedDB.open('pnginfo-viewer', 1);
+                request.onupgradeneeded = () => {
+                    const store = request.result.createObjectStore('history', { keyPath: 'id', autoIncrement: true });
+                    store.createIndex('importedAt', 'importedAt');
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
         }
-
-        return metadata;
+        return this.historyDB;
     }
 
     /**
-     * チャンクを処理
-     * @param {string} type - チャンクタイプ
-     * @param {ArrayBuffer} data - チャンクデータ
-     * @param {Object} metadata - メタデータオブジェクト
+     * 履歴ストアに対するトランザクションを実行
+     * @param {string} mode - 'readonly' または 'readwrite'
+     * @param {Function} callback - ストアを受け取り、結果を返すIDBRequestを返す関数
+     * @returns {Promise<*>} - トランザクション完了後のリクエストの結果
      */
-    async processChunk(type, data, metadata) {
-        const dataView = new DataView(data);
-
-        switch (type) {
-            case 'IHDR':
-                metadata.technicalInfo.width = dataView.getUint32(0);
-                metadata.technicalInfo.height = dataView.getUint32(4);
-                metadata.technicalInfo.bitDepth = dataView.getUint8(8);
-                metadata.technicalInfo.colorType = dataView.getUint8(9);
-                metadata.technicalInfo.compression = dataView.getUint8(10);
-                metadata.technicalInfo.filter = dataView.getUint8(11);
-                metadata.technicalInfo.interlace = dataView.getUint8(12);
-                break;
-
-            case 'tEXt':
-                const textData = this.parseTextChunk(data);
-                if (textData) {
-                    metadata.textChunks[textData.keyword] = textData.text;
-                }
-                break;
-
-            case 'iTXt':
-                const itextData = this.parseITextChunk(data);
-                if (itextData) {
-                    metadata.textChunks[itextData.keyword] = itextData.text;
-                }
-                break;
-
-            case 'zTXt':
-                const ztextData = await this.parseZTextChunk(data);
-                if (ztextData) {
-                    metadata.textChunks[ztextData.keyword] = ztextData.text;
-                }
-                break;
-
-            case 'pHYs':
-                if (data.byteLength >= 9) {
-                    const pixelsPerUnitX = dataView.getUint32(0);
-                    const pixelsPerUnitY = dataView.getUint32(4);
-                    const unitSpecifier = dataView.getUint8(8);
-                    metadata.technicalInfo.physicalDimensions = {
-                        pixelsPerUnitX,
-                        pixelsPerUnitY,
-                        unit: unitSpecifier === 1 ? 'meters' : 'unknown'
-                    };
-                }
-                break;
+    async runHistoryTransaction(mode, callback) {
+        const db = await this.openHistoryDB();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction('history', mode);
+            const request = callback(transaction.objectStore('history'));
+            transaction.oncomplete = () => resolve(request ? request.result : undefined);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
 
-            case 'tIME':
-                if (data.byteLength >= 7) {
-                    const year = dataView.getUint16(0);
-                    const month = dataView.getUint8(2);
-                    const day = dataView.getUint8(3);
-                    const hour = dataView.getUint8(4);
-                    const minute = dataView.getUint8(5);
-                    const second = dataView.getUint8(6);
-                    metadata.technicalInfo.lastModified = `${year}-${month.toString().padStart(2, '0')}-${day.toString().padStart(2, '0')} ${hour.toString().padStart(2, '0')}:${minute.toString().padStart(2, '0')}:${second.toString().padStart(2, '0')}`;
-                }
-                break;
-        }
+    /**
+     * 履歴の保存件数の上限を取得
+     * @returns {Promise<number>} - 上限 (0は保存しない)
+     */
+    async getHistoryLimit() {
+        if (typeof chrome === 'undefined' || !chrome.storage) return 100;
+        const { historyLimit } = await chrome.storage.local.get({ historyLimit: 100 });
+        return historyLimit;
     }
 
     /**
-     * tEXtチャンクを解析
-     * @param {ArrayBuffer} data - チャンクデータ
-     * @returns {Object|null} - 解析結果
+     * 履歴の保存件数の上限を変更し、超えた分を削除
+     * @param {string} value - 入力された上限
      */
-    parseTextChunk(data) {
+    async setHistoryLimit(value) {
+        const limit = Math.max(0, Math.floor(Number(value) || 0));
+        document.getElementById('historyLimitInput').value = limit;
+
         try {
-            const bytes = new Uint8Array(data);
-            const nullIndex = bytes.indexOf(0);
-            if (nullIndex === -1) return null;
-
-            const keyword = new TextDecoder('latin1').decode(bytes.slice(0, nullIndex));
-            const text = new TextDecoder('latin1').decode(bytes.slice(nullIndex + 1));
-            
-            return { keyword, text };
+            if (typeof chrome !== 'undefined' && chrome.storage) {
+                await chrome.storage.local.set({ historyLimit: limit });
+            }
+            await this.trimHistory(limit);
+            await this.renderHistory();
         } catch (error) {
-            console.error('Error parsing tEXt chunk:', error);
-            return null;
+            console.error('Failed to update history limit:', error);
+            this.showError(this.t('saveHistorySettingsFailed'));
         }
     }
 
     /**
-     * iTXtチャンクを解析
-     * @param {ArrayBuffer} data - チャンクデータ
-     * @returns {Object|null} - 解析結果
+     * 画像を履歴に保存
+     * 保存に失敗しても表示は続けられるよう、エラーはログに残すだけにする
+     * @param {Object} image - 画像情報
+     * @returns {Promise<number|null>} - 履歴のID (保存しなかった場合はnull)
      */
-    parseITextChunk(data) {
+    async addHistoryEntry(image) {
         try {
-            const bytes = new Uint8Array(data);
-            let offset = 0;
-
-            // キーワードを読み取り
-            const keywordEnd = bytes.indexOf(0, offset);
-            if (keywordEnd === -1) return null;
-            const keyword = new TextDecoder('latin1').decode(bytes.slice(offset, keywordEnd));
-            offset = keywordEnd + 1;
-
-            // 圧縮フラグとメソッド
-            const compressionFlag = bytes[offset++];
-            const compressionMethod = bytes[offset++];
-
-            // 言語タグ
-            const langTagEnd = bytes.indexOf(0, offset);
-            if (langTagEnd === -1) return null;
-            offset = langTagEnd + 1;
-
-            // 翻訳キーワード
-            const translatedKeywordEnd = bytes.indexOf(0, offset);
-            if (translatedKeywordEnd === -1) return null;
-            offset = translatedKeywordEnd + 1;
-
-            // テキストデータ
-            const textBytes = bytes.slice(offset);
-            const text = new TextDecoder('utf-8').decode(textBytes);
-            
-            return { keyword, text };
+            const limit = await this.getHistoryLimit();
+            if (limit === 0) return null;
+
+            // 縮小画像は一覧に表示されたときに作成して保存する (saveHistoryThumbnail)
+            const entry = {
+                name: image.name,
+                size: image.size,
+                importedAt: image.importedAt,
+                thumbnail: null,
+                metadata: image.metadata,
+                source: image.source
+            };
+            const id = await this.runHistoryTransaction('readwrite', store => store.add(entry));
+            await this.trimHistory(limit);
+            return id;
         } catch (error) {
-            console.error('Error parsing iTXt chunk:', error);
+            console.error('Failed to save history:', error);
             return null;
         }
     }
 
     /**
-     * zTXtチャンクを解析
-     * @param {ArrayBuffer} data - チャンクデータ
-     * @returns {Promise<Object|null>} - 解析結果
+     * 履歴の項目を更新
+     * @param {number} id - 履歴のID
+     * @param {Object} changes - 更新する項目
      */
-    async parseZTextChunk(data) {
+    async updateHistoryEntry(id, changes) {
         try {
-            const bytes = new Uint8Array(data);
-            const nullIndex = bytes.indexOf(0);
-            if (nullIndex === -1) return null;
-
-            const keyword = new TextDecoder('latin1').decode(bytes.slice(0, nullIndex));
-            const compressionMethod = bytes[nullIndex + 1];
-            
-            if (compressionMethod !== 0) return null; // deflate圧縮のみサポート
-            
-            const compressedData = bytes.slice(nullIndex + 2);
-            
-            // DecompressionStreamが利用可能な場合に使用
-            if (typeof DecompressionStream !== 'undefined') {
-                const ds = new DecompressionStream('deflate');
-                const writer = ds.writable.getWriter();
-                const reader = ds.readable.getReader();
-                
-                writer.write(compressedData);
-                writer.close();
-                
-                const result = await reader.read();
-                const text = new TextDecoder('latin1').decode(result.value);
-                
-                return { keyword, text };
-            } else {
-                // フォールバック: 圧縮解除をスキップ
-                return { keyword, text: '[Compressed data - decompression not supported]' };
-            }
+            const entry = await this.runHistoryTransaction('readonly', store => store.get(id));
+            if (!entry) return;
+            await this.runHistoryTransaction('readwrite', store => store.put({ ...entry, ...changes }));
         } catch (error) {
-            console.error('Error parsing zTXt chunk:', error);
-            return null;
+            console.error('Failed to update history:', error);
         }
     }
 
     /**
-     * DataViewから文字列を読み取り
-     * @param {DataView} dataView - DataView
-     * @param {number} offset - オフセット
-     * @param {number} length - 長さ
-     * @returns {string} - 文字列
+     * 作成した縮小画像を履歴に保存し、履歴一覧の表示も更新
+     * @param {number} id - 履歴のID
+     * @param {Blob} blob - 縮小画像
      */
-    readString(dataView, offset, length) {
-        let str = '';
-        for (let i = 0; i < length; i++) {
-            str += String.fromCharCode(dataView.getUint8(offset + i));
-        }
-        return str;
+    async saveHistoryThumbnail(id, blob) {
+        const thumbnail = await this.readFileAsDataURL(blob);
+        await this.updateHistoryEntry(id, { thumbnail });
+
+        const img = document.querySelector(`.history-item[data-history-id="${id}"] img`);
+        if (img) img.src = thumbnail;
     }
 
     /**
-     * 画像リストを更新
+     * 古い履歴から削除して上限内に収める
+     * @param {number} limit - 保存件数の上限
      */
-    updateImageList() {
-        const imageList = document.getElementById('imageList');
-        const imageListSection = document.getElementById('imageListSection');
-        
-        if (this.uploadedImages.length === 0) {
-            imageListSection.style.display = 'none';
-            return;
-        }
-
-        imageListSection.style.display = 'block';
-        imageList.innerHTML = '';
-
-        this.uploadedImages.forEach((image, index) => {
-            const item = document.createElement('div');
-            item.className = 'image-item';
-            if (index === this.currentImageIndex) {
-                item.classList.add('active');
-            }
-
-            item.innerHTML = `
-                <img src="${image.preview}" alt="${image.name}" class="image-thumbnail">
-                <div class="image-filename">${image.name}</div>
-            `;
+    async trimHistory(limit) {
+        const ids = await this.runHistoryTransaction('readonly', store => store.index('importedAt').getAllKeys());
+        const excess = ids.slice(0, Math.max(0, ids.length - limit));
+        if (excess.length === 0) return;
 
-            item.addEventListener('click', () => this.showImage(index));
-            imageList.appendChild(item);
+        await this.runHistoryTransaction('readwrite', store => {
+            excess.forEach(id => store.delete(id));
         });
     }
 
     /**
-     * 最初の画像を表示
+     * 履歴を新しい順に取得
+     * @returns {Promise<Array>} - 履歴 { id, name, size, importedAt, thumbnail, metadata, source }
      */
-    showFirstImage() {
-        if (this.uploadedImages.length > 0) {
-            this.showImage(0);
-        }
+    async getHistoryEntries() {
+        const entries = await this.runHistoryTransaction('readonly', store => store.getAll());
+        return entries.sort((a, b) => b.importedAt - a.importedAt);
     }
 
     /**
-     * 指定された画像を表示
-     * @param {number} index - 画像のインデックス
+     * 起動時に履歴を読み込んで表示
      */
-    showImage(index) {
-        if (index < 0 || index >= this.uploadedImages.length) return;
+    async loadHistory() {
+        try {
+            document.getElementById('historyLimitInput').value = await this.getHistoryLimit();
+            await this.renderHistory();
+        } catch (error) {
+            console.error('Failed to load history:', error);
+        }
+    }
 
-        this.currentImageIndex = index;
-        const image = this.uploadedImages[index];
+    /**
+     * 履歴の一覧を表示
+     */
+    async renderHistory() {
+        const historySection = document.getElementById('historySection');
+        const historyList = document.getElementById('historyList');
 
-        // UI表示を更新
-        this.updateImageList();
-        this.displayImageInfo(image);
-        this.displayMetadata(image.metadata);
+        let entries;
+        try {
+            entries = await this.getHistoryEntries();
+        } catch (error) {
+            console.error('Failed to read history:', error);
+            return;
+        }
 
-        // PNGinfoセクションを表示
-        document.getElementById('pnginfoSection').style.display = 'block';
+        historySection.style.display = entries.length > 0 ? 'block' : 'none';
+        historyList.innerHTML = entries.map(entry => {
+            const generator = entry.metadata.generator;
+            return `
+                <div class="image-item history-item" data-history-id="${entry.id}">
+                    <button class="history-delete-button" data-history-action="delete" title="${this.t('deleteFromHistory')}">✕</button>
+                    <img src="${entry.thumbnail || ''}" alt="${this.escapeAttribute(entry.name)}" class="image-thumbnail">
+                    <div class="image-filename">${this.escapeHtml(entry.name)}</div>
+                    <div class="history-date">${new Date(entry.importedAt).toLocaleString()}${generator ? ` / ${this.escapeHtml(generator.name)}` : ''}</div>
+                </div>
+            `;
+        }).join('');
     }
 
     /**
-     * 画像情報を表示
-     * @param {Object} image - 画像オブジェクト
+     * 履歴一覧のクリックを処理
+     * 項目をクリックすると表示に追加し、削除ボタンでその項目を削除する
+     * @param {MouseEvent} e - クリックイベント
      */
-    displayImageInfo(image) {
-        const previewImage = document.getElementById('previewImage');
-        const currentFilename = document.getElementById('currentFilename');
-        const imageInfo = document.getElementById('imageInfo');
+    async handleHistoryClick(e) {
+        const item = e.target.closest('.history-item');
+        if (!item) return;
+        const id = Number(item.dataset.historyId);
 
-        previewImage.src = image.preview;
-        currentFilename.textContent = image.name;
+        try {
+            if (e.target.closest('[data-history-action="delete"]')) {
+                await this.runHistoryTransaction('readwrite', store => store.delete(id));
+                await this.renderHistory();
+                return;
+            }
 
-        const fileSize = this.formatFileSize(image.file.size);
-        const dimensions = `${image.metadata.technicalInfo.width || '?'} × ${image.metadata.technicalInfo.height || '?'}`;
-        
-        imageInfo.innerHTML = `
-            ファイルサイズ: ${fileSize}<br>
-            解像度: ${dimensions}<br>
-            ビット深度: ${image.metadata.technicalInfo.bitDepth || '?'}bit<br>
-            カラータイプ: ${this.getColorTypeName(image.metadata.technicalInfo.colorType)}
-        `;
+            // 既に表示中の画像はそのまま選択する
+            const index = this.uploadedImages.findIndex(image => image.historyId === id);
+            if (index !== -1) {
+                this.showImage(index);
+                return;
+            }
+
+            const entry = await this.runHistoryTransaction('readonly', store => store.get(id));
+            if (!entry) return;
+
+            this.uploadedImages.push({
+                file: null,
+                metadata: entry.metadata,
+                thumbnailUrl: entry.thumbnail,
+                name: entry.name,
+                size: entry.size,
+                importedAt: entry.importedAt,
+                source: entry.source,
+                historyId: id
+            });
+            this.showImage(this.uploadedImages.length - 1);
+        } catch (error) {
+            console.error('Failed to open history entry:', error);
+            this.showError(this.t('readHistoryFailed'));
+        }
     }
 
     /**
-     * メタデータを表示
-     * @param {Object} metadata - メタデータ
+     * 履歴をすべて削除
      */
-    displayMetadata(metadata) {
-        this.displayTextMetadata(metadata.textChunks);
-        this.displayTechnicalMetadata(metadata.technicalInfo);
-        this.displayRawMetadata(metadata.rawChunks);
+    async clearHistory() {
+        try {
+            await this.runHistoryTransaction('readwrite', store => store.clear());
+        } catch (error) {
+            console.error('Failed to clear history:', error);
+            this.showError(this.t('deleteHistoryFailed'));
+        }
+        await this.renderHistory();
     }
 
     /**
-     * テキストメタデータを表示
-     * @param {Object} textChunks - テキストチャンク
+     * バッジを表示するサイトの一覧を取得
+     * @returns {Promise<string[]>} - サイトのオリジン
      */
-    displayTextMetadata(textChunks) {
-        const textMetadata = document.getElementById('textMetadata');
-        
-        if (Object.keys(textChunks).length === 0) {
-            textMetadata.innerHTML = '<div class="metadata-item">テキスト情報は見つかりませんでした。</div>';
-            return;
-        }
-
-        let html = '';
-        for (const [key, value] of Object.entries(textChunks)) {
-            html += `
-                <div class="metadata-item">
-                    <div class="metadata-key">${this.escapeHtml(key)}</div>
-                    <div class="metadata-value">${this.escapeHtml(value)}</div>
-                </div>
-            `;
-        }
-        textMetadata.innerHTML = html;
+    async getBadgeSites() {
+        if (typeof chrome === 'undefined' || !chrome.storage) return [];
+        const { badgeSites } = await chrome.storage.local.get({ badgeSites: [] });
+        return badgeSites;
     }
 
     /**
-     * 技術情報を表示
-     * @param {Object} technicalInfo - 技術情報
+     * 起動時にバッジを表示するサイトの一覧を表示
      */
-    displayTechnicalMetadata(technicalInfo) {
-        const technicalMetadata = document.getElementById('technicalMetadata');
-        
-        let html = '<h3>基本情報</h3>';
-        html += `
-            <div class="metadata-item">
-                <div class="metadata-key">幅</div>
-                <div class="metadata-value">${technicalInfo.width || 'N/A'} px</div>
-            </div>
-            <div class="metadata-item">
-                <div class="metadata-key">高さ</div>
-                <div class="metadata-value">${technicalInfo.height || 'N/A'} px</div>
-            </div>
-            <div class="metadata-item">
-                <div class="metadata-key">ビット深度</div>
-                <div class="metadata-value">${technicalInfo.bitDepth || 'N/A'}</div>
-            </div>
-            <div class="metadata-item">
-                <div class="metadata-key">カラータイプ</div>
-                <div class="metadata-value">${technicalInfo.colorType !== undefined ? `${technicalInfo.colorType} (${this.getColorTypeName(technicalInfo.colorType)})` : 'N/A'}</div>
-            </div>
-            <div class="metadata-item">
-                <div class="metadata-key">圧縮方式</div>
-                <div class="metadata-value">${technicalInfo.compression !== undefined ? technicalInfo.compression : 'N/A'}</div>
-            </div>
-            <div class="metadata-item">
-                <div class="metadata-key">フィルタ方式</div>
-                <div class="metadata-value">${technicalInfo.filter !== undefined ? technicalInfo.filter : 'N/A'}</div>
-            </div>
-            <div class="metadata-item">
-                <div class="metadata-key">インターレース</div>
-                <div class="metadata-value">${technicalInfo.interlace !== undefined ? (technicalInfo.interlace ? 'Yes' : 'No') : 'N/A'}</div>
-            </div>
-        `;
-
-        if (technicalInfo.physicalDimensions) {
-            html += '<h3>物理的寸法</h3>';
-            html += `
-                <div class="metadata-item">
-                    <div class="metadata-key">X方向解像度</div>
-                    <div class="metadata-value">${technicalInfo.physicalDimensions.pixelsPerUnitX} pixels/${technicalInfo.physicalDimensions.unit}</div>
-                </div>
-                <div class="metadata-item">
-                    <div class="metadata-key">Y方向解像度</div>
-                    <div class="metadata-value">${technicalInfo.physicalDimensions.pixelsPerUnitY} pixels/${technicalInfo.physicalDimensions.unit}</div>
-                </div>
-            `;
+    async loadBadgeSites() {
+        try {
+            this.renderBadgeSites(await this.getBadgeSites());
+        } catch (error) {
+            console.error('Failed to load badge sites:', error);
         }
+    }
 
-        if (technicalInfo.lastModified) {
-            html += '<h3>タイムスタンプ</h3>';
-            html += `
-                <div class="metadata-item">
-                    <div class="metadata-key">最終更新</div>
-                    <div class="metadata-value">${technicalInfo.lastModified}</div>
-                </div>
-            `;
+    /**
+     * バッジを表示するサイトの一覧を表示
+     * @param {string[]} sites - サイトのオリジン
+     */
+    renderBadgeSites(sites) {
+        const list = document.getElementById('badgeSiteList');
+        if (sites.length === 0) {
+            list.innerHTML = `<div class="badge-site-empty">${this.t('noBadgeSites')}</div>`;
+            return;
         }
 
-        technicalMetadata.innerHTML = html;
+        list.innerHTML = sites.map(site => `
+            <div class="badge-site-item">
+                <span>${this.escapeHtml(site)}</span>
+                <button class="copy-button" data-badge-site="${this.escapeAttribute(site)}">${this.t('delete')}</button>
+            </div>
+        `).join('');
     }
 
     /**
-     * 生データを表示
-     * @param {Array} rawChunks - 生チャンクデータ
+     * バッジを表示するサイトを追加
+     * 入力されたURLやホスト名からオリジンを取り出し、そのサイトへのアクセスの許可を得てから保存する
+     * (コンテンツスクリプトの登録はbackground.jsが行う)
+     * @param {string} value - 入力されたURLまたはホスト名
      */
-    displayRawMetadata(rawChunks) {
-        const rawMetadata = document.getElementById('rawMetadata');
-        
-        let html = '<h3>チャンク情報</h3>';
-        rawChunks.forEach((chunk, index) => {
-            html += `
-                <div class="metadata-item">
-                    <div class="metadata-key">チャンク #${index + 1}: ${chunk.type}</div>
-                    <div class="metadata-value">長さ: ${chunk.length} bytes, オフセット: 0x${chunk.offset.toString(16).toUpperCase()}</div>
-                </div>
-            `;
-        });
+    async addBadgeSite(value) {
+        let origin;
+        try {
+            const url = new URL(/^https?:\/\//i.test(value.trim()) ? value.trim() : `https://${value.trim()}`);
+            origin = url.origin;
+        } catch (error) {
+            this.showError(this.t('invalidSiteUrl'));
+            return;
+        }
 
-        rawMetadata.innerHTML = html;
+        // 許可を求めるにはユーザー操作が必要なため、他の処理を待つ前に求める
+        if (!(await chrome.permissions.request({ origins: [`${origin}/*`] }))) {
+            this.showError(this.t('siteAccessDenied', origin));
+            return;
+        }
+
+        const sites = await this.getBadgeSites();
+        if (!sites.includes(origin)) {
+            sites.push(origin);
+            await chrome.storage.local.set({ badgeSites: sites });
+        }
+        document.getElementById('badgeSiteInput').value = '';
+        this.renderBadgeSites(sites);
     }
 
     /**
-     * タブを切り替え
-     * @param {string} tabName - タブ名
+     * バッジを表示するサイトを削除
+     * @param {string} origin - サイトのオリジン
      */
-    switchTab(tabName) {
-        // タブボタンの状態を更新
-        document.querySelectorAll('.tab-button').forEach(btn => btn.classList.remove('active'));
-        document.querySelector(`[data-tab="${tabName}"]`).classList.add('active');
-
-        // パネルの表示を切り替え
-        document.querySelectorAll('.tab-panel').forEach(panel => panel.classList.remove('active'));
-        document.getElementById(`${tabName}Panel`).classList.add('active');
+    async removeBadgeSite(origin) {
+        const sites = (await this.getBadgeSites()).filter(site => site !== origin);
+        await chrome.storage.local.set({ badgeSites: sites });
+        await chrome.permissions.remove({ origins: [`${origin}/*`] });
+        this.renderBadgeSites(sites);
     }
 
     /**
      * すべてをリセット
+     * 通常は表示中の画像のみをクリアし、clearHistoryがtrueの場合は保存された履歴も削除する
+     * @param {boolean} [clearHistory=false] - 履歴も削除するかどうか
      */
-    resetAll() {
+    async resetAll(clearHistory = false) {
+        if (clearHistory) {
+            if (!confirm(this.t('confirmClearHistory'))) return;
+            await this.clearHistory();
+        }
+
+        for (const image of this.uploadedImages) {
+            if (image.objectUrl) URL.revokeObjectURL(image.objectUrl);
+            if (image.file && image.thumbnailUrl) URL.revokeObjectURL(image.thumbnailUrl);
+        }
         this.uploadedImages = [];
         this.currentImageIndex = -1;
+        this.compareSelection = null;
+        this.tagFilter = null;
 
         // UI要素をリセット
         document.getElementById('imageListSection').style.display = 'none';
+        document.getElementById('scrubSection').style.display = 'none';
+        document.getElementById('compareSection').style.display = 'none';
+        this.closeAnalyticsPanel();
         document.getElementById('pnginfoSection').style.display = 'none';
         document.getElementById('fileInput').value = '';
 
@@ -638,6 +4097,36 @@ class PNGInfoViewer {
         return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
     }
 
+    /**
+     * 整合性チェックの結果を要約
+     * @param {Object} integrity - { errors, warnings }
+     * @returns {string} - 要約
+     */
+    getIntegritySummary(integrity) {
+        if (integrity.errors.length === 0 && integrity.warnings.length === 0) return this.t('integrityOk');
+        return this.t('integritySummary', [integrity.errors.length, integrity.warnings.length]);
+    }
+
+    /**
+     * 整合性チェックの指摘を表示言語の文章にする
+     * 以前の履歴には文章のまま保存されているため、文字列はそのまま返す
+     * @param {Object|string} issue - { key, args } または文章
+     * @returns {string} - 文章
+     */
+    formatIntegrityIssue(issue) {
+        return typeof issue === 'string' ? issue : this.t(issue.key, issue.args);
+    }
+
+    /**
+     * ステルス情報の形式を表すラベルを取得
+     * @param {Object} stealth - { mode, compressed }
+     * @returns {string} - ラベル
+     */
+    getStealthLabel(stealth) {
+        const channel = stealth.mode === 'alpha' ? this.t('alphaChannel') : this.t('rgbChannels');
+        return this.t(stealth.compressed ? 'stealthLabelCompressed' : 'stealthLabel', channel);
+    }
+
     /**
      * カラータイプ名を取得
      * @param {number} colorType - カラータイプ
@@ -645,13 +4134,74 @@ class PNGInfoViewer {
      */
     getColorTypeName(colorType) {
         const colorTypes = {
-            0: 'グレースケール',
-            2: 'トゥルーカラー',
-            3: 'インデックスカラー',
-            4: 'グレースケール + アルファ',
-            6: 'トゥルーカラー + アルファ'
+            0: this.t('colorTypeGrayscale'),
+            2: this.t('colorTypeTruecolor'),
+            3: this.t('colorTypeIndexed'),
+            4: this.t('colorTypeGrayscaleAlpha'),
+            6: this.t('colorTypeTruecolorAlpha')
         };
-        return colorTypes[colorType] || '不明';
+        return colorTypes[colorType] || this.t('unknown');
+    }
+
+    /**
+     * コンテナ内のコピーボタンにクリック処理を設定
+     * @param {HTMLElement} container - コピーボタンを含む要素
+     * @param {string[]} values - data-copy-indexに対応するコピー対象の値
+     */
+    bindCopyButtons(container, values) {
+        container.querySelectorAll('.copy-button[data-copy-index]').forEach(button => {
+            const value = values[Number(button.dataset.copyIndex)];
+            button.addEventListener('click', () => this.copyToClipboard(value, button));
+        });
+    }
+
+    /**
+     * テキストをクリップボードにコピー
+     * @param {string} text - コピーするテキスト
+     * @param {HTMLElement} [button] - 結果を表示するボタン
+     */
+    async copyToClipboard(text, button) {
+        try {
+            await navigator.clipboard.writeText(text);
+            if (button) {
+                const label = button.textContent;
+                button.textContent = this.t('copied');
+                button.disabled = true;
+                setTimeout(() => {
+                    button.textContent = label;
+                    button.disabled = false;
+                }, 1500);
+            }
+        } catch (error) {
+            console.error('Failed to copy to clipboard:', error);
+            this.showError(this.t('copyFailed'));
+        }
+    }
+
+    /**
+     * Blobをファイルとしてダウンロード
+     * @param {Blob} blob - ダウンロードするデータ
+     * @param {string} filename - 保存するファイル名
+     */
+    async downloadBlob(blob, filename) {
+        const url = URL.createObjectURL(blob);
+
+        try {
+            if (typeof chrome !== 'undefined' && chrome.downloads) {
+                await chrome.downloads.download({ url, filename, saveAs: false });
+            } else {
+                const link = document.createElement('a');
+                link.href = url;
+                link.download = filename;
+                link.click();
+            }
+        } catch (error) {
+            console.error('Failed to download file:', error);
+            this.showError(this.t('downloadFailed', filename));
+        } finally {
+            // ダウンロード開始前に解放しないよう少し待つ
+            setTimeout(() => URL.revokeObjectURL(url), 60000);
+        }
     }
 
     /**
@@ -664,6 +4214,15 @@ class PNGInfoViewer {
         div.textContent = text;
         return div.innerHTML;
     }
+
+    /**
+     * 属性値用のHTMLエスケープ (引用符もエスケープする)
+     * @param {string} text - エスケープするテキスト
+     * @returns {string} - エスケープされたテキスト
+     */
+    escapeAttribute(text) {
+        return this.escapeHtml(text).replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+    }
 }
 
 // DOMContentLoadedでアプリケーションを初期化
@@ -0,0 +1,76 @@
+/**
+ * PNGinfo Viewer - 表示言語の切り替え
+ * _locales のメッセージを chrome.i18n から取得する
+ * オプションで言語が指定されている場合は、ブラウザの言語に関係なくその言語のメッセージを読み込む
+ * 画面、オプションページ、バックグラウンドから import する (コンテンツスクリプトにはバックグラウンドが読み込んだメッセージを渡す)
+ */
+
+export class I18n {
+    constructor() {
+        // オプションで指定された言語のメッセージ (自動の場合はnullで、chrome.i18nを使う)
+        this.messages = null;
+    }
+
+    /**
+     * オプションで指定された表示言語のメッセージを読み込む
+     */
+    async load() {
+        this.messages = null;
+        if (typeof chrome === 'undefined' || !chrome.storage) return;
+
+        const { uiLanguage } = await chrome.storage.local.get({ uiLanguage: 'auto' });
+        if (uiLanguage === 'auto') return;
+
+        try {
+            const response = await fetch(chrome.runtime.getURL(`_locales/${uiLanguage}/messages.json`));
+            this.messages = await response.json();
+        } catch (error) {
+            console.error(`Failed to load messages for ${uiLanguage}:`, error);
+        }
+    }
+
+    /**
+     * メッセージを取得
+     * メッセージ中の $1〜$9 は substitutions で置き換える
+     * @param {string} key - メッセージのキー
+     * @param {*|Array} [substitutions] - 置き換える値
+     * @returns {string} - メッセージ (見つからない場合はキー)
+     */
+    t(key, substitutions = []) {
+        const values = (Array.isArray(substitutions) ? substitutions : [substitutions]).map(value => String(value));
+
+        if (this.messages && this.messages[key]) {
+            return this.messages[key].message.replace(/\$(\d)|\$\$/g, (match, index) => {
+                if (!index) return '$';
+                return values[index - 1] === undefined ? '' : values[index - 1];
+            });
+        }
+
+        const message = typeof chrome !== 'undefined' && chrome.i18n ? chrome.i18n.getMessage(key, values) : '';
+        return message || key;
+    }
+
+    /**
+     * data-i18n 属性を持つ要素にメッセージを設定
+     * data-i18n はテキスト、data-i18n-placeholder / data-i18n-title / data-i18n-alt はそれぞれの属性に設定する
+     * @param {ParentNode} [root=document] - 対象の要素
+     */
+    apply(root = document) {
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = this.t(element.dataset.i18n);
+        });
+        root.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+            element.placeholder = this.t(element.dataset.i18nPlaceholder);
+        });
+        root.querySelectorAll('[data-i18n-title]').forEach(element => {
+            element.title = this.t(element.dataset.i18nTitle);
+        });
+        root.querySelectorAll('[data-i18n-alt]').forEach(element => {
+            element.alt = this.t(element.dataset.i18nAlt);
+        });
+
+        if (root === document) {
+            document.documentElement.lang = this.t('htmlLang');
+        }
+    }
+}
\ No newline at end of file
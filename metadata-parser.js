@@ -0,0 +1,3240 @@
+/**
+ * PNGinfo Viewer - メタデータ解析
+ * PNG/JPEG/WebP/AVIFのメタデータ解析と生成ツールの判定を提供
+ * DOMに依存しないES Moduleで、画面 (edit.js)、Web Worker (metadata-worker.js)、
+ * バックグラウンド (background.js) のほか、Node.js のスクリプトやテストからも import できる
+ *
+ * 使い方:
+ *   import { parseMetadata, MetadataParseError } from './metadata-parser.js';
+ *   const metadata = await parseMetadata(bytes); // ArrayBuffer / Uint8Array / Blob
+ *
+ * 戻り値のメタデータ:
+ *   textChunks    - テキストチャンク { type, keyword, text, compressed, languageTag, translatedKeyword, offset }
+ *   technicalInfo - 形式、サイズ、カラータイプ、色空間などの技術情報
+ *   rawChunks     - チャンク (JPEGはセグメント、WebP/AVIFはボックス) の一覧
+ *   integrity     - PNGの整合性チェックの結果 { errors, warnings } (各要素は { key, args })
+ *   generator     - 判定した生成ツール { id, name, params } (判定できない場合はnull)
+ *   xmp           - XMPのプロパティ { properties: [{ namespace, prefix, name, path, value, language }], error } (XMPがない場合はnull)
+ *   c2pa          - C2PAのマニフェストストア { manifests, activeManifest, aiGenerated, error } (ない場合はnull)
+ *   stealthError  - 画素のステルス情報を読み取れなかった場合のエラーメッセージ (extractStealthMetadataが設定)
+ *   partial       - PNGの先頭部分のみを解析した場合はtrue
+ *
+ * 画像として読めない入力は MetadataParseError (code付き) を投げる。
+ * 読み込めた範囲で見つかった問題は例外にせず integrity に記録する。
+ */
+
+/**
+ * メタデータを解析できない場合のエラー
+ * code: INVALID_INPUT (入力の型が不正) / UNSUPPORTED_FORMAT (対応していない形式) /
+ *       INVALID_SIGNATURE (署名が壊れている) / MALFORMED_DATA (構造が壊れていて読めない)
+ */
+export class MetadataParseError extends Error {
+    /**
+     * @param {string} code - エラーの種類
+     * @param {string} message - エラーメッセージ
+     */
+    constructor(code, message) {
+        super(message);
+        this.name = 'MetadataParseError';
+        this.code = code;
+    }
+}
+
+// XMPの構文に使われる名前空間
+const RDF_NAMESPACE = 'http://www.w3.org/1999/02/22-rdf-syntax-ns#';
+const XML_NAMESPACE = 'http://www.w3.org/XML/1998/namespace';
+const IPTC_EXTENSION_NAMESPACE = 'http://iptc.org/std/Iptc4xmpExt/2008-02-29/';
+
+// 生成AIによる画像を示すIPTCのデジタルソースタイプ (http://cv.iptc.org/newscodes/digitalsourcetype/)
+const AI_DIGITAL_SOURCE_TYPES = ['trainedAlgorithmicMedia', 'compositeWithTrainedAlgorithmicMedia'];
+
+// プロンプトの括弧の入れ子の上限 (これより深い括弧は重みに反映しない)
+const MAX_PROMPT_DEPTH = 32;
+
+export class MetadataParser {
+    /**
+     * ArrayBuffer / Uint8Array / Blob からメタデータを解析
+     * @param {ArrayBuffer|Uint8Array|Blob} input - 画像データ
+     * @param {Object} [options]
+     * @param {boolean} [options.headerOnly=false] - PNGの最初のIDATより前のみを解析するかどうか (Blobのみ)
+     * @returns {Promise<Object>} - 解析されたメタデータ
+     */
+    async parse(input, { headerOnly = false } = {}) {
+        if (typeof Blob !== 'undefined' && input instanceof Blob) {
+            return this.parseFile(input, headerOnly);
+        }
+        return this.parseImageMetadata(this.toArrayBuffer(input));
+    }
+
+    /**
+     * 入力をArrayBufferにする
+     * @param {ArrayBuffer|Uint8Array} input - 画像データ
+     * @returns {ArrayBuffer} - 画像データ
+     */
+    toArrayBuffer(input) {
+        if (input instanceof ArrayBuffer) return input;
+        if (ArrayBuffer.isView(input)) {
+            return input.buffer.slice(input.byteOffset, input.byteOffset + input.byteLength);
+        }
+        throw new MetadataParseError('INVALID_INPUT', 'Input must be an ArrayBuffer, Uint8Array or Blob');
+    }
+
+    /**
+     * ファイルからメタデータを解析
+     * headerOnlyの場合、PNGは最初のIDATより前のチャンクだけを読み込み、画素データは読まない
+     * (チャンク構成の検査とIDAT以降のチャンクは省略され、metadata.partialがtrueになる)
+     * @param {Blob} file - 画像ファイル
+     * @param {boolean} [headerOnly=false] - ヘッダー部分のみを読むかどうか
+     * @returns {Promise<Object>} - 解析されたメタデータ
+     */
+    async parseFile(file, headerOnly = false) {
+        if (headerOnly) {
+            const end = await this.findPNGHeaderEnd(file);
+            if (end !== null) {
+                return this.parseImageMetadata(await file.slice(0, end).arrayBuffer(), true);
+            }
+        }
+
+        return this.parseImageMetadata(await file.arrayBuffer());
+    }
+
+    /**
+     * PNGの最初のIDAT (なければIEND) の位置を求める
+     * チャンクヘッダーだけを順に読むため、チャンクのデータは読み込まない
+     * @param {Blob} file - 画像ファイル
+     * @returns {Promise<number|null>} - 位置 (PNGでない場合や途中で壊れている場合はnull)
+     */
+    async findPNGHeaderEnd(file) {
+        const signature = new Uint8Array(await file.slice(0, 8).arrayBuffer());
+        if (signature.length < 8 || signature[0] !== 0x89 || String.fromCharCode(...signature.subarray(1, 4)) !== 'PNG') {
+            return null;
+        }
+
+        let offset = 8;
+        while (offset + 12 <= file.size) {
+            const header = new DataView(await file.slice(offset, offset + 8).arrayBuffer());
+            const type = this.readString(header, 4, 4);
+            if (type === 'IDAT' || type === 'IEND') return offset;
+            offset += 12 + header.getUint32(0);
+        }
+        return null;
+    }
+
+    /**
+     * 画像形式を判定してメタデータを解析
+     * @param {ArrayBuffer} buffer - 画像データ
+     * @param {boolean} [headerOnly=false] - bufferがPNGの最初のIDATまでの部分のみの場合はtrue (metadata.partialがtrueになる)
+     * @returns {Promise<Object>} - 解析されたメタデータ
+     */
+    async parseImageMetadata(buffer, headerOnly = false) {
+        const bytes = new Uint8Array(buffer, 0, Math.min(buffer.byteLength, 16));
+        const ascii = String.fromCharCode(...bytes);
+        let metadata;
+
+        if (bytes[0] === 0x89 && ascii.slice(1, 4) === 'PNG') {
+            metadata = await this.parsePNGMetadata(buffer, headerOnly);
+            if (headerOnly) metadata.partial = true;
+        } else if (bytes[0] === 0xFF && bytes[1] === 0xD8) {
+            metadata = this.parseJPEGMetadata(buffer);
+        } else if (ascii.slice(0, 4) === 'RIFF' && ascii.slice(8, 12) === 'WEBP') {
+            metadata = this.parseWebPMetadata(buffer);
+        } else if (ascii.slice(4, 8) === 'ftyp') {
+            metadata = this.parseAVIFMetadata(buffer);
+        } else {
+            throw new MetadataParseError('UNSUPPORTED_FORMAT', 'Unsupported image format');
+        }
+
+        metadata.generator = this.detectGenerator(metadata);
+        const xmp = metadata.textChunks.find(chunk => chunk.keyword === 'XML:com.adobe.xmp');
+        metadata.xmp = xmp ? this.readXMP(xmp.text) : null;
+        metadata.c2pa = metadata.c2pa || null;
+        return metadata;
+    }
+
+    /**
+     * PNGメタデータを解析
+     * @param {ArrayBuffer} buffer - PNG画像データ
+     * @param {boolean} [headerOnly=false] - bufferが最初のIDATまでの部分のみの場合はtrue (チャンク構成の検査を省略)
+     * @returns {Object} - 解析されたメタデータ
+     */
+    async parsePNGMetadata(buffer, headerOnly = false) {
+        const dataView = new DataView(buffer);
+        const metadata = {
+            textChunks: [],
+            technicalInfo: { format: 'PNG' },
+            rawChunks: []
+        };
+
+        // PNG署名を確認
+        const pngSignature = [137, 80, 78, 71, 13, 10, 26, 10];
+        for (let i = 0; i < 8; i++) {
+            if (i >= buffer.byteLength || dataView.getUint8(i) !== pngSignature[i]) {
+                throw new MetadataParseError('INVALID_SIGNATURE', 'Invalid PNG file');
+            }
+        }
+
+        const integrity = { errors: [], warnings: [] };
+        metadata.integrity = integrity;
+
+        let offset = 8; // PNG署名の後から開始
+        let reachedEnd = false;
+
+        while (offset < buffer.byteLength) {
+            const position = `0x${offset.toString(16).toUpperCase()}`;
+
+            if (offset + 12 > buffer.byteLength) {
+                integrity.errors.push(this.integrityIssue('chunkHeaderTruncated', position));
+                break;
+            }
+
+            // チャンク長を読み取り
+            const chunkLength = dataView.getUint32(offset);
+            const chunkType = this.readString(dataView, offset + 4, 4);
+
+            if (!/^[A-Za-z]{4}$/.test(chunkType)) {
+                integrity.errors.push(this.integrityIssue('invalidChunkType', position));
+                break;
+            }
+            if (chunkLength > 0x7FFFFFFF) {
+                integrity.errors.push(this.integrityIssue('chunkTooLong', position, chunkType, chunkLength));
+                break;
+            }
+            if (offset + 12 + chunkLength > buffer.byteLength) {
+                integrity.errors.push(this.integrityIssue('chunkPastEnd', position, chunkType, chunkLength));
+                break;
+            }
+
+            const chunkData = buffer.slice(offset + 8, offset + 8 + chunkLength);
+            const crc = dataView.getUint32(offset + 8 + chunkLength);
+            const crcValid = crc === this.crc32(new Uint8Array(buffer, offset + 4, chunkLength + 4));
+            if (!crcValid) {
+                integrity.errors.push(this.integrityIssue('crcMismatch', position, chunkType));
+            }
+
+            // チャンク情報を記録
+            metadata.rawChunks.push({
+                type: chunkType,
+                length: chunkLength,
+                offset: offset,
+                keyword: this.readChunkKeyword(chunkType, chunkData),
+                crc,
+                crcValid
+            });
+
+            // チャンクタイプに応じて処理 (1つのチャンクの失敗でファイル全体を失敗にしない)
+            try {
+                await this.processChunk(chunkType, chunkData, metadata, offset);
+            } catch (error) {
+                integrity.errors.push(this.integrityIssue('chunkParseFailed', position, chunkType, error.message));
+            }
+
+            offset += 12 + chunkLength; // 次のチャンクへ
+
+            // IENDチャンクで終了
+            if (chunkType === 'IEND') {
+                reachedEnd = true;
+                break;
+            }
+        }
+
+        if (reachedEnd && offset < buffer.byteLength) {
+            integrity.warnings.push(this.integrityIssue('dataAfterIEND', buffer.byteLength - offset));
+        }
+
+        if (!headerOnly) {
+            this.checkPNGStructure(metadata, integrity);
+        }
+
+        return metadata;
+    }
+
+    /**
+     * 整合性チェックの指摘を作成
+     * 表示言語に依存しないよう、メッセージのキーと埋め込む値だけを保持する (文章は画面側で組み立てる)
+     * @param {string} key - メッセージのキー
+     * @param {...*} args - メッセージに埋め込む値
+     * @returns {Object} - { key, args }
+     */
+    integrityIssue(key, ...args) {
+        return { key, args };
+    }
+
+    /**
+     * PNGのチャンク構成 (必須チャンク、順序、重複、未知の重要チャンク) を検査
+     * @param {Object} metadata - メタデータオブジェクト
+     * @param {Object} integrity - 結果を追加する { errors, warnings }
+     */
+    checkPNGStructure(metadata, integrity) {
+        const chunks = metadata.rawChunks;
+        const types = chunks.map(chunk => chunk.type);
+        const firstIndex = (type) => types.indexOf(type);
+        const knownCritical = ['IHDR', 'PLTE', 'IDAT', 'IEND'];
+        const singleInstance = ['IHDR', 'PLTE', 'IEND', 'cHRM', 'gAMA', 'iCCP', 'sBIT', 'sRGB', 'bKGD', 'hIST', 'tRNS', 'pHYs', 'tIME', 'eXIf', 'cICP', 'mDCv', 'cLLi'];
+        const beforePLTE = ['cHRM', 'gAMA', 'iCCP', 'sBIT', 'sRGB', 'cICP', 'mDCv', 'cLLi'];
+        const afterPLTE = ['tRNS', 'bKGD', 'hIST'];
+        const beforeIDAT = [...beforePLTE, ...afterPLTE, 'PLTE', 'pHYs', 'sPLT', 'eXIf'];
+
+        if (types[0] !== 'IHDR') {
+            integrity.errors.push(this.integrityIssue(firstIndex('IHDR') === -1 ? 'missingIHDR' : 'IHDRNotFirst'));
+        }
+        if (firstIndex('IEND') === -1) {
+            integrity.errors.push(this.integrityIssue('missingIEND'));
+        }
+
+        const idatIndex = firstIndex('IDAT');
+        if (idatIndex === -1) {
+            integrity.errors.push(this.integrityIssue('missingIDAT'));
+        } else {
+            const lastIdat = types.lastIndexOf('IDAT');
+            if (types.slice(idatIndex, lastIdat + 1).some(type => type !== 'IDAT')) {
+                integrity.warnings.push(this.integrityIssue('IDATNotConsecutive'));
+            }
+        }
+
+        const plteIndex = firstIndex('PLTE');
+        const colorType = metadata.technicalInfo.colorType;
+        if (colorType === 3 && plteIndex === -1) {
+            integrity.errors.push(this.integrityIssue('missingPLTE'));
+        }
+        if ((colorType === 0 || colorType === 4) && plteIndex !== -1) {
+            integrity.warnings.push(this.integrityIssue('unexpectedPLTE'));
+        }
+
+        for (const type of new Set(types)) {
+            const count = types.filter(other => other === type).length;
+            if (singleInstance.includes(type) && count > 1) {
+                integrity.warnings.push(this.integrityIssue('duplicateChunk', type, count));
+            }
+            if (/^[A-Z]/.test(type) && !knownCritical.includes(type)) {
+                integrity.errors.push(this.integrityIssue('unknownCriticalChunk', type));
+            }
+            if (!/^[A-Z]$/.test(type[2])) {
+                integrity.warnings.push(this.integrityIssue('reservedBitSet', type));
+            }
+        }
+
+        chunks.forEach((chunk, index) => {
+            if (beforeIDAT.includes(chunk.type) && idatIndex !== -1 && index > idatIndex) {
+                integrity.warnings.push(this.integrityIssue('chunkMustPrecede', chunk.type, 'IDAT'));
+            }
+            if (beforePLTE.includes(chunk.type) && plteIndex !== -1 && index > plteIndex) {
+                integrity.warnings.push(this.integrityIssue('chunkMustPrecede', chunk.type, 'PLTE'));
+            }
+            if (afterPLTE.includes(chunk.type) && plteIndex !== -1 && index < plteIndex) {
+                integrity.warnings.push(this.integrityIssue('chunkMustFollow', chunk.type, 'PLTE'));
+            }
+        });
+
+        if (firstIndex('iCCP') !== -1 && firstIndex('sRGB') !== -1) {
+            integrity.warnings.push(this.integrityIssue('iccpAndSrgb'));
+        }
+    }
+
+    /**
+     * チャンクを処理
+     * @param {string} type - チャンクタイプ
+     * @param {ArrayBuffer} data - チャンクデータ
+     * @param {Object} metadata - メタデータオブジェクト
+     * @param {number} offset - ファイル内のチャンクの位置
+     */
+    async processChunk(type, data, metadata, offset) {
+        const dataView = new DataView(data);
+
+        switch (type) {
+            case 'IHDR':
+                metadata.technicalInfo.width = dataView.getUint32(0);
+                metadata.technicalInfo.height = dataView.getUint32(4);
+                metadata.technicalInfo.bitDepth = dataView.getUint8(8);
+                metadata.technicalInfo.colorType = dataView.getUint8(9);
+                metadata.technicalInfo.compression = dataView.getUint8(10);
+                metadata.technicalInfo.filter = dataView.getUint8(11);
+                metadata.technicalInfo.interlace = dataView.getUint8(12);
+                break;
+
+            case 'tEXt':
+            case 'iTXt':
+            case 'zTXt': {
+                // 読み取れないチャンクは整合性チェックの結果に記録する (呼び出し元で chunkParseFailed になる)
+                const parsed = await this.parsePNGTextChunk(type, data);
+                if (!parsed) {
+                    throw new MetadataParseError('MALFORMED_DATA', `Invalid ${type} chunk`);
+                }
+                metadata.textChunks.push({ type, ...parsed, offset });
+                break;
+            }
+
+            case 'caBX':
+                metadata.c2pa = this.parseC2PA(new Uint8Array(data));
+                break;
+
+            case 'pHYs':
+                if (data.byteLength >= 9) {
+                    const pixelsPerUnitX = dataView.getUint32(0);
+                    const pixelsPerUnitY = dataView.getUint32(4);
+                    const unitSpecifier = dataView.getUint8(8);
+                    metadata.technicalInfo.physicalDimensions = {
+                        pixelsPerUnitX,
+                        pixelsPerUnitY,
+                        unit: unitSpecifier === 1 ? 'meters' : 'unknown'
+                    };
+                }
+                break;
+
+            case 'tIME':
+                if (data.byteLength >= 7) {
+                    const year = dataView.getUint16(0);
+                    const month = dataView.getUint8(2);
+                    const day = dataView.getUint8(3);
+                    const hour = dataView.getUint8(4);
+                    const minute = dataView.getUint8(5);
+                    const second = dataView.getUint8(6);
+                    metadata.technicalInfo.lastModified = `${year}-${month.toString().padStart(2, '0')}-${day.toString().padStart(2, '0')} ${hour.toString().padStart(2, '0')}:${minute.toString().padStart(2, '0')}:${second.toString().padStart(2, '0')}`;
+                }
+                break;
+
+            case 'gAMA':
+                if (data.byteLength >= 4) {
+                    metadata.technicalInfo.gamma = dataView.getUint32(0) / 100000;
+                }
+                break;
+
+            case 'cHRM':
+                if (data.byteLength >= 32) {
+                    const value = (index) => dataView.getUint32(index * 4) / 100000;
+                    metadata.technicalInfo.chromaticities = {
+                        whitePoint: [value(0), value(1)],
+                        red: [value(2), value(3)],
+                        green: [value(4), value(5)],
+                        blue: [value(6), value(7)]
+                    };
+                }
+                break;
+
+            case 'sRGB':
+                if (data.byteLength >= 1) {
+                    metadata.technicalInfo.renderingIntent = dataView.getUint8(0);
+                }
+                break;
+
+            case 'iCCP':
+                metadata.technicalInfo.iccProfile = await this.parseICCPChunk(data);
+                break;
+
+            case 'sBIT':
+                metadata.technicalInfo.significantBits = Array.from(new Uint8Array(data));
+                break;
+
+            case 'bKGD': {
+                // パレット画像はインデックス (1バイト)、それ以外はサンプル値 (2バイトずつ)
+                const samples = metadata.technicalInfo.colorType === 3
+                    ? [dataView.getUint8(0)]
+                    : Array.from({ length: Math.floor(data.byteLength / 2) }, (_, i) => dataView.getUint16(i * 2));
+                metadata.technicalInfo.background = samples;
+                break;
+            }
+
+            case 'hIST':
+                metadata.technicalInfo.histogram = Array.from({ length: Math.floor(data.byteLength / 2) }, (_, i) => dataView.getUint16(i * 2));
+                break;
+
+            case 'tRNS':
+                // パレット画像は各エントリーのアルファ値、それ以外は透明色のサンプル値
+                metadata.technicalInfo.transparency = metadata.technicalInfo.colorType === 3
+                    ? Array.from(new Uint8Array(data))
+                    : Array.from({ length: Math.floor(data.byteLength / 2) }, (_, i) => dataView.getUint16(i * 2));
+                break;
+
+            case 'sPLT': {
+                const bytes = new Uint8Array(data);
+                const nameEnd = bytes.indexOf(0);
+                if (nameEnd === -1) break;
+                const depth = bytes[nameEnd + 1];
+                const entrySize = depth === 16 ? 10 : 6;
+                metadata.technicalInfo.suggestedPalettes = metadata.technicalInfo.suggestedPalettes || [];
+                metadata.technicalInfo.suggestedPalettes.push({
+                    name: this.decodeLatin1(bytes.slice(0, nameEnd)),
+                    depth,
+                    entries: Math.floor((bytes.length - nameEnd - 2) / entrySize)
+                });
+                break;
+            }
+
+            case 'PLTE': {
+                const bytes = new Uint8Array(data);
+                metadata.technicalInfo.palette = Array.from({ length: Math.floor(bytes.length / 3) }, (_, i) => [bytes[i * 3], bytes[i * 3 + 1], bytes[i * 3 + 2]]);
+                break;
+            }
+
+            case 'eXIf':
+                metadata.technicalInfo.exif = this.parseExif(new Uint8Array(data));
+                break;
+
+            case 'cICP':
+                if (data.byteLength >= 4) {
+                    metadata.technicalInfo.cicp = {
+                        colourPrimaries: dataView.getUint8(0),
+                        transferFunction: dataView.getUint8(1),
+                        matrixCoefficients: dataView.getUint8(2),
+                        videoFullRange: dataView.getUint8(3) === 1
+                    };
+                }
+                break;
+
+            case 'mDCv':
+                if (data.byteLength >= 24) {
+                    // 色度は0.00002単位、輝度は0.0001 cd/m²単位
+                    const point = (index) => [dataView.getUint16(index * 4) * 0.00002, dataView.getUint16(index * 4 + 2) * 0.00002];
+                    metadata.technicalInfo.masteringDisplay = {
+                        red: point(0),
+                        green: point(1),
+                        blue: point(2),
+                        whitePoint: point(3),
+                        maxLuminance: dataView.getUint32(16) * 0.0001,
+                        minLuminance: dataView.getUint32(20) * 0.0001
+                    };
+                }
+                break;
+
+            case 'cLLi':
+                if (data.byteLength >= 8) {
+                    metadata.technicalInfo.contentLightLevel = {
+                        maxCLL: dataView.getUint32(0) * 0.0001,
+                        maxFALL: dataView.getUint32(4) * 0.0001
+                    };
+                }
+                break;
+        }
+    }
+
+    /**
+     * iCCPチャンクを解析
+     * @param {ArrayBuffer} data - チャンクデータ
+     * @returns {Promise<Object>} - { name, size, header } (headerはparseICCProfileの結果)
+     */
+    async parseICCPChunk(data) {
+        const bytes = new Uint8Array(data);
+        const nameEnd = bytes.indexOf(0);
+        if (nameEnd === -1) throw new MetadataParseError('MALFORMED_DATA', 'invalid iCCP chunk');
+
+        const name = this.decodeLatin1(bytes.slice(0, nameEnd));
+        const profile = await this.decompressBytes(bytes.slice(nameEnd + 2), 'deflate');
+
+        return { name, size: profile.length, header: this.parseICCProfile(profile) };
+    }
+
+    /**
+     * ICCプロファイルのヘッダーと説明タグを解析
+     * @param {Uint8Array} profile - 展開済みのICCプロファイル
+     * @returns {Object} - { version, deviceClass, colorSpace, pcs, created, creator, description, copyright }
+     */
+    parseICCProfile(profile) {
+        if (profile.length < 132) return {};
+
+        const dataView = new DataView(profile.buffer, profile.byteOffset, profile.byteLength);
+        const fourCC = (offset) => this.readString(dataView, offset, 4).trim();
+        const pad = (value) => value.toString().padStart(2, '0');
+
+        const header = {
+            version: `${profile[8]}.${profile[9] >> 4}.${profile[9] & 0x0F}`,
+            deviceClass: fourCC(12),
+            colorSpace: fourCC(16),
+            pcs: fourCC(20),
+            created: `${dataView.getUint16(24)}-${pad(dataView.getUint16(26))}-${pad(dataView.getUint16(28))} ${pad(dataView.getUint16(30))}:${pad(dataView.getUint16(32))}:${pad(dataView.getUint16(34))}`,
+            creator: fourCC(80)
+        };
+
+        // タグテーブルから説明 (desc) と著作権 (cprt) を読み取る
+        const tagCount = dataView.getUint32(128);
+        for (let i = 0; i < tagCount && 132 + (i + 1) * 12 <= profile.length; i++) {
+            const entry = 132 + i * 12;
+            const signature = this.readString(dataView, entry, 4);
+            const offset = dataView.getUint32(entry + 4);
+            const size = dataView.getUint32(entry + 8);
+            if ((signature !== 'desc' && signature !== 'cprt') || offset + size > profile.length) continue;
+
+            const text = this.readICCText(dataView, offset, size);
+            if (text !== null) {
+                header[signature === 'desc' ? 'description' : 'copyright'] = text;
+            }
+        }
+
+        return header;
+    }
+
+    /**
+     * ICCプロファイルのテキスト系タグ (desc/mluc/text) を読み取る
+     * @param {DataView} dataView - プロファイルのDataView
+     * @param {number} offset - タグの位置
+     * @param {number} size - タグのサイズ
+     * @returns {string|null} - テキスト
+     */
+    readICCText(dataView, offset, size) {
+        const type = this.readString(dataView, offset, 4);
+        const bytes = new Uint8Array(dataView.buffer, dataView.byteOffset + offset, size);
+
+        switch (type) {
+            case 'desc': {
+                const length = dataView.getUint32(offset + 8);
+                return this.decodeLatin1(bytes.subarray(12, 12 + length)).replace(/\0+$/, '');
+            }
+            case 'text':
+                return this.decodeLatin1(bytes.subarray(8)).replace(/\0+$/, '');
+            case 'mluc': {
+                // 最初のレコード (UTF-16BE) を使う
+                if (dataView.getUint32(offset + 8) === 0) return null;
+                const length = dataView.getUint32(offset + 20);
+                const start = dataView.getUint32(offset + 24);
+                return new TextDecoder('utf-16be').decode(bytes.subarray(start, start + length));
+            }
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Latin-1 (ISO 8859-1) のバイト列を1バイト1文字として文字列にする
+     * TextDecoder('latin1') はwindows-1252として扱い、0x80〜0x9Fが別の文字になるため使わない
+     * @param {Uint8Array} bytes - バイト列
+     * @returns {string} - 文字列
+     */
+    decodeLatin1(bytes) {
+        let text = '';
+        // 引数の数の上限を超えないよう分けて変換する
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            text += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+        }
+        return text;
+    }
+
+    /**
+     * テキストチャンクのキーワードを読み取る
+     * @param {string} type - チャンクタイプ
+     * @param {ArrayBuffer} data - チャンクデータ
+     * @returns {string|undefined} - キーワード (テキストチャンク以外はundefined)
+     */
+    readChunkKeyword(type, data) {
+        if (type !== 'tEXt' && type !== 'zTXt' && type !== 'iTXt') return undefined;
+
+        const bytes = new Uint8Array(data);
+        const nullIndex = bytes.indexOf(0);
+        return this.decodeLatin1(bytes.slice(0, nullIndex === -1 ? bytes.length : nullIndex));
+    }
+
+    /**
+     * テキストチャンク (tEXt, zTXt, iTXt) をタイプに応じて解析
+     * @param {string} type - チャンクタイプ
+     * @param {ArrayBuffer} data - チャンクデータ
+     * @returns {Promise<Object|null>} - { keyword, text, compressed, languageTag, translatedKeyword } (区切りがない・対応していない圧縮方式の場合はnull)
+     * @throws {Error} - 圧縮されたテキストを展開できない場合
+     */
+    async parsePNGTextChunk(type, data) {
+        let parsed = null;
+        if (type === 'tEXt') parsed = this.parseTextChunk(data);
+        else if (type === 'zTXt') parsed = await this.parseZTextChunk(data);
+        else if (type === 'iTXt') parsed = await this.parseITextChunk(data);
+        if (!parsed) return null;
+
+        return {
+            keyword: parsed.keyword,
+            text: parsed.text,
+            compressed: Boolean(parsed.compressed),
+            languageTag: parsed.languageTag || '',
+            translatedKeyword: parsed.translatedKeyword || ''
+        };
+    }
+
+    /**
+     * tEXtチャンクを解析
+     * @param {ArrayBuffer} data - チャンクデータ
+     * @returns {Object|null} - 解析結果
+     */
+    parseTextChunk(data) {
+        const bytes = new Uint8Array(data);
+        const nullIndex = bytes.indexOf(0);
+        if (nullIndex === -1) return null;
+
+        const keyword = this.decodeLatin1(bytes.slice(0, nullIndex));
+        const text = this.decodeLatin1(bytes.slice(nullIndex + 1));
+        
+        return { keyword, text };
+    }
+
+    /**
+     * iTXtチャンクを解析
+     * @param {ArrayBuffer} data - チャンクデータ
+     * @returns {Promise<Object|null>} - 解析結果
+     */
+    async parseITextChunk(data) {
+        const bytes = new Uint8Array(data);
+        let offset = 0;
+
+        // キーワードを読み取り
+        const keywordEnd = bytes.indexOf(0, offset);
+        if (keywordEnd === -1) return null;
+        const keyword = this.decodeLatin1(bytes.slice(offset, keywordEnd));
+        offset = keywordEnd + 1;
+
+        // 圧縮フラグとメソッド
+        const compressionFlag = bytes[offset++];
+        const compressionMethod = bytes[offset++];
+
+        // 言語タグ
+        const langTagEnd = bytes.indexOf(0, offset);
+        if (langTagEnd === -1) return null;
+        const languageTag = this.decodeLatin1(bytes.slice(offset, langTagEnd));
+        offset = langTagEnd + 1;
+
+        // 翻訳キーワード
+        const translatedKeywordEnd = bytes.indexOf(0, offset);
+        if (translatedKeywordEnd === -1) return null;
+        const translatedKeyword = new TextDecoder('utf-8').decode(bytes.slice(offset, translatedKeywordEnd));
+        offset = translatedKeywordEnd + 1;
+
+        // テキストデータ (圧縮フラグが立っている場合はdeflateで展開)
+        const compressed = compressionFlag === 1;
+        if (compressed && compressionMethod !== 0) return null; // deflate圧縮のみサポート
+
+        const textBytes = compressed
+            ? await this.decompressBytes(bytes.slice(offset), 'deflate')
+            : bytes.slice(offset);
+        const text = new TextDecoder('utf-8').decode(textBytes);
+        
+        return { keyword, text, compressed, languageTag, translatedKeyword };
+    }
+
+    /**
+     * zTXtチャンクを解析
+     * @param {ArrayBuffer} data - チャンクデータ
+     * @returns {Promise<Object|null>} - 解析結果
+     */
+    async parseZTextChunk(data) {
+        const bytes = new Uint8Array(data);
+        const nullIndex = bytes.indexOf(0);
+        if (nullIndex === -1) return null;
+
+        const keyword = this.decodeLatin1(bytes.slice(0, nullIndex));
+        const compressionMethod = bytes[nullIndex + 1];
+        
+        if (compressionMethod !== 0) return null; // deflate圧縮のみサポート
+        
+        // ストリームを最後まで読み切って展開する
+        const decompressed = await this.decompressBytes(bytes.slice(nullIndex + 2), 'deflate');
+        const text = this.decodeLatin1(decompressed);
+
+        return { keyword, text, compressed: true };
+    }
+
+    /**
+     * JPEGメタデータを解析
+     * APPnセグメントのEXIF/XMPとCOMセグメント、SOFセグメントの画像情報を読み取る
+     * @param {ArrayBuffer} buffer - JPEG画像データ
+     * @returns {Object} - 解析されたメタデータ
+     */
+    parseJPEGMetadata(buffer) {
+        const dataView = new DataView(buffer);
+        const bytes = new Uint8Array(buffer);
+        const metadata = {
+            textChunks: [],
+            technicalInfo: { format: 'JPEG' },
+            rawChunks: []
+        };
+        const xmpSignature = 'http://ns.adobe.com/xap/1.0/\0';
+        const jumbfPackets = new Map();
+
+        let offset = 2; // SOIマーカーの後から開始
+
+        while (offset + 4 <= buffer.byteLength) {
+            if (bytes[offset] !== 0xFF) {
+                throw new MetadataParseError('MALFORMED_DATA', 'Invalid JPEG marker');
+            }
+
+            const marker = bytes[offset + 1];
+            // フィルバイト
+            if (marker === 0xFF) {
+                offset++;
+                continue;
+            }
+            // 長さを持たないマーカー (RSTn, TEM)
+            if ((marker >= 0xD0 && marker <= 0xD7) || marker === 0x01) {
+                offset += 2;
+                continue;
+            }
+            if (marker === 0xD9) break; // EOI
+
+            const segmentLength = dataView.getUint16(offset + 2);
+            const dataStart = offset + 4;
+            const dataEnd = Math.min(offset + 2 + segmentLength, buffer.byteLength);
+            const segment = bytes.subarray(dataStart, dataEnd);
+            const name = this.getJPEGMarkerName(marker);
+
+            metadata.rawChunks.push({
+                type: name,
+                length: segmentLength,
+                offset,
+                ...(/^APP\d+$/.test(name) ? { keyword: this.readJPEGAppIdentifier(segment) } : {})
+            });
+
+            const signature = (length) => this.readString(dataView, dataStart, Math.min(length, segment.length));
+
+            if (name === 'APP1' && signature(6) === 'Exif\0\0') {
+                this.applyExifMetadata(this.parseExif(segment.subarray(6)), metadata);
+            } else if (name === 'APP1' && signature(xmpSignature.length) === xmpSignature) {
+                this.addTextChunk(metadata, name, 'XML:com.adobe.xmp', new TextDecoder('utf-8').decode(segment.subarray(xmpSignature.length)), offset);
+            } else if (name === 'APP11' && signature(2) === 'JP' && segment.length >= 16) {
+                // JUMBF (C2PA) は複数のAPP11セグメントに分割され、2つ目以降のセグメントではボックスのヘッダーが繰り返される
+                const instance = dataView.getUint16(dataStart + 2);
+                const sequence = dataView.getUint32(dataStart + 4);
+                const headerSize = dataView.getUint32(dataStart + 8) === 1 ? 16 : 8;
+                const packets = jumbfPackets.get(instance) || [];
+                packets.push({ sequence, data: segment.subarray(sequence === 1 ? 8 : 8 + headerSize) });
+                jumbfPackets.set(instance, packets);
+            } else if (name === 'COM') {
+                this.addTextChunk(metadata, name, 'Comment', new TextDecoder('utf-8').decode(segment), offset);
+            } else if (/^SOF\d+$/.test(name) && segment.length >= 6) {
+                metadata.technicalInfo.bitDepth = segment[0];
+                metadata.technicalInfo.height = dataView.getUint16(dataStart + 1);
+                metadata.technicalInfo.width = dataView.getUint16(dataStart + 3);
+                metadata.technicalInfo.components = segment[5];
+                metadata.technicalInfo.progressive = marker === 0xC2;
+            }
+
+            // SOS以降は画像データのため解析を終了
+            if (name === 'SOS') break;
+
+            offset += 2 + segmentLength;
+        }
+
+        for (const packets of jumbfPackets.values()) {
+            packets.sort((a, b) => a.sequence - b.sequence);
+            const jumbf = new Uint8Array(packets.reduce((total, packet) => total + packet.data.length, 0));
+            let position = 0;
+            for (const packet of packets) {
+                jumbf.set(packet.data, position);
+                position += packet.data.length;
+            }
+            const c2pa = this.parseC2PA(jumbf);
+            if (!metadata.c2pa || !c2pa.error) metadata.c2pa = c2pa;
+        }
+
+        return metadata;
+    }
+
+    /**
+     * APPnセグメントの先頭にある識別子 ("Exif", "ICC_PROFILE" など) を取得
+     * @param {Uint8Array} segment - セグメントのデータ部分
+     * @returns {string} - 識別子 (先頭の表示可能なASCII文字列)
+     */
+    readJPEGAppIdentifier(segment) {
+        let identifier = '';
+        for (let i = 0; i < Math.min(segment.length, 32) && segment[i] >= 0x20 && segment[i] <= 0x7E; i++) {
+            identifier += String.fromCharCode(segment[i]);
+        }
+        return identifier;
+    }
+
+    /**
+     * JPEGマーカー名を取得
+     * @param {number} marker - マーカーの2バイト目
+     * @returns {string} - マーカー名
+     */
+    getJPEGMarkerName(marker) {
+        const names = { 0xC4: 'DHT', 0xC8: 'JPG', 0xCC: 'DAC', 0xDA: 'SOS', 0xDB: 'DQT', 0xDD: 'DRI', 0xFE: 'COM' };
+        if (names[marker]) return names[marker];
+        if (marker >= 0xC0 && marker <= 0xCF) return `SOF${marker - 0xC0}`;
+        if (marker >= 0xE0 && marker <= 0xEF) return `APP${marker - 0xE0}`;
+        return `0xFF${marker.toString(16).toUpperCase().padStart(2, '0')}`;
+    }
+
+    /**
+     * WebPメタデータを解析
+     * RIFFチャンクのVP8/VP8L/VP8Xから画像情報を、EXIF/XMPチャンクからメタデータを読み取る
+     * @param {ArrayBuffer} buffer - WebP画像データ
+     * @returns {Object} - 解析されたメタデータ
+     */
+    parseWebPMetadata(buffer) {
+        const dataView = new DataView(buffer);
+        const bytes = new Uint8Array(buffer);
+        const metadata = {
+            textChunks: [],
+            technicalInfo: { format: 'WebP', bitDepth: 8 },
+            rawChunks: []
+        };
+        const technicalInfo = metadata.technicalInfo;
+        const end = Math.min(buffer.byteLength, 8 + dataView.getUint32(4, true));
+
+        let offset = 12; // RIFFヘッダーの後から開始
+
+        while (offset + 8 <= end) {
+            const chunkType = this.readString(dataView, offset, 4);
+            const chunkLength = dataView.getUint32(offset + 4, true);
+            const dataStart = offset + 8;
+            const data = bytes.subarray(dataStart, Math.min(dataStart + chunkLength, end));
+
+            metadata.rawChunks.push({
+                type: chunkType,
+                length: chunkLength,
+                offset
+            });
+
+            switch (chunkType) {
+                case 'VP8X':
+                    if (data.length >= 10) {
+                        technicalInfo.width = 1 + (data[4] | (data[5] << 8) | (data[6] << 16));
+                        technicalInfo.height = 1 + (data[7] | (data[8] << 8) | (data[9] << 16));
+                        technicalInfo.hasAlpha = (data[0] & 0x10) !== 0;
+                        technicalInfo.animated = (data[0] & 0x02) !== 0;
+                    }
+                    break;
+
+                case 'VP8 ':
+                    // フレームタグ (3バイト) + スタートコード (9D 01 2A) + 幅/高さ (各14bit)
+                    if (data.length >= 10 && technicalInfo.width === undefined) {
+                        technicalInfo.width = dataView.getUint16(dataStart + 6, true) & 0x3FFF;
+                        technicalInfo.height = dataView.getUint16(dataStart + 8, true) & 0x3FFF;
+                    }
+                    technicalInfo.lossless = false;
+                    break;
+
+                case 'VP8L':
+                    // シグネチャ (0x2F) + 幅-1 (14bit) + 高さ-1 (14bit) + アルファ (1bit)
+                    if (data.length >= 5 && technicalInfo.width === undefined) {
+                        const bits = dataView.getUint32(dataStart + 1, true);
+                        technicalInfo.width = (bits & 0x3FFF) + 1;
+                        technicalInfo.height = ((bits >> 14) & 0x3FFF) + 1;
+                        technicalInfo.hasAlpha = ((bits >> 28) & 1) === 1;
+                    }
+                    technicalInfo.lossless = true;
+                    break;
+
+                case 'EXIF': {
+                    // "Exif\0\0" 付きで書き込むツールもある
+                    const tiff = this.readString(dataView, dataStart, Math.min(6, data.length)) === 'Exif\0\0' ? data.subarray(6) : data;
+                    this.applyExifMetadata(this.parseExif(tiff), metadata);
+                    break;
+                }
+
+                case 'XMP ':
+                    this.addTextChunk(metadata, chunkType, 'XML:com.adobe.xmp', new TextDecoder('utf-8').decode(data), offset);
+                    break;
+
+                case 'C2PA':
+                    metadata.c2pa = this.parseC2PA(data);
+                    break;
+            }
+
+            offset = dataStart + chunkLength + (chunkLength % 2); // チャンクは偶数長にパディングされる
+        }
+
+        return metadata;
+    }
+
+    /**
+     * AVIFメタデータを解析
+     * ISOBMFFのmetaボックスからExif/XMPアイテムと画像サイズを読み取る
+     * @param {ArrayBuffer} buffer - AVIF画像データ
+     * @returns {Object} - 解析されたメタデータ
+     */
+    parseAVIFMetadata(buffer) {
+        const dataView = new DataView(buffer);
+        const bytes = new Uint8Array(buffer);
+        const metadata = {
+            textChunks: [],
+            technicalInfo: { format: 'AVIF' },
+            rawChunks: []
+        };
+
+        const topBoxes = this.readISOBoxes(dataView, 0, buffer.byteLength);
+        const ftyp = topBoxes.find(box => box.type === 'ftyp');
+        const brands = ftyp && ftyp.end - ftyp.start >= 4 ? [this.readString(dataView, ftyp.start, 4)] : [];
+        for (let pos = ftyp ? ftyp.start + 8 : 0; ftyp && pos + 4 <= ftyp.end; pos += 4) {
+            brands.push(this.readString(dataView, pos, 4));
+        }
+        if (!brands.includes('avif') && !brands.includes('avis')) {
+            throw new MetadataParseError('UNSUPPORTED_FORMAT', 'Unsupported image format');
+        }
+
+        const meta = topBoxes.find(box => box.type === 'meta');
+        const metaBoxes = meta ? this.readISOBoxes(dataView, meta.start + 4, meta.end) : [];
+
+        for (const box of topBoxes) {
+            metadata.rawChunks.push({ type: box.type, length: box.end - box.start, offset: box.offset, headerLength: box.start - box.offset });
+            if (box === meta) {
+                for (const child of metaBoxes) {
+                    metadata.rawChunks.push({ type: `meta/${child.type}`, length: child.end - child.start, offset: child.offset, headerLength: child.start - child.offset });
+                }
+            }
+        }
+
+        const findBox = (type) => metaBoxes.find(box => box.type === type);
+        const items = this.readAVIFItemInfo(dataView, findBox('iinf'));
+        const locations = this.readAVIFItemLocations(dataView, findBox('iloc'));
+        const readItem = (itemId) => {
+            const extents = locations.get(itemId) || [];
+            const parts = extents.map(extent => bytes.subarray(extent.offset, Math.min(extent.offset + extent.length, bytes.length)));
+            const result = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+            let position = 0;
+            for (const part of parts) {
+                result.set(part, position);
+                position += part.length;
+            }
+            return result;
+        };
+
+        for (const item of items) {
+            if (item.type === 'Exif') {
+                const data = readItem(item.id);
+                if (data.length < 4) continue;
+                // 先頭4バイトはTIFFヘッダーまでのオフセット
+                const tiffOffset = new DataView(data.buffer, data.byteOffset).getUint32(0);
+                this.applyExifMetadata(this.parseExif(data.subarray(4 + tiffOffset)), metadata);
+            } else if (item.type === 'mime' && item.contentType === 'application/rdf+xml') {
+                this.addTextChunk(metadata, 'mime', 'XML:com.adobe.xmp', new TextDecoder('utf-8').decode(readItem(item.id)), null);
+            }
+        }
+
+        // 画像サイズとビット深度 (iprp > ipco > ispe/pixi の最初のもの)
+        const iprp = findBox('iprp');
+        const ipco = iprp && this.readISOBoxes(dataView, iprp.start, iprp.end).find(box => box.type === 'ipco');
+        const properties = ipco ? this.readISOBoxes(dataView, ipco.start, ipco.end) : [];
+        const ispe = properties.find(box => box.type === 'ispe');
+        const pixi = properties.find(box => box.type === 'pixi');
+        if (ispe && ispe.end - ispe.start >= 12) {
+            metadata.technicalInfo.width = dataView.getUint32(ispe.start + 4);
+            metadata.technicalInfo.height = dataView.getUint32(ispe.start + 8);
+        }
+        if (pixi && pixi.end - pixi.start >= 6) {
+            metadata.technicalInfo.components = dataView.getUint8(pixi.start + 4);
+            metadata.technicalInfo.bitDepth = dataView.getUint8(pixi.start + 5);
+        }
+
+        return metadata;
+    }
+
+    /**
+     * ISOBMFFのボックスを列挙
+     * @param {DataView} dataView - DataView
+     * @param {number} start - 開始位置
+     * @param {number} end - 終了位置
+     * @returns {Array<{type: string, offset: number, start: number, end: number}>} - ボックス (startは本体の開始位置)
+     */
+    readISOBoxes(dataView, start, end) {
+        const boxes = [];
+        let offset = start;
+
+        while (offset + 8 <= end) {
+            let size = dataView.getUint32(offset);
+            const type = this.readString(dataView, offset + 4, 4);
+            let headerSize = 8;
+
+            if (size === 1 && offset + 16 <= end) {
+                size = Number(dataView.getBigUint64(offset + 8));
+                headerSize = 16;
+            } else if (size === 0) {
+                size = end - offset;
+            }
+            if (size < headerSize) break;
+
+            boxes.push({ type, offset, start: offset + headerSize, end: Math.min(offset + size, end) });
+            offset += size;
+        }
+
+        return boxes;
+    }
+
+    /**
+     * ボックスの本体のpositionからsizeバイトを読めることを確認
+     * @param {Object} box - readISOBoxesが返したボックス
+     * @param {number} position - 読み取る位置
+     * @param {number} size - 読み取るバイト数
+     * @throws {MetadataParseError} - ボックスの範囲を超える場合 (MALFORMED_DATA)
+     */
+    assertBoxRange(box, position, size) {
+        if (position + size > box.end) {
+            throw new MetadataParseError('MALFORMED_DATA', `Truncated ${box.type} box`);
+        }
+    }
+
+    /**
+     * AVIFのiinfボックスからアイテム情報を読み取る
+     * @param {DataView} dataView - DataView
+     * @param {Object} [iinf] - iinfボックス
+     * @returns {Array<{id: number, type: string, contentType: string}>} - アイテム情報
+     * @throws {MetadataParseError} - ボックスが途中で切れている場合 (MALFORMED_DATA)
+     */
+    readAVIFItemInfo(dataView, iinf) {
+        if (!iinf) return [];
+
+        this.assertBoxRange(iinf, iinf.start, 1);
+        const version = dataView.getUint8(iinf.start);
+        const entriesStart = iinf.start + 4 + (version === 0 ? 2 : 4);
+        const items = [];
+
+        for (const infe of this.readISOBoxes(dataView, entriesStart, iinf.end)) {
+            this.assertBoxRange(infe, infe.start, 1);
+            const infeVersion = dataView.getUint8(infe.start);
+            if (infe.type !== 'infe' || infeVersion < 2) continue;
+
+            let position = infe.start + 4;
+            this.assertBoxRange(infe, position, (infeVersion === 2 ? 2 : 4) + 2 + 4);
+            const id = infeVersion === 2 ? dataView.getUint16(position) : dataView.getUint32(position);
+            position += (infeVersion === 2 ? 2 : 4) + 2; // item_ID + item_protection_index
+            const type = this.readString(dataView, position, 4);
+            position += 4;
+
+            // item_name と content_type はNULL終端文字列
+            const readCString = () => {
+                let text = '';
+                while (position < infe.end && dataView.getUint8(position) !== 0) {
+                    text += String.fromCharCode(dataView.getUint8(position++));
+                }
+                position++;
+                return text;
+            };
+            readCString();
+            const contentType = type === 'mime' ? readCString() : '';
+
+            items.push({ id, type, contentType });
+        }
+
+        return items;
+    }
+
+    /**
+     * AVIFのilocボックスからアイテムの格納位置を読み取る
+     * @param {DataView} dataView - DataView
+     * @param {Object} [iloc] - ilocボックス
+     * @returns {Map<number, Array<{offset: number, length: number}>>} - アイテムIDごとのエクステント
+     * @throws {MetadataParseError} - ボックスが途中で切れている場合 (MALFORMED_DATA)
+     */
+    readAVIFItemLocations(dataView, iloc) {
+        const locations = new Map();
+        if (!iloc) return locations;
+
+        this.assertBoxRange(iloc, iloc.start, 6);
+        const version = dataView.getUint8(iloc.start);
+        let position = iloc.start + 4;
+        const sizes = dataView.getUint16(position);
+        position += 2;
+        const offsetSize = sizes >> 12;
+        const lengthSize = (sizes >> 8) & 0x0F;
+        const baseOffsetSize = (sizes >> 4) & 0x0F;
+        const indexSize = version >= 1 ? sizes & 0x0F : 0;
+
+        const readSized = (size) => {
+            this.assertBoxRange(iloc, position, size);
+            let value = 0;
+            if (size === 4) value = dataView.getUint32(position);
+            else if (size === 8) value = Number(dataView.getBigUint64(position));
+            position += size;
+            return value;
+        };
+
+        const idSize = version < 2 ? 2 : 4;
+        this.assertBoxRange(iloc, position, idSize);
+        const itemCount = version < 2 ? dataView.getUint16(position) : dataView.getUint32(position);
+        position += idSize;
+
+        for (let i = 0; i < itemCount && position < iloc.end; i++) {
+            this.assertBoxRange(iloc, position, idSize + (version >= 1 ? 2 : 0) + 2);
+            const itemId = version < 2 ? dataView.getUint16(position) : dataView.getUint32(position);
+            position += idSize;
+            const constructionMethod = version >= 1 ? dataView.getUint16(position) & 0x0F : 0;
+            position += version >= 1 ? 2 : 0;
+            position += 2; // data_reference_index
+            const baseOffset = readSized(baseOffsetSize);
+            this.assertBoxRange(iloc, position, 2);
+            const extentCount = dataView.getUint16(position);
+            position += 2;
+
+            const extents = [];
+            for (let j = 0; j < extentCount; j++) {
+                readSized(indexSize);
+                const offset = readSized(offsetSize);
+                const length = readSized(lengthSize);
+                extents.push({ offset: baseOffset + offset, length });
+            }
+
+            // ファイル内のオフセットで格納されたアイテムのみ対応
+            if (constructionMethod === 0) {
+                locations.set(itemId, extents);
+            }
+        }
+
+        return locations;
+    }
+
+    /**
+     * EXIF (TIFF形式) データを解析
+     * @param {Uint8Array} bytes - TIFFヘッダーから始まるEXIFデータ
+     * @returns {Object} - タグ名をキーとする値
+     */
+    parseExif(bytes) {
+        const tags = {};
+        if (bytes.length < 8) return tags;
+
+        const dataView = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const byteOrder = String.fromCharCode(bytes[0], bytes[1]);
+        if (byteOrder !== 'II' && byteOrder !== 'MM') return tags;
+        const littleEndian = byteOrder === 'II';
+
+        const visited = new Set();
+        const readIFD = (ifdOffset, names) => {
+            if (visited.has(ifdOffset) || ifdOffset + 2 > bytes.length) return;
+            visited.add(ifdOffset);
+
+            const entryCount = dataView.getUint16(ifdOffset, littleEndian);
+            for (let i = 0; i < entryCount; i++) {
+                const entry = ifdOffset + 2 + i * 12;
+                if (entry + 12 > bytes.length) break;
+
+                const tag = dataView.getUint16(entry, littleEndian);
+                const type = dataView.getUint16(entry + 2, littleEndian);
+                const count = dataView.getUint32(entry + 4, littleEndian);
+                const value = this.readExifValue(dataView, entry + 8, type, count, littleEndian);
+                if (value === undefined) continue;
+
+                if (names === 'ifd0' && tag === 0x8769) {
+                    readIFD(value, 'exif');
+                } else if (names === 'ifd0' && tag === 0x8825) {
+                    readIFD(value, 'gps');
+                } else {
+                    const name = this.getExifTagName(tag, names);
+                    tags[name] = this.decodeExifText(tag, names, value, littleEndian);
+                }
+            }
+        };
+
+        readIFD(dataView.getUint32(4, littleEndian), 'ifd0');
+        return tags;
+    }
+
+    /**
+     * EXIFエントリーの値を読み取る
+     * @param {DataView} dataView - TIFFデータのDataView
+     * @param {number} valueOffset - エントリー内の値フィールドの位置
+     * @param {number} type - データ型
+     * @param {number} count - 要素数
+     * @param {boolean} littleEndian - バイトオーダー
+     * @returns {*} - 値 (要素が1つなら単一の値、BYTE/UNDEFINEDはUint8Array)
+     */
+    readExifValue(dataView, valueOffset, type, count, littleEndian) {
+        const typeSizes = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8 };
+        const size = typeSizes[type];
+        if (!size) return undefined;
+
+        const totalSize = size * count;
+        const start = totalSize > 4 ? dataView.getUint32(valueOffset, littleEndian) : valueOffset;
+        if (start + totalSize > dataView.byteLength) return undefined;
+
+        if (type === 1 || type === 6 || type === 7) {
+            return new Uint8Array(dataView.buffer, dataView.byteOffset + start, count);
+        }
+        if (type === 2) {
+            const text = new TextDecoder('utf-8').decode(new Uint8Array(dataView.buffer, dataView.byteOffset + start, count));
+            return text.replace(/\0+$/, '');
+        }
+
+        const values = [];
+        for (let i = 0; i < count; i++) {
+            const position = start + i * size;
+            switch (type) {
+                case 3: values.push(dataView.getUint16(position, littleEndian)); break;
+                case 4: values.push(dataView.getUint32(position, littleEndian)); break;
+                case 8: values.push(dataView.getInt16(position, littleEndian)); break;
+                case 9: values.push(dataView.getInt32(position, littleEndian)); break;
+                case 11: values.push(dataView.getFloat32(position, littleEndian)); break;
+                case 12: values.push(dataView.getFloat64(position, littleEndian)); break;
+                case 5:
+                case 10: {
+                    const read = type === 5 ? 'getUint32' : 'getInt32';
+                    const numerator = dataView[read](position, littleEndian);
+                    const denominator = dataView[read](position + 4, littleEndian);
+                    values.push(denominator === 0 ? 0 : numerator / denominator);
+                    break;
+                }
+            }
+        }
+        return values.length === 1 ? values[0] : values;
+    }
+
+    /**
+     * バイト列で格納されるEXIFのテキストタグを文字列に変換
+     * UserCommentは先頭8バイトの文字コード識別子 (ASCII/UNICODE/JIS) に従ってデコードする
+     * @param {number} tag - タグ番号
+     * @param {string} ifd - IFDの種類
+     * @param {*} value - readExifValueで読み取った値
+     * @param {boolean} littleEndian - TIFFのバイトオーダー
+     * @returns {*} - 変換後の値
+     */
+    decodeExifText(tag, ifd, value, littleEndian) {
+        if (!(value instanceof Uint8Array)) return value;
+
+        if (ifd === 'exif' && tag === 0x9286 && value.length >= 8) {
+            const prefix = String.fromCharCode(...value.subarray(0, 8));
+            const body = value.subarray(8);
+
+            if (prefix.startsWith('UNICODE')) {
+                // 書き込むツールによってバイトオーダーが異なるため、0x00の位置から推定する
+                let bigEndian = !littleEndian;
+                if (body.length >= 2 && body[0] === 0 && body[1] !== 0) bigEndian = true;
+                if (body.length >= 2 && body[0] !== 0 && body[1] === 0) bigEndian = false;
+                return new TextDecoder(bigEndian ? 'utf-16be' : 'utf-16le').decode(body).replace(/\0+$/, '');
+            }
+            if (prefix.startsWith('JIS')) {
+                return new TextDecoder('shift_jis').decode(body).replace(/\0+$/, '');
+            }
+            return new TextDecoder('utf-8').decode(body).replace(/\0+$/, '');
+        }
+
+        // XPTitle/XPComment/XPAuthor/XPKeywords/XPSubject はUTF-16LE
+        if (ifd === 'ifd0' && tag >= 0x9C9B && tag <= 0x9C9F) {
+            return new TextDecoder('utf-16le').decode(value).replace(/\0+$/, '');
+        }
+
+        return value.length <= 16 ? Array.from(value).join(' ') : `[${value.length} bytes]`;
+    }
+
+    /**
+     * EXIFタグ名を取得
+     * @param {number} tag - タグ番号
+     * @param {string} ifd - IFDの種類 ('ifd0' / 'exif' / 'gps')
+     * @returns {string} - タグ名
+     */
+    getExifTagName(tag, ifd) {
+        const gpsTags = {
+            0x0000: 'GPSVersionID', 0x0001: 'GPSLatitudeRef', 0x0002: 'GPSLatitude',
+            0x0003: 'GPSLongitudeRef', 0x0004: 'GPSLongitude', 0x0005: 'GPSAltitudeRef',
+            0x0006: 'GPSAltitude', 0x0007: 'GPSTimeStamp', 0x001D: 'GPSDateStamp'
+        };
+        const tags = {
+            0x010E: 'ImageDescription', 0x010F: 'Make', 0x0110: 'Model', 0x0112: 'Orientation',
+            0x011A: 'XResolution', 0x011B: 'YResolution', 0x0128: 'ResolutionUnit', 0x0131: 'Software',
+            0x0132: 'DateTime', 0x013B: 'Artist', 0x8298: 'Copyright', 0x829A: 'ExposureTime',
+            0x829D: 'FNumber', 0x8827: 'ISOSpeedRatings', 0x9000: 'ExifVersion', 0x9003: 'DateTimeOriginal',
+            0x9004: 'DateTimeDigitized', 0x9010: 'OffsetTime', 0x920A: 'FocalLength', 0x9286: 'UserComment',
+            0x9C9B: 'XPTitle', 0x9C9C: 'XPComment', 0x9C9D: 'XPAuthor', 0x9C9E: 'XPKeywords',
+            0x9C9F: 'XPSubject', 0xA001: 'ColorSpace', 0xA002: 'PixelXDimension', 0xA003: 'PixelYDimension',
+            0xA433: 'LensMake', 0xA434: 'LensModel'
+        };
+        const name = ifd === 'gps' ? gpsTags[tag] : tags[tag];
+        return name || `Tag 0x${tag.toString(16).toUpperCase().padStart(4, '0')}`;
+    }
+
+    /**
+     * EXIFの内容をメタデータに反映
+     * UserCommentはA1111と同様にparametersとして扱い、その他の説明系タグはテキストとして追加する
+     * @param {Object} exif - parseExifの結果
+     * @param {Object} metadata - メタデータオブジェクト
+     */
+    applyExifMetadata(exif, metadata) {
+        metadata.technicalInfo.exif = exif;
+
+        if (typeof exif.UserComment === 'string' && exif.UserComment.trim() !== '') {
+            this.addTextChunk(metadata, 'EXIF', 'parameters', exif.UserComment, null);
+        }
+
+        const textTags = ['ImageDescription', 'Software', 'Artist', 'Copyright', 'XPTitle', 'XPComment', 'XPAuthor', 'XPKeywords', 'XPSubject'];
+        for (const tag of textTags) {
+            if (typeof exif[tag] === 'string' && exif[tag].trim() !== '') {
+                this.addTextChunk(metadata, 'EXIF', tag, exif[tag], null);
+            }
+        }
+    }
+
+    /**
+     * PNG以外の形式から読み取ったテキストをテキストチャンクの一覧に追加
+     * @param {Object} metadata - メタデータオブジェクト
+     * @param {string} type - 取得元 (セグメント名、チャンクタイプ、EXIFなど)
+     * @param {string} keyword - キーワード
+     * @param {string} text - テキスト
+     * @param {number|null} offset - ファイル内の位置 (不明な場合はnull)
+     */
+    addTextChunk(metadata, type, keyword, text, offset) {
+        metadata.textChunks.push({ type, keyword, text, compressed: false, languageTag: '', translatedKeyword: '', offset });
+    }
+
+    /**
+     * テキストチャンクの一覧をキーワードごとのテキストに変換
+     * 同じキーワードが複数ある場合は最初のものを使う
+     * @param {Array} textChunks - テキストチャンクの一覧
+     * @returns {Object} - キーワードごとのテキスト
+     */
+    getTextFields(textChunks) {
+        const fields = {};
+        for (const chunk of textChunks) {
+            if (!(chunk.keyword in fields)) {
+                fields[chunk.keyword] = chunk.text;
+            }
+        }
+        return fields;
+    }
+
+    /**
+     * 画素の最下位ビットに埋め込まれたステルス情報 (NovelAI/stealth-pnginfo) を読み取り
+     * 見つかった場合はtextChunksに格納し、生成ツールを判定し直す
+     * 画素を読めなかった場合は例外にせず metadata.stealthError に記録する
+     * @param {Blob} file - 画像ファイル
+     * @param {Object} metadata - メタデータオブジェクト
+     */
+    async extractStealthMetadata(file, metadata) {
+        try {
+            // 色空間変換やアルファの乗算で最下位ビットが崩れないようにデコードする
+            const bitmap = await createImageBitmap(file, {
+                colorSpaceConversion: 'none',
+                premultiplyAlpha: 'none'
+            });
+            const canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+            const context = canvas.getContext('2d', { willReadFrequently: true });
+            context.drawImage(bitmap, 0, 0);
+            const imageData = context.getImageData(0, 0, bitmap.width, bitmap.height);
+            bitmap.close();
+
+            const stealth = await this.decodeStealthPixels(imageData.data, imageData.width, imageData.height);
+            if (!stealth) return;
+
+            const data = this.parseJsonObject(stealth.text);
+            if (data) {
+                // NovelAIはテキストチャンクと同じキーワードのJSONを埋め込む
+                for (const [keyword, value] of Object.entries(data)) {
+                    this.addTextChunk(metadata, 'stealth', keyword, typeof value === 'string' ? value : JSON.stringify(value), null);
+                }
+            } else {
+                this.addTextChunk(metadata, 'stealth', 'parameters', stealth.text, null);
+            }
+
+            metadata.stealth = { mode: stealth.mode, compressed: stealth.compressed };
+            metadata.generator = this.detectGenerator(metadata);
+        } catch (error) {
+            metadata.stealthError = error.message;
+        }
+    }
+
+    /**
+     * 画素データからステルス情報をデコード
+     * 列優先 (x→y) の順で、アルファモードはアルファの、RGBモードはR/G/Bの最下位ビットを読む
+     * 形式: マジック文字列 (15バイト) + ペイロードのビット長 (32bit) + ペイロード
+     * @param {Uint8ClampedArray} pixels - RGBA画素データ
+     * @param {number} width - 幅
+     * @param {number} height - 高さ
+     * @returns {Promise<Object|null>} - { mode, compressed, text }
+     */
+    async decodeStealthPixels(pixels, width, height) {
+        const magics = {
+            stealth_pnginfo: { mode: 'alpha', compressed: false },
+            stealth_pngcomp: { mode: 'alpha', compressed: true },
+            stealth_rgbinfo: { mode: 'rgb', compressed: false },
+            stealth_rgbcomp: { mode: 'rgb', compressed: true }
+        };
+        const magicLength = 'stealth_pnginfo'.length * 8;
+
+        for (const mode of ['alpha', 'rgb']) {
+            const bitsPerPixel = mode === 'alpha' ? 1 : 3;
+            const totalBits = width * height * bitsPerPixel;
+            if (totalBits < magicLength + 32) continue;
+
+            const readBit = (index) => {
+                const pixel = Math.floor(index / bitsPerPixel);
+                const x = Math.floor(pixel / height);
+                const y = pixel % height;
+                const channel = mode === 'alpha' ? 3 : index % bitsPerPixel;
+                return pixels[(y * width + x) * 4 + channel] & 1;
+            };
+            const readBytes = (start, byteCount) => {
+                const bytes = new Uint8Array(byteCount);
+                for (let i = 0; i < byteCount; i++) {
+                    let byte = 0;
+                    for (let bit = 0; bit < 8; bit++) {
+                        byte = (byte << 1) | readBit(start + i * 8 + bit);
+                    }
+                    bytes[i] = byte;
+                }
+                return bytes;
+            };
+
+            const magic = String.fromCharCode(...readBytes(0, magicLength / 8));
+            const format = magics[magic];
+            if (!format || format.mode !== mode) continue;
+
+            const lengthBytes = readBytes(magicLength, 4);
+            const payloadBits = new DataView(lengthBytes.buffer).getUint32(0);
+            if (payloadBits % 8 !== 0 || magicLength + 32 + payloadBits > totalBits) return null;
+
+            let payload = readBytes(magicLength + 32, payloadBits / 8);
+            if (format.compressed) {
+                payload = await this.decompressBytes(payload, 'gzip');
+            }
+
+            return {
+                mode,
+                compressed: format.compressed,
+                text: new TextDecoder('utf-8').decode(payload)
+            };
+        }
+
+        return null;
+    }
+
+    /**
+     * 圧縮データを最後まで展開
+     * @param {Uint8Array} bytes - 圧縮データ
+     * @param {string} format - 'deflate' または 'gzip'
+     * @returns {Promise<Uint8Array>} - 展開したデータ
+     */
+    async decompressBytes(bytes, format) {
+        const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream(format));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+
+    /**
+     * データを圧縮
+     * @param {Uint8Array} bytes - 圧縮するデータ
+     * @param {string} format - 'deflate' または 'gzip'
+     * @returns {Promise<Uint8Array>} - 圧縮したデータ
+     */
+    async compressBytes(bytes, format) {
+        const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream(format));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+
+    /**
+     * PNGのチャンクを順に読み取る
+     * @param {ArrayBuffer} buffer - PNG画像データ
+     * @returns {Array<{type: string, offset: number, length: number, data: Uint8Array, bytes: Uint8Array}>}
+     *   - チャンク (bytesは長さ・タイプ・CRCを含むチャンク全体)
+     */
+    readPNGChunks(buffer) {
+        const dataView = new DataView(buffer);
+        const chunks = [];
+        let offset = 8; // PNG署名の後から開始
+
+        while (offset + 12 <= buffer.byteLength) {
+            const length = dataView.getUint32(offset);
+            const type = this.readString(dataView, offset + 4, 4);
+            if (offset + 12 + length > buffer.byteLength) break;
+
+            chunks.push({
+                type,
+                offset,
+                length,
+                data: new Uint8Array(buffer, offset + 8, length),
+                bytes: new Uint8Array(buffer, offset, length + 12)
+            });
+
+            offset += 12 + length;
+            if (type === 'IEND') break;
+        }
+
+        return chunks;
+    }
+
+    /**
+     * JPEGのセグメントをSOSまで順に読み取る
+     * SOSのbytesには後続の画像データをファイルの末尾まで含める
+     * @param {ArrayBuffer} buffer - JPEG画像データ
+     * @returns {Array<{type: string, keyword: (string|undefined), offset: number, bytes: Uint8Array}>}
+     *   - セグメント (bytesはマーカーを含むセグメント全体、keywordはAPPnの識別子)
+     */
+    readJPEGSegments(buffer) {
+        const dataView = new DataView(buffer);
+        const bytes = new Uint8Array(buffer);
+        const segments = [];
+        let offset = 2; // SOIマーカーの後から開始
+
+        while (offset + 4 <= buffer.byteLength) {
+            if (bytes[offset] !== 0xFF) {
+                throw new MetadataParseError('MALFORMED_DATA', 'Invalid JPEG marker');
+            }
+
+            const marker = bytes[offset + 1];
+            if (marker === 0xFF) {
+                offset++;
+                continue;
+            }
+            if (marker === 0xD9) break; // EOI
+
+            const name = this.getJPEGMarkerName(marker);
+            // 長さを持たないマーカー (RSTn, TEM) はマーカーのみ
+            const standalone = (marker >= 0xD0 && marker <= 0xD7) || marker === 0x01;
+            const end = name === 'SOS'
+                ? buffer.byteLength
+                : standalone ? offset + 2 : Math.min(offset + 2 + dataView.getUint16(offset + 2), buffer.byteLength);
+
+            segments.push({
+                type: name,
+                keyword: /^APP\d+$/.test(name) ? this.readJPEGAppIdentifier(bytes.subarray(offset + 4, end)) : undefined,
+                offset,
+                bytes: bytes.subarray(offset, end)
+            });
+
+            if (name === 'SOS') return segments;
+            offset = end;
+        }
+
+        throw new MetadataParseError('MALFORMED_DATA', 'Missing SOS segment');
+    }
+
+    /**
+     * WebPのRIFFチャンクを順に読み取る
+     * @param {ArrayBuffer} buffer - WebP画像データ
+     * @returns {Array<{type: string, offset: number, length: number, data: Uint8Array, bytes: Uint8Array}>}
+     *   - チャンク (bytesはタイプ・長さ・パディングを含むチャンク全体)
+     */
+    readWebPChunks(buffer) {
+        const dataView = new DataView(buffer);
+        const end = Math.min(buffer.byteLength, 8 + dataView.getUint32(4, true));
+        const chunks = [];
+        let offset = 12; // RIFFヘッダーの後から開始
+
+        while (offset + 8 <= end) {
+            const type = this.readString(dataView, offset, 4);
+            const length = dataView.getUint32(offset + 4, true);
+            if (offset + 8 + length > end) break;
+
+            // 末尾のチャンクはパディングが省かれていることがある
+            const chunkEnd = Math.min(offset + 8 + length + (length % 2), end);
+            chunks.push({
+                type,
+                offset,
+                length,
+                data: new Uint8Array(buffer, offset + 8, length),
+                bytes: new Uint8Array(buffer, offset, chunkEnd - offset)
+            });
+
+            offset = chunkEnd;
+        }
+
+        return chunks;
+    }
+
+    /**
+     * 長さとCRCを付けたPNGチャンクを作成
+     * @param {string} type - チャンクタイプ
+     * @param {Uint8Array} data - チャンクデータ
+     * @returns {Uint8Array} - チャンク全体
+     */
+    createPNGChunk(type, data) {
+        const chunk = new Uint8Array(data.length + 12);
+        const dataView = new DataView(chunk.buffer);
+
+        dataView.setUint32(0, data.length);
+        for (let i = 0; i < 4; i++) {
+            chunk[4 + i] = type.charCodeAt(i);
+        }
+        chunk.set(data, 8);
+        // CRCはチャンクタイプとデータから計算する
+        dataView.setUint32(8 + data.length, this.crc32(chunk.subarray(4, 8 + data.length)));
+
+        return chunk;
+    }
+
+    /**
+     * CRC32を計算
+     * @param {Uint8Array} bytes - 対象データ
+     * @returns {number} - CRC32
+     */
+    crc32(bytes) {
+        if (!this.crcTable) {
+            this.crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                }
+                this.crcTable[n] = c >>> 0;
+            }
+        }
+
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = this.crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    /**
+     * DataViewから文字列を読み取り
+     * @param {DataView} dataView - DataView
+     * @param {number} offset - オフセット
+     * @param {number} length - 長さ
+     * @returns {string} - 文字列
+     */
+    readString(dataView, offset, length) {
+        let str = '';
+        for (let i = 0; i < length; i++) {
+            str += String.fromCharCode(dataView.getUint8(offset + i));
+        }
+        return str;
+    }
+
+    /**
+     * AUTOMATIC1111/Forge形式のparametersテキストを解析
+     * @param {string} text - parametersチャンクの値
+     * @returns {Object} - 解析結果 { positivePrompt, negativePrompt, settings }
+     */
+    parseA1111Parameters(text) {
+        const lines = text.trim().split('\n').map(line => line.trim());
+
+        // 最終行がキー:値を3項目以上含む場合のみ設定行とみなす (WebUIと同じ判定)
+        let settings = this.parseA1111Settings(lines[lines.length - 1] || '');
+        if (settings.length >= 3) {
+            lines.pop();
+        } else {
+            settings = [];
+        }
+
+        const positiveLines = [];
+        const negativeLines = [];
+        let inNegative = false;
+
+        for (const line of lines) {
+            if (line.startsWith('Negative prompt:')) {
+                inNegative = true;
+                negativeLines.push(line.slice('Negative prompt:'.length).trim());
+            } else if (inNegative) {
+                negativeLines.push(line);
+            } else {
+                positiveLines.push(line);
+            }
+        }
+
+        return {
+            positivePrompt: positiveLines.join('\n').trim(),
+            negativePrompt: negativeLines.join('\n').trim(),
+            settings
+        };
+    }
+
+    /**
+     * A1111形式の設定行をキーと値の配列に分解
+     * ダブルクォートで囲まれた値はカンマを含んでいても1つの値として扱う
+     * @param {string} line - 設定行 (例: "Steps: 20, Sampler: Euler a, ...")
+     * @returns {Array<{key: string, value: string}>} - 設定項目
+     */
+    parseA1111Settings(line) {
+        const pattern = /\s*(\w[\w \-/]+):\s*("(?:\\.|[^\\"])+"|[^,]*)(?:,|$)/g;
+        const settings = [];
+
+        for (const match of line.matchAll(pattern)) {
+            settings.push({
+                key: match[1].trim(),
+                value: this.unquoteA1111Value(match[2].trim())
+            });
+        }
+
+        return settings;
+    }
+
+    /**
+     * クォートされた設定値を元の文字列に戻す
+     * @param {string} value - 設定値
+     * @returns {string} - クォートを外した値
+     */
+    unquoteA1111Value(value) {
+        if (value.length < 2 || !value.startsWith('"') || !value.endsWith('"')) {
+            return value;
+        }
+
+        try {
+            return JSON.parse(value);
+        } catch (error) {
+            return value.slice(1, -1);
+        }
+    }
+
+    /**
+     * ComfyUIのprompt/workflowチャンクを解析
+     * @param {Object} textChunks - キーワードごとのテキスト (getTextFieldsの結果)
+     * @returns {Object|null} - 解析結果 { prompt, workflow, summary, errors } (ComfyUI画像でない場合はnull)
+     *   errors は読み取れなかったチャンク { keyword, message } の一覧
+     */
+    parseComfyUIMetadata(textChunks) {
+        const errors = [];
+        const parse = (keyword) => {
+            const { value, error } = this.parseComfyUIJson(textChunks[keyword]);
+            if (error) errors.push({ keyword, message: error });
+            return value;
+        };
+        const prompt = parse('prompt');
+        const workflow = parse('workflow');
+
+        if (!prompt && !workflow && errors.length === 0) return null;
+
+        const summary = prompt
+            ? this.summarizeComfyUIPrompt(prompt)
+            : this.summarizeComfyUIWorkflow(workflow || {});
+
+        return { prompt, workflow, summary, errors };
+    }
+
+    /**
+     * ComfyUIが書き出したJSON文字列を解析
+     * ComfyUIはNaNをそのまま出力することがあるため、失敗時はnullに置き換えて再試行する
+     * JSONのオブジェクトに見えるのに読めない場合のみエラーとする (他のツールの平文のpromptは対象外)
+     * @param {string} [text] - JSON文字列
+     * @returns {Object} - { value, error } (valueは読めない場合null、errorは成功した場合null)
+     */
+    parseComfyUIJson(text) {
+        if (!text) return { value: null, error: null };
+
+        try {
+            const value = JSON.parse(text);
+            return { value: value && typeof value === 'object' ? value : null, error: null };
+        } catch (error) {
+            try {
+                const value = JSON.parse(text.replace(/\bNaN\b/g, 'null'));
+                return { value: value && typeof value === 'object' ? value : null, error: null };
+            } catch (retryError) {
+                return { value: null, error: text.trimStart().startsWith('{') ? retryError.message : null };
+            }
+        }
+    }
+
+    /**
+     * API形式のpromptから主要ノードの情報を抽出
+     * @param {Object} prompt - ノードIDをキーとするprompt JSON
+     * @returns {Object} - サマリー { checkpoints, positivePrompts, negativePrompts, otherPrompts, samplers, loras }
+     */
+    summarizeComfyUIPrompt(prompt) {
+        const summary = {
+            checkpoints: [],
+            positivePrompts: [],
+            negativePrompts: [],
+            otherPrompts: [],
+            samplers: [],
+            loras: []
+        };
+        const classifiedTextNodes = new Set();
+
+        for (const [id, node] of Object.entries(prompt)) {
+            const inputs = (node && typeof node.inputs === 'object' && node.inputs) || {};
+            const classType = String((node && node.class_type) || '');
+
+            const checkpoint = inputs.ckpt_name || inputs.unet_name;
+            if (typeof checkpoint === 'string') {
+                summary.checkpoints.push({ id, classType, name: checkpoint });
+            }
+
+            if (typeof inputs.lora_name === 'string') {
+                summary.loras.push({
+                    id,
+                    name: inputs.lora_name,
+                    strengthModel: this.resolveComfyUIValue(prompt, inputs.strength_model),
+                    strengthClip: this.resolveComfyUIValue(prompt, inputs.strength_clip)
+                });
+            }
+
+            if (classType.includes('KSampler') || 'sampler_name' in inputs) {
+                summary.samplers.push({
+                    id,
+                    classType,
+                    seed: this.resolveComfyUIValue(prompt, inputs.seed !== undefined ? inputs.seed : inputs.noise_seed),
+                    steps: this.resolveComfyUIValue(prompt, inputs.steps),
+                    cfg: this.resolveComfyUIValue(prompt, inputs.cfg),
+                    sampler: this.resolveComfyUIValue(prompt, inputs.sampler_name),
+                    scheduler: this.resolveComfyUIValue(prompt, inputs.scheduler),
+                    denoise: this.resolveComfyUIValue(prompt, inputs.denoise)
+                });
+
+                for (const [role, list] of [['positive', summary.positivePrompts], ['negative', summary.negativePrompts]]) {
+                    const textNodeId = this.findComfyUITextNode(prompt, inputs[role], role);
+                    if (textNodeId !== null && !classifiedTextNodes.has(textNodeId)) {
+                        classifiedTextNodes.add(textNodeId);
+                        list.push({ id: textNodeId, text: this.getComfyUINodeText(prompt, prompt[textNodeId]) });
+                    }
+                }
+            }
+        }
+
+        // サンプラーから辿れなかったテキストエンコードノード
+        for (const [id, node] of Object.entries(prompt)) {
+            if (classifiedTextNodes.has(id) || !node || !String(node.class_type || '').startsWith('CLIPTextEncode')) continue;
+            summary.otherPrompts.push({ id, text: this.getComfyUINodeText(prompt, node) });
+        }
+
+        return summary;
+    }
+
+    /**
+     * UI形式のworkflowから主要ノードの情報を抽出 (promptチャンクがない場合のフォールバック)
+     * @param {Object} workflow - workflow JSON
+     * @returns {Object} - summarizeComfyUIPromptと同じ形式のサマリー
+     */
+    summarizeComfyUIWorkflow(workflow) {
+        const summary = {
+            checkpoints: [],
+            positivePrompts: [],
+            negativePrompts: [],
+            otherPrompts: [],
+            samplers: [],
+            loras: []
+        };
+
+        const nodes = Array.isArray(workflow.nodes) ? workflow.nodes : [];
+
+        for (const node of nodes) {
+            if (!node || typeof node !== 'object') continue;
+
+            const id = String(node.id);
+            const type = String(node.type || '');
+            const widgets = Array.isArray(node.widgets_values) ? node.widgets_values : [];
+
+            if (type.startsWith('CheckpointLoader') || type === 'UNETLoader') {
+                summary.checkpoints.push({ id, classType: type, name: widgets[0] });
+            } else if (type.startsWith('LoraLoader')) {
+                summary.loras.push({ id, name: widgets[0], strengthModel: widgets[1], strengthClip: widgets[2] });
+            } else if (type === 'KSampler') {
+                // [seed, control_after_generate, steps, cfg, sampler_name, scheduler, denoise]
+                summary.samplers.push({
+                    id,
+                    classType: type,
+                    seed: widgets[0],
+                    steps: widgets[2],
+                    cfg: widgets[3],
+                    sampler: widgets[4],
+                    scheduler: widgets[5],
+                    denoise: widgets[6]
+                });
+            } else if (type.startsWith('CLIPTextEncode') && typeof widgets[0] === 'string') {
+                summary.otherPrompts.push({ id, text: widgets[0] });
+            }
+        }
+
+        return summary;
+    }
+
+    /**
+     * ノード入力値がリンクの場合はリンク先ノードの値を取得
+     * @param {Object} prompt - prompt JSON
+     * @param {*} value - 入力値 (リンクは [ノードID, 出力番号] の配列)
+     * @returns {*} - 解決した値 (解決できないリンクは "#ノードID" の文字列)
+     */
+    resolveComfyUIValue(prompt, value) {
+        if (!Array.isArray(value) || value.length !== 2) return value;
+
+        const node = prompt[value[0]];
+        const inputs = (node && node.inputs) || {};
+        for (const key of ['value', 'seed', 'noise_seed', 'int', 'float', 'string', 'text', 'sampler_name', 'scheduler']) {
+            if (inputs[key] !== undefined && !Array.isArray(inputs[key])) {
+                return inputs[key];
+            }
+        }
+        return `#${value[0]}`;
+    }
+
+    /**
+     * サンプラーのpositive/negative入力からテキストエンコードノードを探す
+     * ControlNetなどの条件付けノードを挟む場合も入力を遡って探索する
+     * @param {Object} prompt - prompt JSON
+     * @param {*} link - サンプラーの入力値
+     * @param {string} role - 'positive' または 'negative'
+     * @returns {string|null} - テキストエンコードノードのID
+     */
+    findComfyUITextNode(prompt, link, role) {
+        const visited = new Set();
+
+        while (Array.isArray(link) && !visited.has(String(link[0]))) {
+            const id = String(link[0]);
+            const node = prompt[id];
+            visited.add(id);
+            if (!node || !node.inputs) return null;
+
+            if (String(node.class_type || '').startsWith('CLIPTextEncode')) return id;
+
+            link = node.inputs[role] || node.inputs.conditioning || node.inputs.conditioning_1 || node.inputs.conditioning_to;
+        }
+
+        return null;
+    }
+
+    /**
+     * テキストエンコードノードのプロンプト文字列を取得
+     * @param {Object} prompt - prompt JSON
+     * @param {Object} node - CLIPTextEncode系ノード
+     * @returns {string} - プロンプト
+     */
+    getComfyUINodeText(prompt, node) {
+        const inputs = (node && node.inputs) || {};
+        const keys = inputs.text !== undefined ? ['text'] : ['text_g', 'text_l'];
+        const texts = keys
+            .map(key => this.resolveComfyUIValue(prompt, inputs[key]))
+            .filter(text => typeof text === 'string' && text !== '');
+        return [...new Set(texts)].join('\n');
+    }
+
+    /**
+     * プロンプトをタグ・LoRA・エンベディングに分解し、それぞれの強調の重みを求める
+     * A1111の記法に対応する:
+     *   (tag) は1.1倍、[tag] は1/1.1倍 (入れ子は掛け合わせる)、(tag:1.2) は指定した倍率
+     *   <lora:name:0.8> / <lyco:name:0.8> はLoRA、<hypernet:name:1> はハイパーネットワーク
+     *   embedding:name はエンベディング (ComfyUIの記法)
+     *   BREAK と AND は区切りとして扱い、[a|b] (交互) はそれぞれを候補として数える
+     *   {a|b} (ワイルドカード) は同じタグの前後の文字列と組み合わせて数える ({red|blue} eyes は red eyes と blue eyes)
+     *   [a:b:0.5] (プロンプト編集) は重みを変えずに a と b を数える
+     *   \( \) などのエスケープと、対応する開き括弧のない閉じ括弧は文字として扱う
+     * @param {string} prompt - プロンプト
+     * @returns {Array} - トークン { type: 'tag' | 'lora' | 'hypernet' | 'embedding', name, weight }
+     */
+    tokenizePrompt(prompt) {
+        const closers = { '(': ')', '[': ']', '{': '}' };
+
+        // 文字列と入れ子のグループ { open, parts } / 追加ネットワーク { extra } の配列にする
+        // 深い入れ子でスタックがあふれないよう、開いているグループをスタックで管理して1文字ずつ読む
+        const readGroups = () => {
+            const root = { parts: [] };
+            const stack = [root];
+            // 上限より深い開き括弧に対応する閉じ括弧 (読み飛ばす)
+            const skipped = [];
+            let text = '';
+            const closeGroup = () => {
+                stack.pop().parts.push(text);
+                text = '';
+            };
+
+            for (let position = 0; position < prompt.length; position++) {
+                const char = prompt[position];
+                const group = stack[stack.length - 1];
+
+                if (char === '\\' && position + 1 < prompt.length) {
+                    text += prompt[++position];
+                } else if (closers[char] && stack.length > MAX_PROMPT_DEPTH) {
+                    skipped.push(closers[char]);
+                } else if (skipped.length > 0 && skipped[skipped.length - 1] === char) {
+                    skipped.pop();
+                } else if (closers[char]) {
+                    const child = { open: char, close: closers[char], parts: [] };
+                    group.parts.push(text, child);
+                    text = '';
+                    stack.push(child);
+                } else if (char === '<' && prompt.indexOf('>', position + 1) !== -1) {
+                    const end = prompt.indexOf('>', position + 1);
+                    group.parts.push(text, { extra: prompt.slice(position + 1, end) });
+                    text = '';
+                    position = end;
+                } else if (stack.some(item => item.close === char)) {
+                    // 内側の閉じていないグループもここで閉じる
+                    skipped.length = 0;
+                    while (stack[stack.length - 1].close !== char) closeGroup();
+                    closeGroup();
+                } else {
+                    text += char;
+                }
+            }
+
+            // 閉じられていないグループはプロンプトの終わりまでとする
+            while (stack.length > 0) closeGroup();
+            return root.parts;
+        };
+
+        const tokens = [];
+        const round = (weight) => Math.round(weight * 1000) / 1000;
+        const separators = /,|\n|\bBREAK\b|\bAND\b|\|/;
+        const editingSeparators = /,|\n|\bBREAK\b|\bAND\b|\||:/;
+        // グループ末尾の ":1.2" や ":0.5" を取り除き、数値を返す
+        const takeTrailingNumber = (parts) => {
+            const last = parts[parts.length - 1];
+            const match = typeof last === 'string' ? /:\s*(-?\d+(?:\.\d+)?)\s*$/.exec(last) : null;
+            if (!match) return null;
+            parts[parts.length - 1] = last.slice(0, match.index);
+            return parseFloat(match[1]);
+        };
+
+        const addText = (text, weight, pattern) => {
+            for (const piece of text.split(pattern)) {
+                const name = piece.replace(/\s+/g, ' ').trim();
+                if (!name) continue;
+
+                const embedding = /^embedding:\s*(.+)$/i.exec(name);
+                tokens.push(embedding
+                    ? { type: 'embedding', name: embedding[1].replace(/\.(pt|safetensors|bin)$/i, ''), weight: round(weight) }
+                    : { type: 'tag', name, weight: round(weight) });
+            }
+        };
+
+        // 入れ子のない {a|b} に前後の同じタグの文字列を取り込み、候補ごとのタグ { wildcard } にする
+        // parts は文字列とグループが交互に並ぶため、グループの前後は必ず文字列になる
+        const expandWildcards = (parts, pattern) => {
+            const result = parts.slice();
+            for (let i = 1; i < result.length - 1; i += 2) {
+                const part = result[i];
+                if (part.open !== '{' || !part.parts.every(item => typeof item === 'string')) continue;
+
+                const before = result[i - 1];
+                const after = result[i + 1];
+                let start = 0;
+                for (const match of before.matchAll(new RegExp(pattern.source, 'g'))) {
+                    start = match.index + match[0].length;
+                }
+                const next = after.search(pattern);
+                const end = next === -1 ? after.length : next;
+                const prefix = before.slice(start);
+                const suffix = after.slice(0, end);
+
+                result[i - 1] = before.slice(0, start);
+                result[i + 1] = after.slice(end);
+                result[i] = { wildcard: part.parts.join('').split('|').map(option => prefix + option + suffix) };
+            }
+            return result;
+        };
+
+        const walk = (parts, weight, pattern) => {
+            for (const part of expandWildcards(parts, pattern)) {
+                if (typeof part === 'string') {
+                    addText(part, weight, pattern);
+                } else if (part.wildcard) {
+                    for (const option of part.wildcard) addText(option, weight, pattern);
+                } else if (part.extra !== undefined) {
+                    const [kind, name, multiplier] = part.extra.split(':');
+                    if (!name) continue;
+                    const value = parseFloat(multiplier);
+                    tokens.push({
+                        type: ['lora', 'lyco', 'locon'].includes(kind.trim().toLowerCase()) ? 'lora' : kind.trim().toLowerCase(),
+                        name: name.trim(),
+                        weight: Number.isNaN(value) ? 1 : value
+                    });
+                } else if (part.open === '(') {
+                    const groupParts = part.parts.slice();
+                    const explicit = takeTrailingNumber(groupParts);
+                    walk(groupParts, weight * (explicit === null ? 1.1 : explicit), pattern);
+                } else if (part.open === '[') {
+                    const groupParts = part.parts.slice();
+                    const isEditing = groupParts.some(item => typeof item === 'string' && /[:|]/.test(item));
+                    if (isEditing) {
+                        takeTrailingNumber(groupParts);
+                        walk(groupParts, weight, editingSeparators);
+                    } else {
+                        walk(groupParts, weight / 1.1, pattern);
+                    }
+                } else {
+                    walk(part.parts, weight, pattern);
+                }
+            }
+        };
+
+        walk(readGroups(), 1, separators);
+        return tokens;
+    }
+
+    /**
+     * 画像のプロンプトを分解
+     * ComfyUIの場合はLoraLoaderノードのLoRAもポジティブ側に加える
+     * @param {Object} metadata - メタデータ (generatorを含む)
+     * @returns {Object} - { positive, negative } (それぞれ tokenizePrompt の結果)
+     */
+    analyzePrompts(metadata) {
+        const params = metadata.generator ? metadata.generator.params : {};
+        const positive = this.tokenizePrompt(typeof params.prompt === 'string' ? params.prompt : '');
+        const negative = this.tokenizePrompt(typeof params.negative === 'string' ? params.negative : '');
+
+        if (metadata.generator && metadata.generator.id === 'comfyui') {
+            const comfyui = this.parseComfyUIMetadata(this.getTextFields(metadata.textChunks));
+            for (const lora of comfyui ? comfyui.summary.loras : []) {
+                const weight = parseFloat(lora.strengthModel);
+                if (lora.name) {
+                    positive.push({ type: 'lora', name: String(lora.name).replace(/\.safetensors$/i, ''), weight: Number.isNaN(weight) ? 1 : weight });
+                }
+            }
+        }
+
+        return { positive, negative };
+    }
+
+    /**
+     * 複数の画像のトークンを集計
+     * 同じ名前は大文字小文字と連続する空白を区別せずにまとめる
+     * @param {Array<Array>} tokenLists - 画像ごとのトークンの配列
+     * @returns {Array} - { type, name, images, occurrences, averageWeight } (使われた画像数の多い順)
+     */
+    countPromptTokens(tokenLists) {
+        const counts = new Map();
+
+        tokenLists.forEach((tokens, imageIndex) => {
+            for (const token of tokens) {
+                const key = this.getPromptTokenKey(token);
+                if (!counts.has(key)) {
+                    counts.set(key, { type: token.type, name: token.name, images: 0, occurrences: 0, totalWeight: 0, lastImage: -1 });
+                }
+                const entry = counts.get(key);
+                entry.occurrences++;
+                entry.totalWeight += token.weight;
+                if (entry.lastImage !== imageIndex) {
+                    entry.images++;
+                    entry.lastImage = imageIndex;
+                }
+            }
+        });
+
+        return [...counts.values()]
+            .map(({ type, name, images, occurrences, totalWeight }) => ({
+                type, name, images, occurrences, averageWeight: Math.round(totalWeight / occurrences * 1000) / 1000
+            }))
+            .sort((a, b) => b.images - a.images || b.occurrences - a.occurrences || a.name.localeCompare(b.name));
+    }
+
+    /**
+     * 集計や絞り込みでトークンを同一視するためのキー
+     * @param {Object} token - { type, name }
+     * @returns {string} - キー
+     */
+    getPromptTokenKey(token) {
+        return `${token.type}:${token.name.toLowerCase().replace(/\s+/g, ' ')}`;
+    }
+
+    /**
+     * XMPパケットを解析し、失敗した場合も例外にせずエラーを記録する (画像全体の解析を失敗にしない)
+     * @param {string} xml - XMPパケット
+     * @returns {Object} - { properties, error } (errorは成功した場合null)
+     */
+    readXMP(xml) {
+        try {
+            return { properties: this.parseXMP(xml), error: null };
+        } catch (error) {
+            return { properties: [], error: error.message };
+        }
+    }
+
+    /**
+     * XMPパケット (RDF/XML) を名前空間付きのプロパティの一覧に変換
+     * 構造体と配列 (rdf:Bag/Seq/Alt) は "xmpMM:History[1]/stEvt:action" のようなパスに展開する
+     * @param {string} xml - XMPパケット
+     * @returns {Array<{namespace: string, prefix: string, name: string, path: string, value: string, language: string}>} - プロパティ
+     *   namespace/prefix/name は最上位のプロパティのもの、language は xml:lang (なければ空文字列)
+     */
+    parseXMP(xml) {
+        const properties = [];
+        const visit = (element) => {
+            if (element.namespace === RDF_NAMESPACE && element.name === 'RDF') {
+                for (const description of element.children) {
+                    if (description.namespace === RDF_NAMESPACE && description.name === 'Description') {
+                        this.readXMPProperties(description, '', null, properties);
+                    }
+                }
+                return;
+            }
+            element.children.forEach(visit);
+        };
+
+        visit(this.parseXMLTree(xml));
+        return properties;
+    }
+
+    /**
+     * rdf:Description (または構造体) の属性と子要素をプロパティとして読み取る
+     * @param {Object} node - XML要素
+     * @param {string} path - 親のパス (最上位の場合は空文字列)
+     * @param {Object|null} property - 最上位のプロパティの要素 (最上位の場合はnull)
+     * @param {Array} properties - 結果を追加する配列
+     */
+    readXMPProperties(node, path, property, properties) {
+        for (const attribute of node.attributes) {
+            if (!attribute.namespace || attribute.namespace === RDF_NAMESPACE || attribute.namespace === XML_NAMESPACE) continue;
+            const top = property || attribute;
+            properties.push({
+                namespace: top.namespace,
+                prefix: top.prefix,
+                name: top.name,
+                path: `${path}${attribute.prefix}:${attribute.name}`,
+                value: attribute.value,
+                language: ''
+            });
+        }
+        for (const child of node.children) {
+            this.readXMPValue(child, `${path}${child.prefix}:${child.name}`, property || child, properties);
+        }
+    }
+
+    /**
+     * XMPのプロパティ要素の値を読み取る
+     * @param {Object} element - プロパティ要素 (またはrdf:li)
+     * @param {string} path - この値のパス
+     * @param {Object} property - 最上位のプロパティの要素
+     * @param {Array} properties - 結果を追加する配列
+     */
+    readXMPValue(element, path, property, properties) {
+        const findAttribute = (namespace, name) => element.attributes.find(attribute => attribute.namespace === namespace && attribute.name === name);
+        const findChild = (names) => element.children.find(child => child.namespace === RDF_NAMESPACE && names.includes(child.name));
+        const resource = findAttribute(RDF_NAMESPACE, 'resource');
+        const parseType = findAttribute(RDF_NAMESPACE, 'parseType');
+        const container = findChild(['Bag', 'Seq', 'Alt']);
+        const description = findChild(['Description']);
+        const language = findAttribute(XML_NAMESPACE, 'lang');
+
+        if (container) {
+            container.children
+                .filter(item => item.namespace === RDF_NAMESPACE && item.name === 'li')
+                .forEach((item, index) => this.readXMPValue(item, `${path}[${index + 1}]`, property, properties));
+        } else if (description) {
+            this.readXMPProperties(description, `${path}/`, property, properties);
+        } else if ((parseType && parseType.value === 'Resource') || element.children.length > 0
+            || element.attributes.some(attribute => attribute.namespace && attribute.namespace !== RDF_NAMESPACE && attribute.namespace !== XML_NAMESPACE)) {
+            this.readXMPProperties(element, `${path}/`, property, properties);
+        } else {
+            properties.push({
+                namespace: property.namespace,
+                prefix: property.prefix,
+                name: property.name,
+                path,
+                value: resource ? resource.value : element.text.trim(),
+                language: language ? language.value : ''
+            });
+        }
+    }
+
+    /**
+     * XMLを要素の木に変換 (XMP用の簡易パーサー、DOMParserのないWorkerやNode.jsでも動く)
+     * 要素は { namespace, prefix, name, attributes: [{ namespace, prefix, name, value }], children, text }
+     * @param {string} xml - XMLテキスト
+     * @returns {Object} - 文書全体を子に持つ根の要素
+     */
+    parseXMLTree(xml) {
+        const root = { namespace: '', prefix: '', name: '', attributes: [], children: [], text: '', namespaces: { xml: XML_NAMESPACE } };
+        const stack = [root];
+        const pattern = /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!\[CDATA\[([\s\S]*?)\]\]>|<![^>]*>|<\/([^\s>]+)\s*>|<([^\s>/]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g;
+        let match;
+
+        while ((match = pattern.exec(xml)) !== null) {
+            const [, cdata, closeName, openName, attributeText, selfClosing, text] = match;
+            const parent = stack[stack.length - 1];
+
+            if (cdata !== undefined) {
+                parent.text += cdata;
+            } else if (text !== undefined) {
+                parent.text += this.decodeXmlEntities(text);
+            } else if (closeName !== undefined) {
+                if (stack.length > 1) stack.pop();
+            } else if (openName !== undefined) {
+                // xmlns属性で宣言された名前空間は子孫の要素にも引き継がれる
+                const namespaces = { ...parent.namespaces };
+                const attributes = [];
+                for (const [, name, , doubleQuoted, singleQuoted] of attributeText.matchAll(/([^\s=]+)\s*=\s*("([^"]*)"|'([^']*)')/g)) {
+                    const value = this.decodeXmlEntities(doubleQuoted !== undefined ? doubleQuoted : singleQuoted);
+                    if (name === 'xmlns') namespaces[''] = value;
+                    else if (name.startsWith('xmlns:')) namespaces[name.slice(6)] = value;
+                    else attributes.push({ name, value });
+                }
+
+                const element = {
+                    ...this.resolveXMLName(openName, namespaces, true),
+                    attributes: attributes.map(({ name, value }) => ({ ...this.resolveXMLName(name, namespaces, false), value })),
+                    children: [],
+                    text: '',
+                    namespaces
+                };
+                parent.children.push(element);
+                if (!selfClosing) stack.push(element);
+            }
+        }
+
+        return root;
+    }
+
+    /**
+     * 接頭辞付きの名前を名前空間URIと名前に分ける
+     * @param {string} qualifiedName - 接頭辞付きの名前 (例: "dc:title")
+     * @param {Object} namespaces - 接頭辞から名前空間URIへの対応
+     * @param {boolean} useDefault - 接頭辞がない場合に既定の名前空間を使うかどうか (属性の場合はfalse)
+     * @returns {Object} - { namespace, prefix, name }
+     */
+    resolveXMLName(qualifiedName, namespaces, useDefault) {
+        const index = qualifiedName.indexOf(':');
+        const prefix = index >= 0 ? qualifiedName.slice(0, index) : '';
+        const namespace = prefix || useDefault ? namespaces[prefix] || '' : '';
+        return { namespace, prefix, name: qualifiedName.slice(index + 1) };
+    }
+
+    /**
+     * C2PAのマニフェストストア (JUMBF) を解析
+     * クレーム、アサーション、署名者の証明書を読み取る (署名そのものは検証しない)
+     * 壊れている場合も例外にせず、読めた範囲とerrorを返す
+     * @param {Uint8Array} bytes - JUMBFのスーパーボックス (PNGのcaBXチャンクなど)
+     * @returns {Object} - { manifests, activeManifest, aiGenerated, error }
+     *   manifests: [{ label, active, claimGenerator, title, format, instanceId, assertions, actions, ingredients, signature, aiGenerated }]
+     *   activeManifest: 最後のマニフェスト (画像そのもののマニフェスト) のラベル
+     */
+    parseC2PA(bytes) {
+        const c2pa = { manifests: [], activeManifest: null, aiGenerated: false, error: null };
+
+        try {
+            const dataView = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+            const [store] = this.readISOBoxes(dataView, 0, bytes.length).map(box => this.readJUMBFBox(dataView, box));
+            if (!store || store.label !== 'c2pa') {
+                throw new Error('C2PA manifest store not found');
+            }
+            for (const box of store.boxes) {
+                if (box.type === 'jumb') c2pa.manifests.push(this.readC2PAManifest(box));
+            }
+        } catch (error) {
+            c2pa.error = error.message;
+        }
+
+        const active = c2pa.manifests[c2pa.manifests.length - 1];
+        if (active) {
+            active.active = true;
+            c2pa.activeManifest = active.label;
+        }
+        c2pa.aiGenerated = c2pa.manifests.some(manifest => manifest.aiGenerated);
+        return c2pa;
+    }
+
+    /**
+     * JUMBFのボックスを読み取る
+     * スーパーボックス (jumb) は説明ボックス (jumd) のラベルと子のボックスを、それ以外は本体のバイト列を返す
+     * @param {DataView} dataView - JUMBF全体のDataView
+     * @param {Object} box - readISOBoxesが返したボックス
+     * @returns {Object} - { type, label, contentType, boxes } または { type, data }
+     */
+    readJUMBFBox(dataView, box) {
+        const size = dataView.getUint32(box.offset);
+        if (size > 1 && box.offset + size > box.end) {
+            throw new Error(`JUMBF box is truncated: ${box.type}`);
+        }
+
+        const data = new Uint8Array(dataView.buffer, dataView.byteOffset + box.start, box.end - box.start);
+        if (box.type !== 'jumb') return { type: box.type, data };
+
+        const [description, ...children] = this.readISOBoxes(dataView, box.start, box.end);
+        if (!description || description.type !== 'jumd' || description.end - description.start < 17) {
+            throw new Error('Invalid JUMBF description box');
+        }
+
+        // jumd: UUID (16バイト、先頭4バイトは "c2pa" "cbor" などの種類) + トグル (1バイト) + ラベル (NUL終端)
+        const contentType = this.readString(dataView, description.start, 4);
+        const toggles = dataView.getUint8(description.start + 16);
+        let label = '';
+        if (toggles & 0x02) {
+            const labelBytes = new Uint8Array(dataView.buffer, dataView.byteOffset + description.start + 17, description.end - description.start - 17);
+            const end = labelBytes.indexOf(0);
+            label = new TextDecoder('utf-8').decode(end >= 0 ? labelBytes.subarray(0, end) : labelBytes);
+        }
+
+        return { type: 'jumb', label, contentType, boxes: children.map(child => this.readJUMBFBox(dataView, child)) };
+    }
+
+    /**
+     * JUMBFのスーパーボックスの内容 (cbor/jsonボックス) を読み取る
+     * @param {Object} superbox - readJUMBFBoxが返したスーパーボックス
+     * @returns {*} - 内容 (CBOR/JSON以外はバイト列、内容がない場合はnull)
+     */
+    readJUMBFContent(superbox) {
+        const content = superbox.boxes.find(box => box.type !== 'jumb');
+        if (!content) return null;
+        if (content.type === 'cbor') return this.decodeCBOR(content.data);
+        if (content.type === 'json') return JSON.parse(new TextDecoder('utf-8').decode(content.data));
+        return content.data;
+    }
+
+    /**
+     * C2PAのマニフェストを読み取る
+     * @param {Object} manifestBox - マニフェストのスーパーボックス
+     * @returns {Object} - マニフェスト (parseC2PA を参照)
+     */
+    readC2PAManifest(manifestBox) {
+        const manifest = {
+            label: manifestBox.label,
+            active: false,
+            claimGenerator: '',
+            title: '',
+            format: '',
+            instanceId: '',
+            assertions: [],
+            actions: [],
+            ingredients: [],
+            signature: null,
+            aiGenerated: false
+        };
+
+        for (const box of manifestBox.boxes) {
+            if (box.type !== 'jumb') continue;
+
+            if (box.label === 'c2pa.assertions') {
+                for (const assertion of box.boxes) {
+                    if (assertion.type !== 'jumb') continue;
+                    const data = this.readJUMBFContent(assertion);
+                    manifest.assertions.push({ label: assertion.label, data: this.toPlainC2PAValue(data) });
+                    this.readC2PAAssertion(assertion.label, data, manifest);
+                }
+            } else if (/^c2pa\.claim(\.v\d+)?$/.test(box.label)) {
+                const claim = this.readJUMBFContent(box) || {};
+                const info = [].concat(claim.claim_generator_info || [])
+                    .map(generator => [generator.name, generator.version].filter(value => value).join(' '))
+                    .filter(name => name);
+                manifest.claimGenerator = claim.claim_generator || info.join(', ');
+                manifest.title = claim['dc:title'] || '';
+                manifest.format = claim['dc:format'] || '';
+                manifest.instanceId = claim.instanceID || '';
+            } else if (box.label === 'c2pa.signature') {
+                manifest.signature = this.readC2PASignature(this.readJUMBFContent(box));
+            }
+        }
+
+        manifest.aiGenerated = manifest.actions.some(action => this.isAIDigitalSourceType(action.digitalSourceType));
+        return manifest;
+    }
+
+    /**
+     * アクション (c2pa.actions) と素材 (c2pa.ingredient) のアサーションをマニフェストに反映
+     * ラベルには版 (.v2) やインスタンス番号 (__1) が付くことがある
+     * @param {string} label - アサーションのラベル
+     * @param {*} data - アサーションの内容
+     * @param {Object} manifest - マニフェスト
+     */
+    readC2PAAssertion(label, data, manifest) {
+        if (!data || typeof data !== 'object') return;
+
+        if (/^c2pa\.actions(\.v\d+)?(__\d+)?$/.test(label)) {
+            for (const action of [].concat(data.actions || [])) {
+                const agent = action.softwareAgent;
+                manifest.actions.push({
+                    action: String(action.action || ''),
+                    digitalSourceType: String(action.digitalSourceType || ''),
+                    softwareAgent: agent && typeof agent === 'object' ? [agent.name, agent.version].filter(value => value).join(' ') : String(agent || ''),
+                    when: String(action.when || '')
+                });
+            }
+        } else if (/^c2pa\.ingredient(\.v\d+)?(__\d+)?$/.test(label)) {
+            manifest.ingredients.push({
+                title: String(data['dc:title'] || ''),
+                format: String(data['dc:format'] || ''),
+                relationship: String(data.relationship || '')
+            });
+        }
+    }
+
+    /**
+     * C2PAの署名 (COSE_Sign1) からアルゴリズムと署名者の証明書の情報を読み取る
+     * @param {*} cose - デコードしたCOSE_Sign1 ([protected, unprotected, payload, signature])
+     * @returns {Object|null} - { algorithm, subject, issuer, notBefore, notAfter, timestamped }
+     */
+    readC2PASignature(cose) {
+        if (!Array.isArray(cose) || cose.length < 4) return null;
+
+        const protectedHeader = cose[0] instanceof Uint8Array && cose[0].length > 0 ? this.decodeCBOR(cose[0]) : {};
+        const unprotectedHeader = cose[1] && typeof cose[1] === 'object' ? cose[1] : {};
+        const algorithms = { '-7': 'ES256', '-35': 'ES384', '-36': 'ES512', '-37': 'PS256', '-38': 'PS384', '-39': 'PS512', '-8': 'Ed25519' };
+        const algorithm = protectedHeader['1'];
+        // x5chain (ラベル33) は証明書1つのバイト列か、証明書の配列
+        const chain = [].concat(protectedHeader['33'] || unprotectedHeader['33'] || []);
+        const certificate = chain[0] instanceof Uint8Array ? this.readX509Certificate(chain[0]) : null;
+
+        return {
+            algorithm: algorithms[algorithm] || (algorithm !== undefined ? String(algorithm) : ''),
+            subject: certificate ? certificate.subject : '',
+            issuer: certificate ? certificate.issuer : '',
+            notBefore: certificate ? certificate.notBefore : '',
+            notAfter: certificate ? certificate.notAfter : '',
+            timestamped: 'sigTst' in unprotectedHeader || 'sigTst2' in unprotectedHeader
+        };
+    }
+
+    /**
+     * X.509証明書 (DER) から発行者、主体者、有効期間を読み取る
+     * @param {Uint8Array} der - 証明書
+     * @returns {Object|null} - { subject, issuer, notBefore, notAfter } (読み取れない場合はnull)
+     */
+    readX509Certificate(der) {
+        // DERの要素 (タグ、本体の開始位置と終了位置) を読み取る
+        const readElement = (offset) => {
+            const tag = der[offset];
+            let length = der[offset + 1];
+            let start = offset + 2;
+            if (length & 0x80) {
+                const count = length & 0x7F;
+                length = 0;
+                for (let i = 0; i < count; i++) length = length * 256 + der[start + i];
+                start += count;
+            }
+            if (tag === undefined || start + length > der.length) throw new Error('Invalid DER data');
+            return { tag, start, end: start + length };
+        };
+        const readChildren = (element) => {
+            const children = [];
+            for (let offset = element.start; offset < element.end; offset = children[children.length - 1].end) {
+                children.push(readElement(offset));
+            }
+            return children;
+        };
+        const decode = (element) => new TextDecoder('utf-8').decode(der.subarray(element.start, element.end));
+        const attributeNames = { '550403': 'CN', '55040a': 'O', '55040b': 'OU', '550406': 'C' };
+        const readName = (name) => readChildren(name).flatMap(set => readChildren(set)).map(attribute => {
+            const [type, value] = readChildren(attribute);
+            const oid = Array.from(der.subarray(type.start, type.end), byte => byte.toString(16).padStart(2, '0')).join('');
+            return attributeNames[oid] ? `${attributeNames[oid]}=${decode(value)}` : null;
+        }).filter(part => part).join(', ');
+        const readTime = (time) => {
+            // UTCTime (YYMMDDhhmmssZ) または GeneralizedTime (YYYYMMDDhhmmssZ)
+            let text = decode(time);
+            if (time.tag === 0x17) text = `${Number(text.slice(0, 2)) < 50 ? '20' : '19'}${text}`;
+            return `${text.slice(0, 4)}-${text.slice(4, 6)}-${text.slice(6, 8)} ${text.slice(8, 10)}:${text.slice(10, 12)}:${text.slice(12, 14)}`;
+        };
+
+        try {
+            const [tbs] = readChildren(readElement(0));
+            const fields = readChildren(tbs);
+            // version ([0]) は省略されることがある
+            const [, , issuer, validity, subject] = fields[0].tag === 0xA0 ? fields.slice(1) : fields;
+            const [notBefore, notAfter] = readChildren(validity);
+            return { subject: readName(subject), issuer: readName(issuer), notBefore: readTime(notBefore), notAfter: readTime(notAfter) };
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * CBORをデコード
+     * マップはオブジェクト (キーは文字列化)、バイト列はUint8Arrayになり、タグは無視する
+     * @param {Uint8Array} bytes - CBORデータ
+     * @returns {*} - デコードされた値
+     */
+    decodeCBOR(bytes) {
+        const dataView = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const BREAK = Symbol('break');
+        let offset = 0;
+
+        const readUint = (size) => {
+            if (offset + size > bytes.length) throw new Error('CBOR data is truncated');
+            const value = size === 1 ? dataView.getUint8(offset)
+                : size === 2 ? dataView.getUint16(offset)
+                    : size === 4 ? dataView.getUint32(offset)
+                        : Number(dataView.getBigUint64(offset));
+            offset += size;
+            return value;
+        };
+        const readLength = (info) => {
+            if (info < 24) return info;
+            if (info >= 24 && info <= 27) return readUint(1 << (info - 24));
+            if (info === 31) return -1; // 不定長
+            throw new Error(`Invalid CBOR length: ${info}`);
+        };
+        const readItems = (length, read) => {
+            if (length >= 0) {
+                for (let i = 0; i < length; i++) read(readItem());
+                return;
+            }
+            for (let item = readItem(); item !== BREAK; item = readItem()) read(item);
+        };
+        const readItem = () => {
+            const initial = readUint(1);
+            const major = initial >> 5;
+            const info = initial & 0x1F;
+
+            if (major === 7) {
+                switch (info) {
+                    case 20: return false;
+                    case 21: return true;
+                    case 22: return null;
+                    case 23: return undefined;
+                    case 25: {
+                        const half = readUint(2);
+                        const exponent = (half >> 10) & 0x1F;
+                        const fraction = half & 0x3FF;
+                        const value = exponent === 0 ? fraction * 2 ** -24
+                            : exponent === 31 ? (fraction ? NaN : Infinity)
+                                : (1 + fraction / 1024) * 2 ** (exponent - 15);
+                        return half & 0x8000 ? -value : value;
+                    }
+                    case 26:
+                    case 27: {
+                        const size = info === 26 ? 4 : 8;
+                        if (offset + size > bytes.length) throw new Error('CBOR data is truncated');
+                        const value = size === 4 ? dataView.getFloat32(offset) : dataView.getFloat64(offset);
+                        offset += size;
+                        return value;
+                    }
+                    case 31: return BREAK;
+                    default: return info < 24 ? info : readUint(1); // 単純値
+                }
+            }
+
+            const length = readLength(info);
+            switch (major) {
+                case 0: return length;
+                case 1: return -1 - length;
+                case 2:
+                case 3: {
+                    let data;
+                    if (length >= 0) {
+                        if (offset + length > bytes.length) throw new Error('CBOR data is truncated');
+                        data = bytes.subarray(offset, offset + length);
+                        offset += length;
+                    } else {
+                        // 不定長の文字列は同じ型の断片をつなげる
+                        const parts = [];
+                        readItems(-1, part => parts.push(major === 2 ? part : new TextEncoder().encode(part)));
+                        data = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+                        let position = 0;
+                        for (const part of parts) {
+                            data.set(part, position);
+                            position += part.length;
+                        }
+                    }
+                    return major === 2 ? data : new TextDecoder('utf-8').decode(data);
+                }
+                case 4: {
+                    const items = [];
+                    readItems(length, item => items.push(item));
+                    return items;
+                }
+                case 5: {
+                    const map = {};
+                    let key = null;
+                    readItems(length < 0 ? -1 : length * 2, item => {
+                        if (key === null) {
+                            key = String(item);
+                        } else {
+                            map[key] = item;
+                            key = null;
+                        }
+                    });
+                    return map;
+                }
+                default: return readItem(); // タグ (6) は中身だけを返す
+            }
+        };
+
+        return readItem();
+    }
+
+    /**
+     * アサーションの内容を表示・保存できる値に変換 (バイト列は長さのみ、または16進数にする)
+     * @param {*} value - デコードされた値
+     * @returns {*} - JSONに変換できる値
+     */
+    toPlainC2PAValue(value) {
+        if (value instanceof Uint8Array) {
+            return value.length <= 32
+                ? Array.from(value, byte => byte.toString(16).padStart(2, '0')).join('')
+                : `(${value.length} bytes)`;
+        }
+        if (Array.isArray(value)) return value.map(item => this.toPlainC2PAValue(item));
+        if (value && typeof value === 'object') {
+            return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, this.toPlainC2PAValue(item)]));
+        }
+        return value === undefined ? null : value;
+    }
+
+    /**
+     * IPTCのデジタルソースタイプが生成AIによる画像を示すかどうか
+     * @param {string} digitalSourceType - デジタルソースタイプのURI
+     * @returns {boolean} - 生成AIによる画像の場合はtrue
+     */
+    isAIDigitalSourceType(digitalSourceType) {
+        return AI_DIGITAL_SOURCE_TYPES.includes(String(digitalSourceType || '').split('/').pop());
+    }
+
+    /**
+     * C2PAのアクションとXMPのIptc4xmpExt:DigitalSourceTypeから、生成AIによる画像であることを示す記述を集める
+     * @param {Object} metadata - メタデータオブジェクト
+     * @returns {Array<{source: string, value: string}>} - 記述 (sourceは "C2PA" または "XMP")
+     */
+    getAIGeneratedMarkers(metadata) {
+        const markers = [];
+        for (const manifest of (metadata.c2pa && metadata.c2pa.manifests) || []) {
+            for (const action of manifest.actions) {
+                if (this.isAIDigitalSourceType(action.digitalSourceType)) {
+                    markers.push({ source: 'C2PA', value: action.digitalSourceType });
+                }
+            }
+        }
+        for (const property of (metadata.xmp && metadata.xmp.properties) || []) {
+            if (property.namespace === IPTC_EXTENSION_NAMESPACE && property.name === 'DigitalSourceType' && this.isAIDigitalSourceType(property.value)) {
+                markers.push({ source: 'XMP', value: property.value });
+            }
+        }
+        return markers;
+    }
+
+    /**
+     * テキストチャンクのキーワードと内容から生成ツールを判定し、共通形式に変換
+     * @param {Object} metadata - メタデータオブジェクト
+     * @returns {Object|null} - { id, name, params, unmapped } (判定できない場合はnull)
+     *   params: prompt, negative, seed, steps, sampler, cfg, model, size
+     *   unmapped: 共通形式に割り当てられなかった項目 [{ key, value }]
+     */
+    detectGenerator(metadata) {
+        const textChunks = this.getTextFields(metadata.textChunks);
+        const detectors = [
+            () => this.detectFooocus(textChunks),
+            () => this.detectSwarmUI(textChunks),
+            () => this.detectInvokeAI(textChunks),
+            () => this.detectNovelAI(textChunks),
+            () => this.detectEasyDiffusion(textChunks),
+            () => this.detectComfyUI(textChunks),
+            () => this.detectA1111(textChunks),
+            () => this.detectMidjourney(textChunks),
+            () => this.detectDrawThings(textChunks),
+            () => this.detectDallE(textChunks, metadata.c2pa),
+            () => this.detectSoftware(textChunks)
+        ];
+
+        for (const detect of detectors) {
+            const generator = detect();
+            if (!generator) continue;
+
+            const { width, height } = metadata.technicalInfo;
+            if (generator.params.size === undefined && width && height) {
+                generator.params.size = `${width}x${height}`;
+            }
+            return generator;
+        }
+
+        return null;
+    }
+
+    /**
+     * 生成ツール固有の項目を共通形式に割り当てる
+     * @param {string} id - 生成ツールID
+     * @param {string} name - 表示名
+     * @param {Object} source - 生成ツールが出力した項目
+     * @param {Object} mapping - 共通項目名から候補キー (文字列または配列) への対応
+     * @returns {Object} - { id, name, params, unmapped }
+     */
+    mapGeneratorFields(id, name, source, mapping) {
+        const params = {};
+        const usedKeys = new Set();
+
+        for (const [field, keys] of Object.entries(mapping)) {
+            for (const key of [].concat(keys)) {
+                const value = source[key];
+                if (value === undefined || value === null || value === '') continue;
+
+                params[field] = typeof value === 'object' ? JSON.stringify(value) : String(value);
+                usedKeys.add(key);
+                break;
+            }
+        }
+
+        const unmapped = Object.entries(source)
+            .filter(([key, value]) => !usedKeys.has(key) && value !== undefined && value !== null && value !== '')
+            .map(([key, value]) => ({ key, value: typeof value === 'object' ? JSON.stringify(value) : String(value) }));
+
+        return { id, name, params, unmapped };
+    }
+
+    /**
+     * JSON文字列を解析 (オブジェクト以外や解析失敗時はnull)
+     * @param {string} [text] - JSON文字列
+     * @returns {Object|null} - 解析結果
+     */
+    parseJsonObject(text) {
+        if (!text) return null;
+
+        try {
+            const value = JSON.parse(text);
+            return value && typeof value === 'object' && !Array.isArray(value) ? value : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * 幅と高さの項目を "幅x高さ" の1項目にまとめる
+     * @param {Object} source - 生成ツールが出力した項目
+     * @param {string} widthKey - 幅のキー
+     * @param {string} heightKey - 高さのキー
+     * @returns {Object} - sizeを追加し幅と高さを除いたコピー
+     */
+    combineSizeFields(source, widthKey, heightKey) {
+        const result = { ...source };
+        if (source[widthKey] !== undefined && source[heightKey] !== undefined) {
+            result.size = `${source[widthKey]}x${source[heightKey]}`;
+            delete result[widthKey];
+            delete result[heightKey];
+        }
+        return result;
+    }
+
+    /**
+     * Fooocus (fooocus_scheme) を判定
+     * @param {Object} textChunks - キーワードごとのテキスト (getTextFieldsの結果)
+     * @returns {Object|null} - 判定結果
+     */
+    detectFooocus(textChunks) {
+        if (!textChunks.fooocus_scheme) return null;
+
+        if (textChunks.fooocus_scheme === 'a1111' && textChunks.parameters) {
+            const generator = this.mapA1111Parameters(textChunks.parameters);
+            return { ...generator, id: 'fooocus', name: 'Fooocus' };
+        }
+
+        const source = this.parseJsonObject(textChunks.parameters) || {};
+        const resolution = String(source.resolution || source.Resolution || '').match(/(\d+)\D+(\d+)/);
+        const normalized = { ...source };
+        if (resolution) {
+            normalized.size = `${resolution[1]}x${resolution[2]}`;
+            delete normalized.resolution;
+            delete normalized.Resolution;
+        }
+
+        return this.mapGeneratorFields('fooocus', 'Fooocus', normalized, {
+            prompt: ['prompt', 'Prompt'],
+            negative: ['negative_prompt', 'Negative Prompt'],
+            seed: ['seed', 'Seed'],
+            steps: ['steps', 'Steps'],
+            sampler: ['sampler', 'Sampler'],
+            cfg: ['guidance_scale', 'Guidance Scale'],
+            model: ['base_model', 'Base Model'],
+            size: 'size'
+        });
+    }
+
+    /**
+     * SwarmUI (sui_image_params) を判定
+     * @param {Object} textChunks - キーワードごとのテキスト (getTextFieldsの結果)
+     * @returns {Object|null} - 判定結果
+     */
+    detectSwarmUI(textChunks) {
+        const data = this.parseJsonObject(textChunks.parameters);
+        if (!data || !data.sui_image_params) return null;
+
+        const source = this.combineSizeFields(data.sui_image_params, 'width', 'height');
+        return this.mapGeneratorFields('swarmui', 'SwarmUI', source, {
+            prompt: 'prompt',
+            negative: 'negativeprompt',
+            seed: 'seed',
+            steps: 'steps',
+            sampler: 'sampler',
+            cfg: 'cfgscale',
+            model: 'model',
+            size: 'size'
+        });
+    }
+
+    /**
+     * InvokeAI (invokeai_metadata / sd-metadata / Dream) を判定
+     * @param {Object} textChunks - キーワードごとのテキスト (getTextFieldsの結果)
+     * @returns {Object|null} - 判定結果
+     */
+    detectInvokeAI(textChunks) {
+        const current = this.parseJsonObject(textChunks.invokeai_metadata);
+        if (current) {
+            const source = this.combineSizeFields(current, 'width', 'height');
+            if (source.model && typeof source.model === 'object') {
+                source.model = source.model.model_name || source.model.name || source.model;
+            }
+            return this.mapGeneratorFields('invokeai', 'InvokeAI', source, {
+                prompt: 'positive_prompt',
+                negative: 'negative_prompt',
+                seed: 'seed',
+                steps: 'steps',
+                sampler: 'scheduler',
+                cfg: 'cfg_scale',
+                model: 'model',
+                size: 'size'
+            });
+        }
+
+        // InvokeAI 2.x
+        const legacy = this.parseJsonObject(textChunks['sd-metadata']);
+        if (legacy) {
+            const { image, ...rest } = legacy;
+            const source = this.combineSizeFields({ ...rest, ...(image || {}) }, 'width', 'height');
+            if (Array.isArray(source.prompt)) {
+                source.prompt = source.prompt.map(item => item.prompt).join(' ');
+            }
+            return this.mapGeneratorFields('invokeai', 'InvokeAI', source, {
+                prompt: 'prompt',
+                seed: 'seed',
+                steps: 'steps',
+                sampler: 'sampler',
+                cfg: 'cfg_scale',
+                model: ['model_weights', 'model'],
+                size: 'size'
+            });
+        }
+
+        // InvokeAI 1.x (Dream): "prompt" -s 50 -S 42 -W 512 -H 512 -C 7.5 -A k_lms
+        if (textChunks.Dream) {
+            const match = textChunks.Dream.match(/^"([\s\S]*)"\s*(.*)$/);
+            const source = { prompt: match ? match[1] : textChunks.Dream };
+            for (const [, flag, value] of (match ? match[2] : '').matchAll(/-(\w+)\s+(\S+)/g)) {
+                source[flag] = value;
+            }
+            return this.mapGeneratorFields('invokeai', 'InvokeAI', this.combineSizeFields(source, 'W', 'H'), {
+                prompt: 'prompt',
+                seed: 'S',
+                steps: 's',
+                sampler: 'A',
+                cfg: 'C',
+                size: 'size'
+            });
+        }
+
+        return null;
+    }
+
+    /**
+     * NovelAI (Comment JSON + Software/Source) を判定
+     * @param {Object} textChunks - キーワードごとのテキスト (getTextFieldsの結果)
+     * @returns {Object|null} - 判定結果
+     */
+    detectNovelAI(textChunks) {
+        const comment = this.parseJsonObject(textChunks.Comment);
+        const isNovelAI = (textChunks.Software || '').startsWith('NovelAI')
+            || (comment !== null && 'uc' in comment && 'scale' in comment);
+        if (!isNovelAI) return null;
+
+        const source = this.combineSizeFields(comment || {}, 'width', 'height');
+        if (source.prompt === undefined && textChunks.Description) {
+            source.prompt = textChunks.Description;
+        }
+        if (textChunks.Source) {
+            source.Source = textChunks.Source;
+        }
+
+        return this.mapGeneratorFields('novelai', 'NovelAI', source, {
+            prompt: 'prompt',
+            negative: 'uc',
+            seed: 'seed',
+            steps: 'steps',
+            sampler: 'sampler',
+            cfg: 'scale',
+            model: 'Source',
+            size: 'size'
+        });
+    }
+
+    /**
+     * Easy Diffusion (項目ごとのテキストチャンク) を判定
+     * @param {Object} textChunks - キーワードごとのテキスト (getTextFieldsの結果)
+     * @returns {Object|null} - 判定結果
+     */
+    detectEasyDiffusion(textChunks) {
+        if (!('use_stable_diffusion_model' in textChunks) && !('num_inference_steps' in textChunks)) return null;
+
+        const source = this.combineSizeFields(textChunks, 'width', 'height');
+        return this.mapGeneratorFields('easydiffusion', 'Easy Diffusion', source, {
+            prompt: 'prompt',
+            negative: 'negative_prompt',
+            seed: 'seed',
+            steps: 'num_inference_steps',
+            sampler: 'sampler_name',
+            cfg: 'guidance_scale',
+            model: 'use_stable_diffusion_model',
+            size: 'size'
+        });
+    }
+
+    /**
+     * ComfyUI (prompt/workflow) を判定
+     * @param {Object} textChunks - キーワードごとのテキスト (getTextFieldsの結果)
+     * @returns {Object|null} - 判定結果
+     */
+    detectComfyUI(textChunks) {
+        const comfyui = this.parseComfyUIMetadata(textChunks);
+        if (!comfyui) return null;
+
+        const { summary } = comfyui;
+        const [sampler, ...otherSamplers] = summary.samplers;
+        const [checkpoint, ...otherCheckpoints] = summary.checkpoints;
+        const source = {
+            prompt: summary.positivePrompts.map(prompt => prompt.text).join('\n'),
+            negative: summary.negativePrompts.map(prompt => prompt.text).join('\n'),
+            model: checkpoint && checkpoint.name
+        };
+
+        if (sampler) {
+            Object.assign(source, {
+                seed: sampler.seed,
+                steps: sampler.steps,
+                sampler: sampler.sampler,
+                cfg: sampler.cfg,
+                scheduler: sampler.scheduler,
+                denoise: sampler.denoise
+            });
+        }
+        if (!source.prompt && summary.otherPrompts.length > 0) {
+            source.otherPrompts = summary.otherPrompts.map(prompt => prompt.text).join('\n');
+        }
+        summary.loras.forEach(lora => {
+            source[`LoRA #${lora.id}`] = `${lora.name} (${lora.strengthModel}, ${lora.strengthClip})`;
+        });
+        otherSamplers.forEach(other => {
+            source[`${other.classType} #${other.id}`] = `seed=${other.seed}, steps=${other.steps}, cfg=${other.cfg}, ${other.sampler}`;
+        });
+        otherCheckpoints.forEach(other => {
+            source[`${other.classType} #${other.id}`] = other.name;
+        });
+
+        return this.mapGeneratorFields('comfyui', 'ComfyUI', source, {
+            prompt: 'prompt',
+            negative: 'negative',
+            seed: 'seed',
+            steps: 'steps',
+            sampler: 'sampler',
+            cfg: 'cfg',
+            model: 'model'
+        });
+    }
+
+    /**
+     * AUTOMATIC1111系 (parametersテキスト) を判定
+     * @param {Object} textChunks - キーワードごとのテキスト (getTextFieldsの結果)
+     * @returns {Object|null} - 判定結果
+     */
+    detectA1111(textChunks) {
+        if (!textChunks.parameters || this.parseJsonObject(textChunks.parameters)) return null;
+        return this.mapA1111Parameters(textChunks.parameters);
+    }
+
+    /**
+     * A1111形式のparametersテキストを共通形式に変換
+     * Versionなどの設定項目からForge/SD.Next/Civitaiを区別する
+     * @param {string} text - parametersチャンクの値
+     * @returns {Object} - 判定結果
+     */
+    mapA1111Parameters(text) {
+        const parsed = this.parseA1111Parameters(text);
+        const source = { prompt: parsed.positivePrompt, negative: parsed.negativePrompt };
+        for (const setting of parsed.settings) {
+            source[setting.key] = setting.value;
+        }
+
+        let id = 'a1111';
+        let name = 'AUTOMATIC1111';
+        if (/^f\d/.test(source.Version || '')) {
+            [id, name] = ['forge', 'Forge'];
+        } else if (source.App === 'SD.Next') {
+            [id, name] = ['sdnext', 'SD.Next'];
+        } else if (source['Civitai resources'] !== undefined) {
+            [id, name] = ['civitai', 'Civitai'];
+        }
+
+        return this.mapGeneratorFields(id, name, source, {
+            prompt: 'prompt',
+            negative: 'negative',
+            seed: 'Seed',
+            steps: 'Steps',
+            sampler: 'Sampler',
+            cfg: 'CFG scale',
+            model: 'Model',
+            size: 'Size'
+        });
+    }
+
+    /**
+     * Midjourney/Niji (Description + Author) を判定
+     * @param {Object} textChunks - キーワードごとのテキスト (getTextFieldsの結果)
+     * @returns {Object|null} - 判定結果
+     */
+    detectMidjourney(textChunks) {
+        const description = textChunks.Description;
+        if (!description || !textChunks.Author || !/(--(v|niji)\b|Job ID:)/.test(description)) return null;
+
+        const jobMatch = description.match(/\s*Job ID:\s*(\S+)/);
+        const body = jobMatch ? description.slice(0, jobMatch.index) : description;
+        const optionIndex = body.search(/\s--\w/);
+        const source = {
+            prompt: (optionIndex === -1 ? body : body.slice(0, optionIndex)).trim(),
+            Author: textChunks.Author
+        };
+        if (jobMatch) {
+            source['Job ID'] = jobMatch[1];
+        }
+
+        const options = optionIndex === -1 ? '' : body.slice(optionIndex);
+        for (const [, option, value] of options.matchAll(/--(\w+)(?:\s+([^-\s][^\s]*))?/g)) {
+            source[`--${option}`] = value === undefined ? '' : value;
+        }
+
+        const isNiji = '--niji' in source;
+        const version = isNiji ? source['--niji'] : source['--v'];
+        source.model = `${isNiji ? 'Niji' : 'Midjourney'}${version ? ` ${version}` : ''}`;
+        delete source[isNiji ? '--niji' : '--v'];
+
+        return this.mapGeneratorFields(isNiji ? 'niji' : 'midjourney', isNiji ? 'Niji・journey' : 'Midjourney', source, {
+            prompt: 'prompt',
+            negative: '--no',
+            seed: '--seed',
+            model: 'model'
+        });
+    }
+
+    /**
+     * Draw Things (XMPのexif:UserComment JSON) を判定
+     * @param {Object} textChunks - キーワードごとのテキスト (getTextFieldsの結果)
+     * @returns {Object|null} - 判定結果
+     */
+    detectDrawThings(textChunks) {
+        const xmp = textChunks['XML:com.adobe.xmp'];
+        if (!xmp || !xmp.includes('Draw Things')) return null;
+
+        const match = xmp.match(/<exif:UserComment>[\s\S]*?<rdf:li[^>]*>([\s\S]*?)<\/rdf:li>/);
+        const source = (match && this.parseJsonObject(this.decodeXmlEntities(match[1]))) || {};
+
+        return this.mapGeneratorFields('drawthings', 'Draw Things', source, {
+            prompt: 'c',
+            negative: 'uc',
+            seed: 'seed',
+            steps: 'steps',
+            sampler: 'sampler',
+            cfg: 'scale',
+            model: 'model',
+            size: 'size'
+        });
+    }
+
+    /**
+     * DALL·E を判定
+     * プロンプトなどの本文に名前が含まれるだけの画像は対象外とし、次のいずれかの場合のみDALL·Eとする
+     *   - 有効なC2PAマニフェストのclaim_generatorまたはアクションのsoftwareAgentがOpenAIの製品 (ChatGPT、OpenAI API、DALL·E)
+     *   - C2PAの署名者の証明書の組織 (O) がOpenAI
+     *   - Softwareチャンクの値がDALL·EまたはOpenAIで始まる
+     * @param {Object} textChunks - キーワードごとのテキスト (getTextFieldsの結果)
+     * @param {Object|null} c2pa - C2PAのマニフェストストア (parseC2PAの結果)
+     * @returns {Object|null} - 判定結果
+     */
+    detectDallE(textChunks, c2pa) {
+        const product = /^(ChatGPT|OpenAI[-\s]?API|DALL[·\-‧]?E)\b/i;
+        const manifest = c2pa ? c2pa.manifests.find(candidate => candidate.active) : null;
+        const agent = manifest && manifest.actions.map(action => action.softwareAgent).find(name => product.test(name));
+        const signedByOpenAI = Boolean(manifest && manifest.signature && /(^|,\s*)O=OpenAI(,|$)/.test(manifest.signature.subject));
+        const software = /^(DALL[·\-‧]?E|OpenAI)\b/i.test(textChunks.Software || '');
+
+        const fromC2PA = Boolean(manifest && (product.test(manifest.claimGenerator) || agent || signedByOpenAI));
+        if (!fromC2PA && !software) return null;
+
+        const source = {};
+        if (textChunks.Software) source.Software = textChunks.Software;
+        if (manifest && manifest.claimGenerator) source.C2PA = manifest.claimGenerator;
+        if (agent) source.softwareAgent = agent;
+        if (signedByOpenAI) source.signer = manifest.signature.subject;
+
+        return this.mapGeneratorFields('dalle', 'DALL·E', source, {});
+    }
+
+    /**
+     * Softwareチャンクのみを持つ画像を判定
+     * @param {Object} textChunks - キーワードごとのテキスト (getTextFieldsの結果)
+     * @returns {Object|null} - 判定結果
+     */
+    detectSoftware(textChunks) {
+        if (!textChunks.Software) return null;
+        return this.mapGeneratorFields('other', textChunks.Software, {}, {});
+    }
+
+    /**
+     * XMLの文字参照をデコード
+     * 範囲外の数値文字参照 (&#x110000; など) はそのまま残す
+     * @param {string} text - XMLテキスト
+     * @returns {string} - デコードされたテキスト
+     */
+    decodeXmlEntities(text) {
+        const entities = { amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'' };
+        return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (entity, name) => {
+            if (name[0] === '#') {
+                const code = name[1] === 'x' || name[1] === 'X' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+                return code <= 0x10FFFF ? String.fromCodePoint(code) : entity;
+            }
+            return entities[name] !== undefined ? entities[name] : entity;
+        });
+    }
+}
+
+/**
+ * 画像データからメタデータを解析 (MetadataParser#parse の省略形)
+ * @param {ArrayBuffer|Uint8Array|Blob} input - 画像データ
+ * @param {Object} [options] - { headerOnly }
+ * @returns {Promise<Object>} - 解析されたメタデータ
+ */
+export function parseMetadata(input, options) {
+    return new MetadataParser().parse(input, options);
+}
\ No newline at end of file
@@ -0,0 +1,58 @@
+/**
+ * PNGinfo Viewer - メタデータ解析用 Web Worker
+ * 大量の画像でも画面が固まらないよう、ファイルの解析と縮小画像の作成を別スレッドで行う
+ * metadata-parser.js を import するため、module workerとして起動する
+ */
+
+import { MetadataParser } from './metadata-parser.js';
+
+const parser = new MetadataParser();
+
+/**
+ * メタデータを解析
+ * テキストがない可逆形式の画像は画素に埋め込まれたステルス情報も探す
+ * @param {File} file - 画像ファイル
+ * @param {boolean} headerOnly - PNGの最初のIDATまでのみを読むかどうか
+ * @returns {Promise<Object>} - 解析されたメタデータ
+ */
+async function parseMetadata(file, headerOnly) {
+    const metadata = await parser.parseFile(file, headerOnly);
+
+    // 先頭のみを解析した場合は画素を読まないため、全体の解析時に探す
+    const lossless = metadata.technicalInfo.format === 'PNG' || metadata.technicalInfo.lossless;
+    if (!metadata.partial && lossless && metadata.textChunks.length === 0) {
+        await parser.extractStealthMetadata(file, metadata);
+    }
+
+    return metadata;
+}
+
+/**
+ * 縮小画像を作成
+ * @param {File} file - 画像ファイル
+ * @param {number} maxSize - 長辺の最大ピクセル数
+ * @returns {Promise<Blob>} - 縮小画像 (WebP)
+ */
+async function createThumbnail(file, maxSize) {
+    const bitmap = await createImageBitmap(file);
+    const scale = Math.min(1, maxSize / Math.max(bitmap.width, bitmap.height));
+    const canvas = new OffscreenCanvas(Math.max(1, Math.round(bitmap.width * scale)), Math.max(1, Math.round(bitmap.height * scale)));
+    canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+    bitmap.close();
+
+    return canvas.convertToBlob({ type: 'image/webp', quality: 0.8 });
+}
+
+// { id, type: 'parse' | 'thumbnail', file, headerOnly, maxSize } を受け取り、{ id, result } または { id, error } を返す
+self.addEventListener('message', async (event) => {
+    const { id, type, file, headerOnly, maxSize } = event.data;
+
+    try {
+        const result = type === 'thumbnail'
+            ? await createThumbnail(file, maxSize)
+            : await parseMetadata(file, headerOnly);
+        self.postMessage({ id, result });
+    } catch (error) {
+        self.postMessage({ id, error: error.message });
+    }
+});
\ No newline at end of file
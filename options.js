@@ -0,0 +1,95 @@
+/**
+ * PNGinfo Viewer - オプションページ
+ * 表示言語、最初に表示するタブ、テーマ、テキストチャンクの非表示・先頭固定のキーワードを chrome.storage.local に保存する
+ * 変更はすぐに保存され、開いているビューアにも反映される
+ */
+
+import { I18n } from './i18n.js';
+
+class OptionsPage {
+    constructor() {
+        this.i18n = new I18n();
+        this.form = document.getElementById('optionsForm');
+        this.statusTimer = null;
+        this.init();
+    }
+
+    /**
+     * 初期化処理
+     */
+    async init() {
+        const settings = await chrome.storage.local.get({
+            uiLanguage: 'auto',
+            defaultTab: 'text',
+            theme: 'dark',
+            hiddenKeywords: [],
+            pinnedKeywords: []
+        });
+
+        this.form.uiLanguage.value = settings.uiLanguage;
+        this.form.defaultTab.value = settings.defaultTab;
+        this.form.theme.value = settings.theme;
+        this.form.hiddenKeywords.value = settings.hiddenKeywords.join('\n');
+        this.form.pinnedKeywords.value = settings.pinnedKeywords.join('\n');
+        await this.applyLanguageAndTheme();
+
+        this.form.addEventListener('change', () => this.save());
+        this.form.addEventListener('submit', (e) => e.preventDefault());
+    }
+
+    /**
+     * 選択中の表示言語とテーマをこのページに反映
+     */
+    async applyLanguageAndTheme() {
+        await this.i18n.load();
+        this.i18n.apply();
+        document.title = `PNGinfo Viewer - ${this.i18n.t('optionsTitle')}`;
+        document.documentElement.dataset.theme = this.form.theme.value;
+    }
+
+    /**
+     * 1行に1つ書かれたキーワードを配列にする (空行と重複は除く)
+     * @param {string} text - テキストエリアの内容
+     * @returns {string[]} - キーワード
+     */
+    parseKeywords(text) {
+        return [...new Set(text.split('\n').map(line => line.trim()).filter(line => line))];
+    }
+
+    /**
+     * フォームの内容を保存
+     */
+    async save() {
+        try {
+            await chrome.storage.local.set({
+                uiLanguage: this.form.uiLanguage.value,
+                defaultTab: this.form.defaultTab.value,
+                theme: this.form.theme.value,
+                hiddenKeywords: this.parseKeywords(this.form.hiddenKeywords.value),
+                pinnedKeywords: this.parseKeywords(this.form.pinnedKeywords.value)
+            });
+            await this.applyLanguageAndTheme();
+            this.showStatus(this.i18n.t('optionsSaved'));
+        } catch (error) {
+            console.error('Failed to save options:', error);
+            this.showStatus(this.i18n.t('optionsSaveFailed'));
+        }
+    }
+
+    /**
+     * 保存結果を一定時間表示
+     * @param {string} message - 表示するメッセージ
+     */
+    showStatus(message) {
+        const status = document.getElementById('optionsStatus');
+        status.textContent = message;
+        clearTimeout(this.statusTimer);
+        this.statusTimer = setTimeout(() => {
+            status.textContent = '';
+        }, 2000);
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    new OptionsPage();
+});
\ No newline at end of file
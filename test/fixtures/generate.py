@@ -0,0 +1,195 @@
+"""
+PNGinfo Viewer - テスト用フィクスチャの生成
+test/fixtures のPNGを作り直す。実行: python3 test/fixtures/generate.py
+
+実際の生成ツールの出力は配布条件が確認できないため同梱せず、各ツールの書き出し方 (Pillowの PngInfo による
+tEXtチャンクの位置、キーワード、JSONの書式) に合わせて作る。画素は小さなグラデーションに置き換えている。
+c2pa.png の署名者の証明書は c2pa-signer.der (テスト用の自己署名証明書) を使う。
+"""
+
+import zlib, struct, json, os
+D = os.path.dirname(os.path.abspath(__file__))
+def chunk(t, d, crc=None):
+    c = zlib.crc32(t + d) & 0xffffffff if crc is None else crc
+    return struct.pack('>I', len(d)) + t + d + struct.pack('>I', c)
+SIG = b'\x89PNG\r\n\x1a\n'
+def ihdr(w=2, h=2, depth=8, ct=2):
+    return chunk(b'IHDR', struct.pack('>IIBBBBB', w, h, depth, ct, 0, 0, 0))
+def idat(w=2, h=2, bpp=3):
+    raw = b''.join(b'\x00' + bytes([(x * 97 + y * 31 + c * 7) & 255 for x in range(w) for c in range(bpp)]) for y in range(h))
+    return chunk(b'IDAT', zlib.compress(raw))
+IEND = chunk(b'IEND', b'')
+def write(name, data):
+    open(os.path.join(D, name), 'wb').write(data)
+
+a1111 = ('masterpiece, 1girl, cherry blossoms\n'
+         'Negative prompt: lowres, bad anatomy\n'
+         'Steps: 28, Sampler: DPM++ 2M Karras, CFG scale: 7, Seed: 1234567890, Size: 2x2, '
+         'Model hash: 6ce0161689, Model: v1-5-pruned-emaonly, Version: v1.10.1')
+a1111_png = SIG + ihdr() + chunk(b'tEXt', b'parameters\x00' + a1111.encode('latin-1')) + idat() + IEND
+write('a1111.png', a1111_png)
+
+prompt = {
+    '4': {'class_type': 'CheckpointLoaderSimple', 'inputs': {'ckpt_name': 'sd_xl_base_1.0.safetensors'}},
+    '6': {'class_type': 'CLIPTextEncode', 'inputs': {'text': 'a lighthouse at dusk', 'clip': ['4', 1]}},
+    '7': {'class_type': 'CLIPTextEncode', 'inputs': {'text': 'blurry', 'clip': ['4', 1]}},
+    '5': {'class_type': 'EmptyLatentImage', 'inputs': {'width': 1024, 'height': 1024, 'batch_size': 1}},
+    '3': {'class_type': 'KSampler', 'inputs': {'seed': 42, 'steps': 20, 'cfg': 8, 'sampler_name': 'euler', 'scheduler': 'normal', 'denoise': 1,
+                                              'model': ['4', 0], 'positive': ['6', 0], 'negative': ['7', 0], 'latent_image': ['5', 0]}},
+    '8': {'class_type': 'VAEDecode', 'inputs': {'samples': ['3', 0], 'vae': ['4', 2]}},
+    '9': {'class_type': 'SaveImage', 'inputs': {'filename_prefix': 'ComfyUI', 'images': ['8', 0]}}
+}
+workflow = {'last_node_id': 9, 'last_link_id': 9, 'nodes': [{'id': 3, 'type': 'KSampler', 'pos': [0, 0], 'size': [300, 200]}], 'links': [], 'version': 0.4}
+comfy_png = (SIG + ihdr() + chunk(b'tEXt', b'prompt\x00' + json.dumps(prompt).encode())
+             + chunk(b'tEXt', b'workflow\x00' + json.dumps(workflow).encode()) + idat() + IEND)
+write('comfyui.png', comfy_png)
+
+# iTXt (圧縮・言語タグ付き) と zTXt
+itxt = (b'Description\x00' + b'\x01\x00' + b'ja\x00' + '説明'.encode() + b'\x00'
+        + zlib.compress('桜の木の下で'.encode()))
+ztxt = b'Comment\x00\x00' + zlib.compress(b'compressed comment')
+write('international-text.png', SIG + ihdr() + chunk(b'iTXt', itxt) + chunk(b'zTXt', ztxt) + idat() + IEND)
+
+# 壊れたPNG
+write('bad-signature.png', b'\x89PNG\r\n\x1a\x00' + a1111_png[8:])
+text = chunk(b'tEXt', b'parameters\x00' + a1111.encode('latin-1'))
+bad = bytearray(text); bad[-1] ^= 0xFF
+write('bad-crc.png', SIG + ihdr() + bytes(bad) + idat() + IEND)
+write('truncated.png', a1111_png[:len(a1111_png) - len(IEND) - 20])
+write('missing-iend.png', SIG + ihdr() + idat())
+write('misordered.png', SIG + ihdr() + idat() + chunk(b'gAMA', struct.pack('>I', 45455)) + IEND + b'trailing')
+
+# XMP と C2PA (caBX) を含むPNG
+def cbor(v):
+    def head(major, n):
+        if n < 24: return bytes([major << 5 | n])
+        for info, size in ((24, 1), (25, 2), (26, 4), (27, 8)):
+            if n < 256 ** size: return bytes([major << 5 | info]) + n.to_bytes(size, 'big')
+    if v is None: return b'\xf6'
+    if v is True: return b'\xf5'
+    if v is False: return b'\xf4'
+    if isinstance(v, int): return head(0, v) if v >= 0 else head(1, -1 - v)
+    if isinstance(v, float): return b'\xfb' + struct.pack('>d', v)
+    if isinstance(v, bytes): return head(2, len(v)) + v
+    if isinstance(v, str): e = v.encode(); return head(3, len(e)) + e
+    if isinstance(v, list): return head(4, len(v)) + b''.join(cbor(x) for x in v)
+    if isinstance(v, dict): return head(5, len(v)) + b''.join(cbor(k) + cbor(x) for k, x in v.items())
+    if isinstance(v, tuple): return head(6, v[0]) + cbor(v[1])  # (tag, value)
+def box(t, d): return struct.pack('>I', 8 + len(d)) + t + d
+def superbox(kind, label, *content):
+    uuid = kind + bytes.fromhex('0011001080000000aa00389b71')[:12]
+    return box(b'jumb', box(b'jumd', uuid + b'\x03' + label.encode() + b'\x00') + b''.join(content))
+ai_type = 'http://cv.iptc.org/newscodes/digitalsourcetype/trainedAlgorithmicMedia'
+actions = {'actions': [{'action': 'c2pa.created', 'digitalSourceType': ai_type,
+                        'softwareAgent': {'name': 'Example Image Generator', 'version': '2.1'}, 'when': '2024-05-01T12:00:00Z'}]}
+claim = {'claim_generator': 'Example Image Generator/2.1 c2pa-rs/0.32.0', 'dc:title': 'lighthouse.png', 'dc:format': 'image/png',
+         'instanceID': 'xmp:iid:3f2a5c1e-0000-4000-8000-000000000001', 'alg': 'sha256',
+         'assertions': [{'url': 'self#jumbf=c2pa.assertions/c2pa.actions', 'hash': bytes(32)}], 'signature': 'self#jumbf=c2pa.signature'}
+cert = open(os.path.join(D, 'c2pa-signer.der'), 'rb').read()
+cose = (18, [cbor({1: -7}), {33: [cert], 'sigTst': {'tstTokens': [{'val': b'\x00' * 8}]}}, None, b'\x5a' * 64])
+manifest = superbox(b'c2ma', 'urn:uuid:3f2a5c1e-0000-4000-8000-000000000001',
+    superbox(b'c2as', 'c2pa.assertions',
+        superbox(b'cbor', 'c2pa.actions', box(b'cbor', cbor(actions))),
+        superbox(b'json', 'stds.schema-org.CreativeWork', box(b'json', json.dumps({'@type': 'CreativeWork', 'author': [{'@type': 'Organization', 'name': 'Example'}]}).encode())),
+        superbox(b'cbor', 'c2pa.hash.data', box(b'cbor', cbor({'name': 'jumbf manifest', 'alg': 'sha256', 'hash': bytes(range(32)), 'exclusions': [{'start': 33, 'length': 1234}]})))),
+    superbox(b'c2cl', 'c2pa.claim', box(b'cbor', cbor(claim))),
+    superbox(b'c2cs', 'c2pa.signature', box(b'cbor', cbor(cose))))
+store = superbox(b'c2pa', 'c2pa', manifest)
+xmp = '''<?xpacket begin="﻿" id="W5M0MpCehiHzreSzNTczkc9d"?>
+<x:xmpmeta xmlns:x="adobe:ns:meta/">
+ <rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">
+  <rdf:Description rdf:about="" xmlns:xmp="http://ns.adobe.com/xap/1.0/" xmlns:dc="http://purl.org/dc/elements/1.1/"
+    xmlns:Iptc4xmpExt="http://iptc.org/std/Iptc4xmpExt/2008-02-29/" xmlns:xmpMM="http://ns.adobe.com/xap/1.0/mm/"
+    xmlns:stEvt="http://ns.adobe.com/xap/1.0/sType/ResourceEvent#"
+    xmp:CreatorTool="Example Image Generator 2.1" Iptc4xmpExt:DigitalSourceType="http://cv.iptc.org/newscodes/digitalsourcetype/trainedAlgorithmicMedia">
+   <dc:title><rdf:Alt><rdf:li xml:lang="x-default">Lighthouse &amp; dusk</rdf:li></rdf:Alt></dc:title>
+   <dc:subject><rdf:Bag><rdf:li>lighthouse</rdf:li><rdf:li>dusk</rdf:li></rdf:Bag></dc:subject>
+   <xmpMM:History>
+    <rdf:Seq>
+     <rdf:li rdf:parseType="Resource"><stEvt:action>created</stEvt:action><stEvt:softwareAgent>Example Image Generator 2.1</stEvt:softwareAgent></rdf:li>
+    </rdf:Seq>
+   </xmpMM:History>
+  </rdf:Description>
+ </rdf:RDF>
+</x:xmpmeta>
+<?xpacket end="w"?>'''
+itxt_xmp = b'XML:com.adobe.xmp\x00\x00\x00\x00\x00' + xmp.encode()
+write('c2pa.png', SIG + ihdr() + chunk(b'iTXt', itxt_xmp) + chunk(b'caBX', store) + idat() + IEND)
+
+# Pillowで保存したPNGと同じチャンク構成 (IHDR, tEXt..., IDAT, IEND) の画像
+def pillow_png(texts, w=64, h=64, level=6):
+    raw = b''.join(b'\x00' + b''.join(bytes([(x * 4) & 255, (y * 4) & 255, ((x + y) * 2) & 255]) for x in range(w)) for y in range(h))
+    return (SIG + ihdr(w, h) + b''.join(chunk(b'tEXt', k.encode('latin-1') + b'\x00' + v.encode('latin-1')) for k, v in texts)
+            + chunk(b'IDAT', zlib.compress(raw, level)) + IEND)
+
+# AUTOMATIC1111 stable-diffusion-webui v1.10 (Hires. fix、LoRA、エンベディングを使った txt2img) の書き出し
+webui = ('masterpiece, best quality, 1girl, solo, long hair, looking at viewer, smile, cherry blossoms, outdoors, <lora:add_detail:0.5>\n'
+         'Negative prompt: (worst quality, low quality:1.4), EasyNegative, bad anatomy, bad hands, text, watermark\n'
+         'Steps: 25, Sampler: DPM++ 2M, Schedule type: Karras, CFG scale: 7, Seed: 3847205926, Size: 512x768, '
+         'Model hash: 7f96a1a9ca, Model: anythingV5_PrtRE, Denoising strength: 0.45, Clip skip: 2, '
+         'Hires upscale: 2, Hires steps: 10, Hires upscaler: R-ESRGAN 4x+ Anime6B, '
+         'Lora hashes: "add_detail: 7c6bad76eb54", TI hashes: "EasyNegative: c74b4e810b03", Version: v1.10.1')
+write('a1111-webui.png', pillow_png([('parameters', webui)]))
+
+# ComfyUI の既定のワークフロー (SaveImage ノードは prompt と workflow を json.dumps して compress_level=4 で保存する)
+default_prompt = {
+    '3': {'inputs': {'seed': 156680208700286, 'steps': 20, 'cfg': 8, 'sampler_name': 'euler', 'scheduler': 'normal', 'denoise': 1,
+                     'model': ['4', 0], 'positive': ['6', 0], 'negative': ['7', 0], 'latent_image': ['5', 0]},
+          'class_type': 'KSampler', '_meta': {'title': 'KSampler'}},
+    '4': {'inputs': {'ckpt_name': 'v1-5-pruned-emaonly.safetensors'}, 'class_type': 'CheckpointLoaderSimple', '_meta': {'title': 'Load Checkpoint'}},
+    '5': {'inputs': {'width': 512, 'height': 512, 'batch_size': 1}, 'class_type': 'EmptyLatentImage', '_meta': {'title': 'Empty Latent Image'}},
+    '6': {'inputs': {'text': 'beautiful scenery nature glass bottle landscape, , purple galaxy bottle,', 'clip': ['4', 1]},
+          'class_type': 'CLIPTextEncode', '_meta': {'title': 'CLIP Text Encode (Prompt)'}},
+    '7': {'inputs': {'text': 'text, watermark', 'clip': ['4', 1]}, 'class_type': 'CLIPTextEncode', '_meta': {'title': 'CLIP Text Encode (Prompt)'}},
+    '8': {'inputs': {'samples': ['3', 0], 'vae': ['4', 2]}, 'class_type': 'VAEDecode', '_meta': {'title': 'VAE Decode'}},
+    '9': {'inputs': {'filename_prefix': 'ComfyUI', 'images': ['8', 0]}, 'class_type': 'SaveImage', '_meta': {'title': 'Save Image'}}
+}
+def node(id, type, pos, size, order, inputs, outputs, widgets, title=None):
+    data = {'id': id, 'type': type, 'pos': pos, 'size': size, 'flags': {}, 'order': order, 'mode': 0,
+            'inputs': inputs, 'outputs': outputs, 'properties': {'Node name for S&R': type}}
+    if widgets is not None: data['widgets_values'] = widgets
+    if title: data['title'] = title
+    return data
+def slot(name, type, link=None, links=None, slot_index=None, is_input=True):
+    data = {'name': name, 'type': type}
+    if is_input: data['link'] = link
+    else:
+        data['links'] = links
+        if slot_index is not None: data['slot_index'] = slot_index
+    return data
+default_workflow = {
+    'last_node_id': 9, 'last_link_id': 9,
+    'nodes': [
+        node(7, 'CLIPTextEncode', [413, 389], [425.28, 180.61], 3, [slot('clip', 'CLIP', 5)],
+             [slot('CONDITIONING', 'CONDITIONING', links=[6], slot_index=0, is_input=False)], ['text, watermark']),
+        node(6, 'CLIPTextEncode', [415, 186], [422.85, 164.31], 2, [slot('clip', 'CLIP', 3)],
+             [slot('CONDITIONING', 'CONDITIONING', links=[4], slot_index=0, is_input=False)],
+             ['beautiful scenery nature glass bottle landscape, , purple galaxy bottle,']),
+        node(5, 'EmptyLatentImage', [473, 609], [315, 106], 1, [],
+             [slot('LATENT', 'LATENT', links=[2], slot_index=0, is_input=False)], [512, 512, 1]),
+        node(3, 'KSampler', [863, 186], [315, 262], 4,
+             [slot('model', 'MODEL', 1), slot('positive', 'CONDITIONING', 4), slot('negative', 'CONDITIONING', 6), slot('latent_image', 'LATENT', 2)],
+             [slot('LATENT', 'LATENT', links=[7], slot_index=0, is_input=False)], [156680208700286, 'randomize', 20, 8, 'euler', 'normal', 1]),
+        node(8, 'VAEDecode', [1209, 188], [210, 46], 5, [slot('samples', 'LATENT', 7), slot('vae', 'VAE', 8)],
+             [slot('IMAGE', 'IMAGE', links=[9], slot_index=0, is_input=False)], None),
+        node(9, 'SaveImage', [1451, 189], [210, 58], 6, [slot('images', 'IMAGE', 9)], [], ['ComfyUI']),
+        node(4, 'CheckpointLoaderSimple', [26, 474], [315, 98], 0, [],
+             [slot('MODEL', 'MODEL', links=[1], slot_index=0, is_input=False), slot('CLIP', 'CLIP', links=[3, 5], slot_index=1, is_input=False),
+              slot('VAE', 'VAE', links=[8], slot_index=2, is_input=False)], ['v1-5-pruned-emaonly.safetensors'])
+    ],
+    'links': [[1, 4, 0, 3, 0, 'MODEL'], [2, 5, 0, 3, 3, 'LATENT'], [3, 4, 1, 6, 0, 'CLIP'], [4, 6, 0, 3, 1, 'CONDITIONING'],
+              [5, 4, 1, 7, 0, 'CLIP'], [6, 7, 0, 3, 2, 'CONDITIONING'], [7, 3, 0, 8, 0, 'LATENT'], [8, 4, 2, 8, 1, 'VAE'], [9, 8, 0, 9, 0, 'IMAGE']],
+    'groups': [], 'config': {}, 'extra': {'ds': {'scale': 1, 'offset': [0, 0]}}, 'version': 0.4
+}
+write('comfyui-default.png', pillow_png([('prompt', json.dumps(default_prompt)), ('workflow', json.dumps(default_workflow))], level=4))
+
+# 読み取れないテキストチャンク (キーワードの区切りがない tEXt と、展開できない zTXt)
+write('broken-text.png', SIG + ihdr() + chunk(b'tEXt', b'no separator') + chunk(b'zTXt', b'Comment\x00\x00not deflate data')
+      + chunk(b'tEXt', b'Title\x00ok') + idat() + IEND)
+
+# 壊れたComfyUIのワークフロー (promptチャンクなし、null・数値のノードや型、配列でないlinks/groups)
+malformed_workflow = {
+    'nodes': [None, 5, {'id': 1, 'type': 42}, node(2, 'CheckpointLoaderSimple', [0, 0], [315, 98], 0, [], [], ['v1-5-pruned-emaonly.safetensors'])],
+    'links': [None, 'x', [1, 2, 0]], 'groups': {'title': 'x'}, 'version': 0.4
+}
+write('comfyui-malformed.png', SIG + ihdr() + chunk(b'tEXt', b'workflow\x00' + json.dumps(malformed_workflow).encode()) + idat() + IEND)
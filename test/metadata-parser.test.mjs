@@ -0,0 +1,475 @@
+/**
+ * PNGinfo Viewer - metadata-parser.js のテスト
+ * test/fixtures のPNG (正常なもの、壊れたもの) を解析して結果を確認する
+ * 実行: node --test test/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { MetadataParser, MetadataParseError, parseMetadata } from '../metadata-parser.js';
+
+/**
+ * フィクスチャを読み込む
+ * @param {string} name - ファイル名 (test/fixtures からの相対パス)
+ * @returns {Promise<Uint8Array>} - ファイルの内容
+ */
+const fixture = (name) => readFile(new URL(`fixtures/${name}`, import.meta.url));
+
+test('AUTOMATIC1111のパラメータを読み取る', async () => {
+    const metadata = await parseMetadata(await fixture('a1111.png'));
+
+    assert.deepEqual(metadata.integrity, { errors: [], warnings: [] });
+    assert.deepEqual(metadata.rawChunks.map(chunk => chunk.type), ['IHDR', 'tEXt', 'IDAT', 'IEND']);
+    assert.equal(metadata.textChunks[0].keyword, 'parameters');
+    assert.equal(metadata.generator.id, 'a1111');
+    assert.equal(metadata.generator.params.prompt, 'masterpiece, 1girl, cherry blossoms');
+    assert.equal(metadata.generator.params.negative, 'lowres, bad anatomy');
+    assert.equal(metadata.generator.params.seed, '1234567890');
+    assert.equal(metadata.generator.params.sampler, 'DPM++ 2M Karras');
+    assert.equal(metadata.technicalInfo.width, 2);
+    assert.equal(metadata.technicalInfo.colorType, 2);
+});
+
+test('ComfyUIのワークフローを読み取る', async () => {
+    const metadata = await parseMetadata(await fixture('comfyui.png'));
+
+    assert.equal(metadata.generator.id, 'comfyui');
+    assert.equal(metadata.generator.params.prompt, 'a lighthouse at dusk');
+    assert.equal(metadata.generator.params.negative, 'blurry');
+    assert.equal(metadata.generator.params.model, 'sd_xl_base_1.0.safetensors');
+    assert.equal(Number(metadata.generator.params.seed), 42);
+});
+
+test('Pillowで書き出したAUTOMATIC1111 v1.10の出力 (Hires. fix・LoRA付き) を読み取る', async () => {
+    const metadata = await parseMetadata(await fixture('a1111-webui.png'));
+    const { params, unmapped } = metadata.generator;
+
+    assert.deepEqual(metadata.integrity, { errors: [], warnings: [] });
+    assert.equal(metadata.generator.id, 'a1111');
+    assert.match(params.prompt, /^masterpiece, best quality, .*<lora:add_detail:0\.5>$/);
+    assert.equal(params.negative, '(worst quality, low quality:1.4), EasyNegative, bad anatomy, bad hands, text, watermark');
+    assert.deepEqual([params.seed, params.steps, params.sampler, params.cfg, params.model, params.size], ['3847205926', '25', 'DPM++ 2M', '7', 'anythingV5_PrtRE', '512x768']);
+    assert.deepEqual(unmapped.find(item => item.key === 'Lora hashes'), { key: 'Lora hashes', value: 'add_detail: 7c6bad76eb54' });
+    assert.deepEqual(unmapped.find(item => item.key === 'Hires upscaler'), { key: 'Hires upscaler', value: 'R-ESRGAN 4x+ Anime6B' });
+});
+
+test('ComfyUIの既定のワークフローで書き出した画像を読み取る', async () => {
+    const metadata = await parseMetadata(await fixture('comfyui-default.png'));
+    const { params } = metadata.generator;
+
+    assert.deepEqual(metadata.textChunks.map(chunk => chunk.keyword), ['prompt', 'workflow']);
+    assert.equal(metadata.generator.id, 'comfyui');
+    assert.equal(params.prompt, 'beautiful scenery nature glass bottle landscape, , purple galaxy bottle,');
+    assert.equal(params.negative, 'text, watermark');
+    assert.deepEqual([params.seed, params.steps, params.sampler, params.cfg, params.model], ['156680208700286', '20', 'euler', '8', 'v1-5-pruned-emaonly.safetensors']);
+});
+
+test('壊れたComfyUIのワークフローは読めるノードだけを使う', async () => {
+    const metadata = await parseMetadata(await fixture('comfyui-malformed.png'));
+
+    assert.equal(metadata.generator.id, 'comfyui');
+    assert.equal(metadata.generator.params.model, 'v1-5-pruned-emaonly.safetensors');
+
+    const parser = new MetadataParser();
+    assert.deepEqual(parser.summarizeComfyUIWorkflow({ nodes: { 1: { type: 'KSampler' } } }).samplers, []);
+    assert.deepEqual(parser.summarizeComfyUIPrompt({ 1: null, 2: { class_type: 3, inputs: 'x' } }).samplers, []);
+});
+
+test('iTXt (圧縮・言語タグ付き) と zTXt を展開する', async () => {
+    const metadata = await parseMetadata(await fixture('international-text.png'));
+    const [itxt, ztxt] = metadata.textChunks;
+
+    assert.deepEqual(
+        { type: itxt.type, keyword: itxt.keyword, text: itxt.text, compressed: itxt.compressed, languageTag: itxt.languageTag, translatedKeyword: itxt.translatedKeyword },
+        { type: 'iTXt', keyword: 'Description', text: '桜の木の下で', compressed: true, languageTag: 'ja', translatedKeyword: '説明' }
+    );
+    assert.equal(ztxt.type, 'zTXt');
+    assert.equal(ztxt.text, 'compressed comment');
+    assert.equal(metadata.generator, null);
+});
+
+test('リポジトリのアイコン (一般的なエンコーダーで書き出したPNG) を解析できる', async () => {
+    const metadata = await parseMetadata(await readFile(new URL('../icons/icon16.png', import.meta.url)));
+
+    assert.equal(metadata.technicalInfo.format, 'PNG');
+    assert.equal(metadata.technicalInfo.width, 16);
+    assert.equal(metadata.integrity.errors.length, 0);
+});
+
+test('ArrayBuffer / オフセット付きのUint8Array / Blob を同じように扱う', async () => {
+    const bytes = await fixture('a1111.png');
+    const padded = new Uint8Array(bytes.length + 16);
+    padded.set(bytes, 16);
+
+    const fromArrayBuffer = await parseMetadata(bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength));
+    const fromView = await parseMetadata(padded.subarray(16));
+    const fromBlob = await parseMetadata(new Blob([bytes]));
+
+    assert.deepEqual(fromView.generator, fromArrayBuffer.generator);
+    assert.deepEqual(fromBlob.generator, fromArrayBuffer.generator);
+});
+
+test('headerOnlyの場合は最初のIDATより前だけを解析する', async () => {
+    const metadata = await new MetadataParser().parse(new Blob([await fixture('a1111.png')]), { headerOnly: true });
+
+    assert.equal(metadata.partial, true);
+    assert.deepEqual(metadata.rawChunks.map(chunk => chunk.type), ['IHDR', 'tEXt']);
+    assert.equal(metadata.generator.id, 'a1111');
+});
+
+test('署名が壊れたPNGは INVALID_SIGNATURE', async () => {
+    await assert.rejects(parseMetadata(await fixture('bad-signature.png')), (error) => {
+        assert.ok(error instanceof MetadataParseError);
+        assert.equal(error.code, 'INVALID_SIGNATURE');
+        return true;
+    });
+});
+
+test('画像でないデータは UNSUPPORTED_FORMAT、対応していない型は INVALID_INPUT', async () => {
+    await assert.rejects(parseMetadata(new TextEncoder().encode('GIF89a')), { name: 'MetadataParseError', code: 'UNSUPPORTED_FORMAT' });
+    await assert.rejects(parseMetadata('a1111.png'), { name: 'MetadataParseError', code: 'INVALID_INPUT' });
+});
+
+test('CRCが一致しないチャンクはエラーとして記録し、内容は読み取る', async () => {
+    const metadata = await parseMetadata(await fixture('bad-crc.png'));
+
+    assert.deepEqual(metadata.integrity.errors, [{ key: 'crcMismatch', args: ['0x21', 'tEXt'] }]);
+    assert.equal(metadata.rawChunks[1].crcValid, false);
+    assert.equal(metadata.generator.id, 'a1111');
+});
+
+test('途中で切れたPNGは読めた範囲を返す', async () => {
+    const metadata = await parseMetadata(await fixture('truncated.png'));
+    const keys = metadata.integrity.errors.map(error => error.key);
+
+    assert.equal(keys[0], 'chunkPastEnd');
+    assert.ok(keys.includes('missingIEND'));
+    assert.equal(metadata.generator.id, 'a1111');
+});
+
+test('IENDがないPNGを検出する', async () => {
+    const metadata = await parseMetadata(await fixture('missing-iend.png'));
+
+    assert.deepEqual(metadata.integrity.errors, [{ key: 'missingIEND', args: [] }]);
+});
+
+test('読み取れないテキストチャンクをエラーとして記録し、他のチャンクは読み取る', async () => {
+    const metadata = await parseMetadata(await fixture('broken-text.png'));
+
+    assert.deepEqual(metadata.integrity.errors.map(issue => [issue.key, issue.args[1]]), [['chunkParseFailed', 'tEXt'], ['chunkParseFailed', 'zTXt']]);
+    assert.deepEqual(metadata.textChunks.map(chunk => [chunk.keyword, chunk.text]), [['Title', 'ok']]);
+});
+
+test('チャンクの順序とIEND以降のデータを警告する', async () => {
+    const metadata = await parseMetadata(await fixture('misordered.png'));
+
+    assert.deepEqual(metadata.integrity.errors, []);
+    assert.deepEqual(metadata.integrity.warnings, [
+        { key: 'dataAfterIEND', args: [8] },
+        { key: 'chunkMustPrecede', args: ['gAMA', 'IDAT'] }
+    ]);
+});
+
+test('テキストチャンクを単独で解析できる', async () => {
+    const parser = new MetadataParser();
+    const data = new TextEncoder().encode('Title\0hello');
+
+    assert.deepEqual(await parser.parsePNGTextChunk('tEXt', data.buffer), { keyword: 'Title', text: 'hello', compressed: false, languageTag: '', translatedKeyword: '' });
+});
+
+test('tEXt・zTXtのLatin-1 (0x80〜0x9Fを含む) はバイト列に戻せる', async () => {
+    const parser = new MetadataParser();
+    const bytes = Uint8Array.from({ length: 0x100 - 0x20 }, (_, i) => i + 0x20);
+    const encode = (text) => Uint8Array.from(text, char => char.charCodeAt(0));
+    const compressed = await parser.compressBytes(bytes, 'deflate');
+
+    // ブラウザのTextDecoder('latin1')はwindows-1252として変換するが、Node.jsはバイトをそのまま変換するため、使われていないことも確かめる
+    const { TextDecoder } = globalThis;
+    globalThis.TextDecoder = class extends TextDecoder {
+        constructor(label, options) {
+            if (/latin1|8859-1|1252|ascii/i.test(label)) throw new Error(`TextDecoder('${label}') is windows-1252 in browsers`);
+            super(label, options);
+        }
+    };
+    try {
+        const text = await parser.parsePNGTextChunk('tEXt', new Uint8Array([...encode('Title'), 0, ...bytes]).buffer);
+        assert.deepEqual(encode(text.text), bytes);
+
+        const ztext = await parser.parsePNGTextChunk('zTXt', new Uint8Array([...encode('Comment'), 0, 0, ...compressed]).buffer);
+        assert.deepEqual(encode(ztext.text), bytes);
+        assert.equal(ztext.text.charCodeAt(0x80 - 0x20), 0x80);
+    } finally {
+        globalThis.TextDecoder = TextDecoder;
+    }
+});
+
+test('プロンプトの強調記法を重みに変換する', () => {
+    const tokens = new MetadataParser().tokenizePrompt('masterpiece, (best quality:1.2), ((detailed eyes)), [blurry], artist \\(style\\), (a, b:1.3)');
+
+    assert.deepEqual(tokens, [
+        { type: 'tag', name: 'masterpiece', weight: 1 },
+        { type: 'tag', name: 'best quality', weight: 1.2 },
+        { type: 'tag', name: 'detailed eyes', weight: 1.21 },
+        { type: 'tag', name: 'blurry', weight: 0.909 },
+        { type: 'tag', name: 'artist (style)', weight: 1 },
+        { type: 'tag', name: 'a', weight: 1.3 },
+        { type: 'tag', name: 'b', weight: 1.3 }
+    ]);
+});
+
+test('LoRA・エンベディング・BREAK・ワイルドカード・プロンプト編集を解釈する', () => {
+    const tokens = new MetadataParser().tokenizePrompt('<lora:add_detail:0.6> 1girl BREAK {red|blue} eyes, [cat:dog:0.5], embedding:EasyNegative, <hypernet:anime:1>');
+
+    assert.deepEqual(tokens, [
+        { type: 'lora', name: 'add_detail', weight: 0.6 },
+        { type: 'tag', name: '1girl', weight: 1 },
+        { type: 'tag', name: 'red eyes', weight: 1 },
+        { type: 'tag', name: 'blue eyes', weight: 1 },
+        { type: 'tag', name: 'cat', weight: 1 },
+        { type: 'tag', name: 'dog', weight: 1 },
+        { type: 'embedding', name: 'EasyNegative', weight: 1 },
+        { type: 'hypernet', name: 'anime', weight: 1 }
+    ]);
+});
+
+test('対応する開き括弧のない閉じ括弧は文字として扱う', () => {
+    const tokens = new MetadataParser().tokenizePrompt('smile), (blue eyes:1.2)], hat} on, (a [b) c]');
+
+    assert.deepEqual(tokens, [
+        { type: 'tag', name: 'smile)', weight: 1 },
+        { type: 'tag', name: 'blue eyes', weight: 1.2 },
+        { type: 'tag', name: ']', weight: 1 },
+        { type: 'tag', name: 'hat} on', weight: 1 },
+        { type: 'tag', name: 'a', weight: 1.1 },
+        { type: 'tag', name: 'b', weight: 1 },
+        { type: 'tag', name: 'c]', weight: 1 }
+    ]);
+});
+
+test('深い入れ子の括弧は上限までの重みにして例外にしない', () => {
+    const tokens = new MetadataParser().tokenizePrompt(`${'('.repeat(100000)}deep${')'.repeat(100000)}, ${'['.repeat(50000)}next`);
+
+    assert.deepEqual(tokens, [
+        { type: 'tag', name: 'deep', weight: Math.round(1.1 ** 32 * 1000) / 1000 },
+        { type: 'tag', name: 'next', weight: Math.round(1.1 ** -32 * 1000) / 1000 }
+    ]);
+});
+
+test('ワイルドカードの候補は同じタグの前後の文字列と組み合わせる', () => {
+    const tokens = new MetadataParser().tokenizePrompt('1girl, (wearing {red|blue} hat:1.2), {cat|dog}, smile');
+
+    assert.deepEqual(tokens, [
+        { type: 'tag', name: '1girl', weight: 1 },
+        { type: 'tag', name: 'wearing red hat', weight: 1.2 },
+        { type: 'tag', name: 'wearing blue hat', weight: 1.2 },
+        { type: 'tag', name: 'cat', weight: 1 },
+        { type: 'tag', name: 'dog', weight: 1 },
+        { type: 'tag', name: 'smile', weight: 1 }
+    ]);
+});
+
+test('複数の画像のトークンを使われた画像数の多い順に集計する', () => {
+    const parser = new MetadataParser();
+    const counts = parser.countPromptTokens([
+        parser.tokenizePrompt('1girl, (Smile:1.2), smile'),
+        parser.tokenizePrompt('1girl, landscape'),
+        parser.tokenizePrompt('1girl, smile')
+    ]);
+
+    assert.deepEqual(counts.slice(0, 2), [
+        { type: 'tag', name: '1girl', images: 3, occurrences: 3, averageWeight: 1 },
+        { type: 'tag', name: 'Smile', images: 2, occurrences: 3, averageWeight: 1.067 }
+    ]);
+});
+
+test('画像のポジティブ・ネガティブプロンプトを分解する', async () => {
+    const { positive, negative } = new MetadataParser().analyzePrompts(await parseMetadata(await fixture('a1111.png')));
+
+    assert.deepEqual(positive.map(token => token.name), ['masterpiece', '1girl', 'cherry blossoms']);
+    assert.deepEqual(negative.map(token => token.name), ['lowres', 'bad anatomy']);
+});
+test('XMPを名前空間付きのプロパティに展開する', async () => {
+    const { xmp } = await parseMetadata(await fixture('c2pa.png'));
+    const value = (path) => xmp.properties.find(property => property.path === path);
+
+    assert.equal(xmp.error, null);
+
+    assert.deepEqual(value('xmp:CreatorTool'), {
+        namespace: 'http://ns.adobe.com/xap/1.0/', prefix: 'xmp', name: 'CreatorTool', path: 'xmp:CreatorTool', value: 'Example Image Generator 2.1', language: ''
+    });
+    assert.equal(value('dc:title[1]').value, 'Lighthouse & dusk');
+    assert.equal(value('dc:title[1]').language, 'x-default');
+    assert.deepEqual(xmp.properties.filter(property => property.name === 'subject').map(property => property.value), ['lighthouse', 'dusk']);
+    assert.equal(value('xmpMM:History[1]/stEvt:action').namespace, 'http://ns.adobe.com/xap/1.0/mm/');
+});
+
+test('C2PAのマニフェストからクレーム・アクション・署名者を読み取る', async () => {
+    const metadata = await parseMetadata(await fixture('c2pa.png'));
+    const { c2pa } = metadata;
+    const [manifest] = c2pa.manifests;
+
+    assert.equal(c2pa.error, null);
+    assert.equal(c2pa.aiGenerated, true);
+    assert.equal(c2pa.activeManifest, manifest.label);
+    assert.equal(manifest.claimGenerator, 'Example Image Generator/2.1 c2pa-rs/0.32.0');
+    assert.equal(manifest.title, 'lighthouse.png');
+    assert.deepEqual(manifest.assertions.map(assertion => assertion.label), ['c2pa.actions', 'stds.schema-org.CreativeWork', 'c2pa.hash.data']);
+    assert.equal(manifest.assertions[2].data.hash, '000102030405060708090a0b0c0d0e0f101112131415161718191a1b1c1d1e1f');
+    assert.deepEqual(manifest.actions, [{
+        action: 'c2pa.created',
+        digitalSourceType: 'http://cv.iptc.org/newscodes/digitalsourcetype/trainedAlgorithmicMedia',
+        softwareAgent: 'Example Image Generator 2.1',
+        when: '2024-05-01T12:00:00Z'
+    }]);
+    assert.equal(manifest.signature.algorithm, 'ES256');
+    assert.equal(manifest.signature.subject, 'CN=Test Signer, O=PNGinfo Viewer Tests, C=JP');
+    assert.equal(manifest.signature.timestamped, true);
+    assert.deepEqual(new MetadataParser().getAIGeneratedMarkers(metadata).map(marker => marker.source), ['C2PA', 'XMP']);
+});
+
+test('JPEGの複数のAPP11セグメントに分割されたC2PAをつなげて読み取る', async () => {
+    const png = await fixture('c2pa.png');
+    const caBX = (await parseMetadata(png)).rawChunks.find(chunk => chunk.type === 'caBX');
+    const jumbf = png.subarray(caBX.offset + 8, caBX.offset + 8 + caBX.length);
+    // 2つ目のセグメントにはスーパーボックスのヘッダー (8バイト) を繰り返す
+    const segment = (sequence, body) => {
+        const length = 2 + 8 + body.length;
+        return [0xFF, 0xEB, length >> 8, length & 0xFF, 0x4A, 0x50, 0x00, 0x01, 0, 0, 0, sequence, ...body];
+    };
+    const split = 300;
+    const jpeg = new Uint8Array([
+        0xFF, 0xD8,
+        ...segment(1, jumbf.subarray(0, split)),
+        ...segment(2, [...jumbf.subarray(0, 8), ...jumbf.subarray(split)]),
+        0xFF, 0xD9
+    ]);
+
+    const { c2pa } = await parseMetadata(jpeg);
+    assert.equal(c2pa.error, null);
+    assert.equal(c2pa.manifests[0].claimGenerator, 'Example Image Generator/2.1 c2pa-rs/0.32.0');
+});
+
+test('JPEGのセグメントとWebPのチャンクを読み取る', async () => {
+    const ascii = (text) => [...new TextEncoder().encode(text)];
+    const segment = (marker, body) => [0xFF, marker, (body.length + 2) >> 8, (body.length + 2) & 0xFF, ...body];
+    const jpeg = new Uint8Array([
+        0xFF, 0xD8,
+        ...segment(0xE0, [...ascii('JFIF\0'), 1, 1, 0, 0, 1, 0, 1, 0, 0]),
+        ...segment(0xE1, [...ascii('Exif\0\0II*\0'), 8, 0, 0, 0, 0, 0]),
+        ...segment(0xFE, ascii('hi')),
+        ...segment(0xDA, [1, 1, 0, 0, 0x3F, 0]), 0xAB, 0xCD,
+        0xFF, 0xD9
+    ]);
+    const parser = new MetadataParser();
+    const segments = parser.readJPEGSegments(jpeg.buffer);
+
+    assert.deepEqual(segments.map(item => [item.type, item.keyword]), [['APP0', 'JFIF'], ['APP1', 'Exif'], ['COM', undefined], ['SOS', undefined]]);
+    assert.equal(segments[3].bytes.length, jpeg.length - segments[3].offset);
+    assert.deepEqual((await parseMetadata(jpeg)).rawChunks.map(chunk => chunk.keyword), ['JFIF', 'Exif', undefined, undefined]);
+    assert.throws(() => parser.readJPEGSegments(jpeg.slice(0, 26).buffer), { code: 'MALFORMED_DATA' });
+
+    // 末尾のVP8Lはパディングが省かれている
+    const chunk = (type, body) => [...ascii(type), body.length, 0, 0, 0, ...body, ...(body.length % 2 ? [0] : [])];
+    const body = [...ascii('WEBP'), ...chunk('VP8X', [0x0C, 0, 0, 0, 0, 0, 0, 0, 0, 0]), ...chunk('EXIF', [1, 2, 3]), ...chunk('VP8L', [0x2F, 0, 0, 0, 0]).slice(0, -1)];
+    const webp = new Uint8Array([...ascii('RIFF'), body.length, 0, 0, 0, ...body]);
+    const chunks = parser.readWebPChunks(webp.buffer);
+
+    assert.deepEqual(chunks.map(item => [item.type, item.length, item.bytes.length]), [['VP8X', 10, 18], ['EXIF', 3, 12], ['VP8L', 5, 13]]);
+});
+
+test('途中で切れたC2PAは例外にせずエラーを返す', async () => {
+    const png = await fixture('c2pa.png');
+    const caBX = (await parseMetadata(png)).rawChunks.find(chunk => chunk.type === 'caBX');
+    const c2pa = new MetadataParser().parseC2PA(png.subarray(caBX.offset + 8, caBX.offset + 8 + 100));
+
+    assert.deepEqual(c2pa.manifests, []);
+    assert.equal(c2pa.aiGenerated, false);
+    assert.equal(typeof c2pa.error, 'string');
+});
+
+test('CBORをデコードする', () => {
+    const parser = new MetadataParser();
+    // {"a": [1, -2, 1.5], 3: h'0102', "b": (_ "x" "y"), "c": true, "d": null}
+    const bytes = new Uint8Array([0xA5, 0x61, 0x61, 0x83, 0x01, 0x21, 0xF9, 0x3E, 0x00, 0x03, 0x42, 0x01, 0x02,
+        0x61, 0x62, 0x7F, 0x61, 0x78, 0x61, 0x79, 0xFF, 0x61, 0x63, 0xF5, 0x61, 0x64, 0xF6]);
+
+    assert.deepEqual(parser.decodeCBOR(bytes), { a: [1, -2, 1.5], 3: new Uint8Array([1, 2]), b: 'xy', c: true, d: null });
+    assert.throws(() => parser.decodeCBOR(new Uint8Array([0x62, 0x61])), /truncated/);
+});
+
+test('途中で切れたAVIFのボックスは MALFORMED_DATA', async () => {
+    const box = (type, ...parts) => {
+        const body = parts.flat();
+        return [0, 0, 0, 8 + body.length, ...new TextEncoder().encode(type), ...body];
+    };
+    const ftyp = box('ftyp', [...new TextEncoder().encode('avif'), 0, 0, 0, 0, ...new TextEncoder().encode('avif')]);
+    // ilocのアイテム1のエクステント数は2だが、エクステントの情報がない
+    const iloc = box('iloc', [0, 0, 0, 0], [0x44, 0x00], [0, 1], [0, 1, 0, 0, 0, 2]);
+    const avif = new Uint8Array([...ftyp, ...box('meta', [0, 0, 0, 0], iloc)]);
+
+    await assert.rejects(parseMetadata(avif), { name: 'MetadataParseError', code: 'MALFORMED_DATA' });
+});
+
+test('範囲外の数値文字参照はそのまま残す', () => {
+    const parser = new MetadataParser();
+
+    assert.equal(parser.decodeXmlEntities('&#65;&#x3042;&amp;&#x110000;&#99999999;'), 'Aあ&&#x110000;&#99999999;');
+    assert.equal(parser.detectDrawThings({ 'XML:com.adobe.xmp': 'Draw Things <exif:UserComment><rdf:Alt><rdf:li>{"c":"cat &#x110000;"}</rdf:li></rdf:Alt></exif:UserComment>' }).params.prompt, 'cat &#x110000;');
+});
+
+
+test('XMPの解析に失敗しても画像の解析は続け、エラーを記録する', async () => {
+    const parser = new MetadataParser();
+    parser.parseXMP = () => {
+        throw new RangeError('Maximum call stack size exceeded');
+    };
+    const metadata = await parser.parse(await fixture('c2pa.png'));
+
+    assert.deepEqual(metadata.xmp, { properties: [], error: 'Maximum call stack size exceeded' });
+    assert.equal(metadata.c2pa.aiGenerated, true);
+});
+
+test('読み取れないComfyUIのJSONはエラーとして返し、平文のpromptは対象外にする', () => {
+    const parser = new MetadataParser();
+    const comfyui = parser.parseComfyUIMetadata({ prompt: '{"3": {"class_type": "KSampler"', workflow: '{"nodes": []}' });
+
+    assert.deepEqual(comfyui.workflow, { nodes: [] });
+    assert.deepEqual(comfyui.errors.map(error => error.keyword), ['prompt']);
+    assert.equal(parser.parseComfyUIMetadata({ prompt: '{broken' }).summary.samplers.length, 0);
+    assert.equal(parser.parseComfyUIMetadata({ prompt: 'a photo of a cat' }), null);
+});
+
+test('ステルス情報を読み取れない場合は例外にせずエラーを記録する', async () => {
+    const parser = new MetadataParser();
+    const metadata = { textChunks: [] };
+    const original = globalThis.createImageBitmap;
+    globalThis.createImageBitmap = async () => {
+        throw new Error('The source image could not be decoded.');
+    };
+    try {
+        await parser.extractStealthMetadata(new Blob([await fixture('comfyui.png')]), metadata);
+    } finally {
+        globalThis.createImageBitmap = original;
+    }
+
+    assert.equal(metadata.stealthError, 'The source image could not be decoded.');
+    assert.deepEqual(metadata.textChunks, []);
+});
+
+test('DALL·EはOpenAIのC2PAマニフェストかSoftwareで判定し、本文に名前があるだけの画像は対象外にする', async () => {
+    const parser = new MetadataParser();
+    const manifest = (fields) => ({
+        manifests: [{ active: true, claimGenerator: '', actions: [], signature: null, ...fields }]
+    });
+
+    assert.equal(parser.detectDallE({ Software: 'OpenAI' }, null).id, 'dalle');
+    assert.equal(parser.detectDallE({}, manifest({ claimGenerator: 'ChatGPT' })).id, 'dalle');
+    assert.equal(parser.detectDallE({}, manifest({ signature: { subject: 'CN=Content Credentials, O=OpenAI' } })).id, 'dalle');
+    assert.deepEqual(parser.detectDallE({}, manifest({ actions: [{ softwareAgent: 'DALL·E 3' }] })).unmapped, [{ key: 'softwareAgent', value: 'DALL·E 3' }]);
+
+    assert.equal(parser.detectDallE({ Description: 'inspired by DALL-E, shared on OpenAI forums' }, null), null);
+    assert.equal(parser.detectDallE({ Software: 'Photoshop (DALL-E plugin)' }, null), null);
+    assert.equal(parser.detectDallE({}, manifest({ claimGenerator: 'Example Image Generator/2.1 c2pa-rs/0.32.0', signature: { subject: 'CN=Not OpenAI Inc' } })), null);
+    assert.equal((await parseMetadata(await fixture('c2pa.png'))).generator, null);
+});